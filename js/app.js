@@ -1,17 +1,36 @@
 // DuckDB WASM Browser Application
-import { DuckDBManager } from './duckdb-manager.js';
+import { DuckDBManager, practiceSchemaFor, isReadOnly } from './duckdb-manager.js';
 import { QueryEditor } from './query-editor.js';
 import { ResultsView } from './results-view.js';
+import { ExportMenu } from './export-menu.js';
+import { FileLoader } from './file-loader.js';
+import { SchemaBrowser } from './schema-browser.js';
+import { splitStatements } from './sql-splitter.js';
 import { AuthManager } from './services/auth-manager.js';
 import { PracticeManager } from './services/practice-manager.js';
 import QuestionsManager from './services/questions-manager.js';
 import QuestionDropdownManager from './services/question-dropdown-manager.js';
+import { WorkspaceManager } from './services/workspace-manager.js';
 
 class App {
     constructor() {
         this.dbManager = new DuckDBManager();
         this.queryEditor = new QueryEditor();
         this.resultsView = new ResultsView();
+        // Query behind the displayed result, for exports
+        this.lastQuery = null;
+        this.exportMenu = new ExportMenu(this.dbManager, {
+            getResultQuery: () => this.lastQuery && { query: this.lastQuery, sort: this.resultsView.sort },
+            getEditorQuery: () => this.queryEditor.getQuery()
+        });
+        this.workspaceManager = new WorkspaceManager(this.dbManager);
+        this.schemaBrowser = new SchemaBrowser(this.dbManager, {
+            onInsert: (text) => this.queryEditor.insertText(text),
+            onCatalogLoaded: (catalog) => this.updateCompletions(catalog)
+        });
+        this.fileLoader = new FileLoader(this.dbManager, {
+            onTableCreated: (tableName) => this.handleTableCreated(tableName)
+        });
 
         // Initialize async and handle errors
         this.init().catch((error) => {
@@ -51,7 +70,7 @@ class App {
                 this.initializeDuckDB().then(async () => {
                     this.practiceManager = new PracticeManager(this.dbManager);
                     window.practiceManager = this.practiceManager;
-                    // Load first question's tables so SQL Editor has data immediately
+                    // Load the questions' tables so the SQL Editor has data immediately
                     await this.loadDefaultPracticeData();
                     this.restoreSession().catch(() => {});
                 }).catch(err => console.error('DuckDB init failed:', err));
@@ -76,6 +95,14 @@ class App {
         const success = await this.dbManager.initialize();
         this.updateStatus(success);
 
+        // Reattach the persistent workspace the user had open
+        if (success) {
+            await this.workspaceManager.restore().catch((error) => {
+                console.warn('Failed to restore workspace:', error.message);
+            });
+            this.schemaBrowser.refresh();
+        }
+
         // Hide loading state
         this.showLoading(false);
 
@@ -101,8 +128,10 @@ class App {
     }
 
     /**
-     * Load all practice question tables into the main DuckDB connection.
-     * Uses CREATE OR REPLACE so switching questions just overwrites.
+     * Load every practice question's tables into its own schema
+     * (memory.question_<id>) and put those schemas on the SQL Editor's search
+     * path, so it has data immediately. Questions that share table names no
+     * longer overwrite each other; unqualified, the first question's wins.
      */
     async loadDefaultPracticeData() {
         try {
@@ -111,16 +140,14 @@ class App {
             const questions = data.questions || [];
             if (!questions.length) return;
 
+            const schemas = [];
             for (const q of questions) {
                 if (!q.sql_data) continue;
-                const statements = q.sql_data.split(';').filter(s => s.trim());
-                for (const stmt of statements) {
-                    if (!stmt.trim()) continue;
-                    // Convert CREATE TABLE to CREATE OR REPLACE TABLE to handle duplicate table names
-                    const safeStmt = stmt.replace(/CREATE\s+TABLE\s+/gi, 'CREATE OR REPLACE TABLE ');
-                    await this.dbManager.executeQuery(safeStmt);
-                }
+                const statements = splitStatements(q.sql_data).map(s => s.text);
+                await this.dbManager.loadPracticeSchema(practiceSchemaFor(q.id), statements);
+                schemas.push(practiceSchemaFor(q.id));
             }
+            await this.dbManager.setEditorSchemas(schemas);
             console.log(`Loaded practice tables from ${questions.length} questions`);
         } catch (e) {
             console.warn('Failed to pre-load practice data:', e.message);
@@ -231,6 +258,43 @@ class App {
             this.executeQuery();
         });
 
+        document.getElementById('explainQueryBtn').addEventListener('click', () => {
+            this.explainQuery();
+        });
+
+        // Run only part of the editor
+        document.getElementById('runStatementBtn').addEventListener('click', () => {
+            this.executeQuery(this.queryEditor.getStatementAtCursor());
+        });
+        const runSelectionBtn = document.getElementById('runSelectionBtn');
+        runSelectionBtn.addEventListener('click', () => {
+            this.executeQuery(this.queryEditor.getSelection());
+        });
+        this.queryEditor.onSelectionChange((hasSelection) => {
+            runSelectionBtn.disabled = !hasSelection || this.isExecuting;
+        });
+
+        // Cancel running query button
+        document.getElementById('cancelQueryBtn').addEventListener('click', () => {
+            this.cancelQuery();
+        });
+
+        // Query timeout preference (persisted per browser)
+        const timeoutSelect = document.getElementById('queryTimeoutSelect');
+        const savedTimeout = localStorage.getItem('duckdb_query_timeout');
+        if (savedTimeout && timeoutSelect.querySelector(`option[value="${savedTimeout}"]`)) {
+            timeoutSelect.value = savedTimeout;
+        }
+        this.dbManager.setUserTimeout(timeoutSelect.value);
+        timeoutSelect.addEventListener('change', () => {
+            this.dbManager.setUserTimeout(timeoutSelect.value);
+            try {
+                localStorage.setItem('duckdb_query_timeout', timeoutSelect.value);
+            } catch (error) {
+                console.warn('Failed to save query timeout:', error);
+            }
+        });
+
         // Clear history button
         document.getElementById('clearHistoryBtn').addEventListener('click', () => {
             this.queryEditor.clearHistory();
@@ -252,11 +316,18 @@ class App {
             }
         });
 
-        // Keyboard shortcut: Ctrl+Enter to run query
+        // Keyboard shortcuts: Ctrl+Enter to run the editor, Ctrl+Shift+Enter to run
+        // the statement at the cursor, Escape to cancel
         document.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 'Enter') {
+            if (e.ctrlKey && e.shiftKey && e.key === 'Enter') {
+                e.preventDefault();
+                document.getElementById('runStatementBtn').click();
+            } else if (e.ctrlKey && e.key === 'Enter') {
                 e.preventDefault();
                 this.executeQuery();
+            } else if (e.key === 'Escape' && this.dbManager.isQueryRunning()) {
+                e.preventDefault();
+                this.cancelQuery();
             }
         });
     }
@@ -272,44 +343,228 @@ class App {
         }
     }
 
-    async executeQuery() {
-        const query = this.queryEditor.getQuery();
-
+    /**
+     * Run SQL (by default the whole editor). Scripts with several statements
+     * run one statement at a time, each with its own result tab.
+     */
+    async executeQuery(query = this.queryEditor.getQuery()) {
         if (!query.trim()) {
             alert('Please enter a SQL query');
             return;
         }
 
+        // Ctrl+Enter reaches both CodeMirror and the document listener
+        if (this.isExecuting) {
+            return;
+        }
+        this.isExecuting = true;
+
         // Show loading state
         this.setLoading(true);
 
+        const statements = splitStatements(query);
+        if (statements.length > 1) {
+            try {
+                await this.executeScript(query, statements);
+            } finally {
+                this.isExecuting = false;
+                this.setLoading(false);
+            }
+            return;
+        }
+        this.resultsView.hideStatementTabs();
+
         try {
             const startTime = performance.now();
-            const result = await this.dbManager.executeQuery(query);
+
+            // Stream batches into the grid as they arrive
+            this.resultsView.beginStream();
+            const result = await this.dbManager.streamQuery(query, {
+                onBatch: (partial) => this.resultsView.updateStream(partial)
+            });
             const endTime = performance.now();
             const executionTime = ((endTime - startTime) / 1000).toFixed(3);
 
-            // Display results
-            this.resultsView.displayResults(result, executionTime);
+            // Rows beyond the streamed window are paged from DuckDB on demand
+            const pager = result.rowCount > result.rows.length
+                ? this.dbManager.createResultPager(query)
+                : null;
+
+            // Display final row count and timing
+            this.resultsView.finishStream(result, executionTime, pager);
+            this.lastQuery = query;
 
             // Save to history
             this.queryEditor.addToHistory(query);
 
+            // Statements that may have changed the workspace: write them to its file
+            if (!isReadOnly(query)) {
+                this.dbManager.checkpoint().catch((error) => {
+                    console.warn('Workspace checkpoint failed:', error.message);
+                });
+            }
+
+        } catch (error) {
+            this.lastQuery = null;
+            this.resultsView.displayError(error.message);
+        } finally {
+            this.isExecuting = false;
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Show DuckDB's plan for the selection or the statement at the cursor
+     */
+    async explainQuery() {
+        const query = this.queryEditor.getSelection() || this.queryEditor.getStatementAtCursor();
+        if (!query.trim()) {
+            alert('Please enter a SQL query');
+            return;
+        }
+        if (this.isExecuting) {
+            return;
+        }
+        this.isExecuting = true;
+        this.setLoading(true);
+
+        this.resultsView.hideStatementTabs();
+        this.lastQuery = null;
+        try {
+            this.resultsView.displayPlan(await this.dbManager.explainQuery(query));
         } catch (error) {
             this.resultsView.displayError(error.message);
         } finally {
+            this.isExecuting = false;
             this.setLoading(false);
         }
     }
 
+    /**
+     * Run a script's statements in order, stopping at the first error
+     */
+    async executeScript(script, statements) {
+        const entries = statements.map(({ text }) => ({
+            sql: text, status: 'pending', time: null, result: null, error: null, pager: null
+        }));
+        this.resultsView.showStatementTabs(entries, (entry) => {
+            // Exports follow the tab being viewed
+            this.lastQuery = entry.status === 'done' ? entry.sql : null;
+        });
+
+        let changedCatalog = false;
+        for (const [index, entry] of entries.entries()) {
+            entry.status = 'running';
+            this.resultsView.selectStatementTab(index);
+
+            const startTime = performance.now();
+            try {
+                entry.result = await this.dbManager.streamQuery(entry.sql);
+                entry.status = 'done';
+                changedCatalog = changedCatalog || !isReadOnly(entry.sql);
+
+                // Later statements may change what earlier ones read, so only the
+                // last result is paged from DuckDB
+                if (index === entries.length - 1 && entry.result.rowCount > entry.result.rows.length) {
+                    entry.pager = this.dbManager.createResultPager(entry.sql);
+                }
+            } catch (error) {
+                entry.status = 'error';
+                entry.error = error.message;
+                entries.slice(index + 1).forEach((skipped) => { skipped.status = 'skipped'; });
+            }
+            entry.time = ((performance.now() - startTime) / 1000).toFixed(3);
+            this.resultsView.updateStatementTab(index);
+
+            if (entry.status === 'error') {
+                break;
+            }
+        }
+
+        this.queryEditor.addToHistory(script);
+
+        if (changedCatalog) {
+            this.dbManager.checkpoint().catch((error) => {
+                console.warn('Workspace checkpoint failed:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Feed the live catalog and DuckDB's function list to autocomplete.
+     * Runs after every catalog refresh so new tables and macros show up.
+     */
+    async updateCompletions(catalog) {
+        this.queryEditor.setCatalog(catalog, this.dbManager.getSearchPath());
+        try {
+            this.queryEditor.setFunctions(await this.dbManager.getFunctions());
+        } catch (error) {
+            console.warn('Failed to load function list:', error.message);
+        }
+    }
+
+    /**
+     * Start the user off with a query on their first imported table
+     */
+    handleTableCreated(tableName) {
+        this.dbManager.checkpoint().catch((error) => {
+            console.warn('Workspace checkpoint failed:', error.message);
+        });
+        if (this.queryEditor.hasInitialQuery()) {
+            this.queryEditor.setQuery(`SELECT * FROM ${tableName} LIMIT 10;`);
+        }
+    }
+
+    async cancelQuery() {
+        const cancelBtn = document.getElementById('cancelQueryBtn');
+        cancelBtn.disabled = true;
+        cancelBtn.textContent = 'Cancelling...';
+        await this.dbManager.cancelQuery();
+    }
+
     setLoading(loading) {
         const btn = document.getElementById('runQueryBtn');
+        const actionBtns = ['runStatementBtn', 'runSelectionBtn', 'explainQueryBtn'].map(id => document.getElementById(id));
+        const cancelBtn = document.getElementById('cancelQueryBtn');
+        const progress = document.getElementById('queryProgress');
+        const progressBar = document.getElementById('queryProgressBar');
+
+        if (this.loadingTimer) {
+            clearInterval(this.loadingTimer);
+            this.loadingTimer = null;
+        }
+
+        actionBtns.forEach((b) => { b.disabled = loading; });
+        if (!loading && !this.queryEditor.getSelection()) {
+            actionBtns[1].disabled = true;
+        }
+
         if (loading) {
-            btn.innerHTML = '<span class="spinner"></span> Running...';
             btn.disabled = true;
+            cancelBtn.disabled = false;
+            cancelBtn.textContent = '■ Cancel';
+            cancelBtn.classList.remove('hidden');
+            progress.classList.remove('hidden');
+
+            // Show elapsed time and how much of the timeout has been used
+            const startTime = performance.now();
+            const timeoutMs = this.dbManager.queryTimeoutMs;
+            const tick = () => {
+                const elapsed = performance.now() - startTime;
+                const fraction = Math.min(elapsed / timeoutMs, 1);
+                btn.innerHTML = `<span class="spinner"></span> Running... ${(elapsed / 1000).toFixed(1)}s`;
+                progressBar.style.width = `${(fraction * 100).toFixed(1)}%`;
+                progressBar.classList.toggle('near-timeout', fraction > 0.8);
+            };
+            tick();
+            this.loadingTimer = setInterval(tick, 100);
         } else {
             btn.innerHTML = '▶ Run (Ctrl+Enter)';
             btn.disabled = false;
+            cancelBtn.classList.add('hidden');
+            progress.classList.add('hidden');
+            progressBar.style.width = '0';
+            progressBar.classList.remove('near-timeout');
         }
     }
 }
@@ -1,8 +1,233 @@
 // DuckDB WASM Manager
+import { readValue } from './sql-values.js';
+import { splitStatements } from './sql-splitter.js';
+
+/**
+ * Strip the comments around a read query and its semicolon so it can be
+ * wrapped as a subquery (CREATE TABLE AS, COPY (...) TO, ...) — a trailing
+ * `-- comment` would swallow the closing parenthesis.
+ * @returns {string|null} null if the statement is not a single read query that can be re-run safely
+ */
+export function toSubquery(query) {
+    const statements = splitStatements(query);
+    if (statements.length !== 1) {
+        return null;
+    }
+    const sql = query.slice(statements[0].codeStart, statements[0].codeEnd);
+    if (!/^(\(|(SELECT|WITH|FROM|VALUES|TABLE|PIVOT|UNPIVOT|SUMMARIZE|DESCRIBE|SHOW)\b)/i.test(sql)) {
+        return null;
+    }
+    return sql;
+}
+
+// EXPLAIN's prefix: options in brackets or ANALYZE
+const EXPLAIN_PREFIX = /^EXPLAIN\b\s*(?:\(([^)]*)\)\s*|(ANALY[SZ]E)\s+)?/i;
+
+/**
+ * Whether a statement leaves the catalog and data as they were: a read query
+ * (see toSubquery), or a plan of one — plain EXPLAIN does not run the
+ * statement, EXPLAIN ANALYZE does
+ */
+export function isReadOnly(query) {
+    if (toSubquery(query)) {
+        return true;
+    }
+    const statements = splitStatements(query);
+    if (statements.length !== 1) {
+        return false;
+    }
+    const sql = query.slice(statements[0].codeStart, statements[0].codeEnd);
+    const explain = sql.match(EXPLAIN_PREFIX);
+    if (!explain) {
+        return false;
+    }
+    const analyze = Boolean(explain[2]) || /\bANALY[SZ]E\b/i.test(explain[1] || '');
+    return !analyze || Boolean(toSubquery(sql.slice(explain[0].length)));
+}
+
+// Read queries EXPLAIN ANALYZE can profile; DESCRIBE, SHOW and SUMMARIZE have no plan of their own
+const ANALYZABLE_QUERY = /^(\(|(SELECT|WITH|FROM|VALUES|TABLE)\b)/i;
+const NO_PLAN_QUERY = /^(DESCRIBE|SHOW|SUMMARIZE)\b/i;
+
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Plain table names stay easy to type in the editor
+ */
+function sanitizeTableName(tableName) {
+    const name = tableName.replace(/[^a-zA-Z0-9_]/g, '_');
+    return /^[0-9]/.test(name) ? `t_${name}` : name;
+}
+
+/**
+ * SELECT over an imported file (or, for Arrow, its staging table) with the
+ * user's reader options and column type overrides applied.
+ *
+ * @param {string} source - Registered file name, or staging table for 'arrow'
+ * @param {'csv'|'tsv'|'json'|'ndjson'|'parquet'|'arrow'} format
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - CSV only; auto-detected when empty
+ * @param {boolean} [options.header] - CSV/TSV only; auto-detected when undefined
+ * @param {string} [options.dateFormat] - CSV/TSV only, e.g. '%d/%m/%Y'
+ * @param {Object<string, string>} [options.types] - Column name → DuckDB type
+ */
+function fileSelectSql(source, format, { delimiter, header, dateFormat, types = {} } = {}) {
+    const typeEntries = Object.entries(types);
+    for (const [, type] of typeEntries) {
+        if (!/^[A-Za-z][A-Za-z0-9_ (),[\]]*$/.test(type)) {
+            throw new Error(`Invalid column type: ${type}`);
+        }
+    }
+
+    let reader;
+    switch (format) {
+        case 'csv':
+        case 'tsv': {
+            const args = [quoteLiteral(source)];
+            const delim = format === 'tsv' ? '\t' : delimiter;
+            if (delim) args.push(`delim = ${quoteLiteral(delim)}`);
+            if (header !== undefined) args.push(`header = ${header ? 'true' : 'false'}`);
+            if (dateFormat) args.push(`dateformat = ${quoteLiteral(dateFormat)}`);
+            // CSV types are applied while parsing, so detection can't reject them
+            if (typeEntries.length) {
+                args.push(`types = {${typeEntries.map(([column, type]) => `${quoteLiteral(column)}: ${quoteLiteral(type)}`).join(', ')}}`);
+            }
+            return `SELECT * FROM read_csv(${args.join(', ')})`;
+        }
+        case 'json':
+            reader = `read_json(${quoteLiteral(source)}, format = 'auto')`;
+            break;
+        case 'ndjson':
+            reader = `read_json(${quoteLiteral(source)}, format = 'newline_delimited')`;
+            break;
+        case 'parquet':
+            reader = `read_parquet(${quoteLiteral(source)})`;
+            break;
+        case 'arrow':
+            reader = quoteIdentifier(source);
+            break;
+        default:
+            throw new Error(`Unsupported file format: ${format}`);
+    }
+
+    if (!typeEntries.length) {
+        return `SELECT * FROM ${reader}`;
+    }
+    const casts = typeEntries.map(([column, type]) => `CAST(${quoteIdentifier(column)} AS ${type}) AS ${quoteIdentifier(column)}`);
+    return `SELECT * REPLACE (${casts.join(', ')}) FROM ${reader}`;
+}
+
+/**
+ * Reshape a node of DuckDB's JSON plan / profile into
+ * {name, timing, rows, estimated, details, children}
+ */
+function normalizePlanNode(node) {
+    const details = { ...(node.extra_info || {}) };
+    const estimated = details['Estimated Cardinality'];
+    delete details['Estimated Cardinality'];
+
+    return {
+        name: (node.operator_name || node.name || '').trim(),
+        // Seconds, only present in EXPLAIN ANALYZE output
+        timing: node.operator_timing ?? null,
+        rows: node.operator_cardinality ?? null,
+        estimated: estimated !== undefined ? Number(estimated) : null,
+        details,
+        children: (node.children || []).map(normalizePlanNode)
+    };
+}
+
+// Practice question tables live in memory, apart from the user's workspace,
+// so they are rebuilt on every load and never persisted into it. Each question
+// gets its own schema, so questions that share table names never collide.
+export function practiceSchemaFor(questionId) {
+    return `memory.question_${questionId}`;
+}
+
+// Catalog alias of the attached OPFS workspace database
+const WORKSPACE_ALIAS = 'workspace';
+
 export class DuckDBManager {
     constructor() {
         this.db = null;
         this.connection = null;
+        this.arrow = null;
+
+        // Query timeout: the user's preference applies unless the loaded
+        // question sets its own (see setQuestionTimeout)
+        this.userTimeoutMs = 30000;
+        this.questionTimeoutMs = null;
+
+        // Schema of the question being practiced (see setPracticeSchema)
+        this.practiceSchema = null;
+        // Preloaded question schemas the free editor reads from (see setEditorSchemas)
+        this.editorSchemas = [];
+
+        // State of the query currently sent to the worker, used by cancelQuery()
+        this.runningQuery = null;
+        this.queryQueue = Promise.resolve();
+        this.pagerCount = 0;
+        this.stageCount = 0;
+
+        // opfs:// path of the attached workspace, null while in memory only
+        this.workspacePath = null;
+
+        // Notified (debounced) after statements that may have changed the catalog
+        this.catalogListeners = new Set();
+        this.catalogTimer = null;
+    }
+
+    /**
+     * Call `listener` after DDL or any other non-read statement runs
+     * @returns {() => void} Unsubscribe
+     */
+    onCatalogChange(listener) {
+        this.catalogListeners.add(listener);
+        return () => this.catalogListeners.delete(listener);
+    }
+
+    notifyCatalogChange() {
+        clearTimeout(this.catalogTimer);
+        this.catalogTimer = setTimeout(() => {
+            this.catalogListeners.forEach((listener) => {
+                try {
+                    listener();
+                } catch (error) {
+                    console.error('Catalog listener failed:', error);
+                }
+            });
+        }, 100);
+    }
+
+    /**
+     * Effective timeout for the next query, in milliseconds
+     */
+    get queryTimeoutMs() {
+        return this.questionTimeoutMs || this.userTimeoutMs;
+    }
+
+    /**
+     * Set the user's preferred query timeout
+     */
+    setUserTimeout(ms) {
+        const value = parseInt(ms, 10);
+        if (value > 0) {
+            this.userTimeoutMs = value;
+        }
+    }
+
+    /**
+     * Set (or clear with null) the timeout required by the current question
+     */
+    setQuestionTimeout(ms) {
+        const value = parseInt(ms, 10);
+        this.questionTimeoutMs = value > 0 ? value : null;
     }
 
     async initialize(retries = 2) {
@@ -10,6 +235,8 @@ export class DuckDBManager {
             try {
                 // Load DuckDB WASM from local files
                 const duckdb = await import('/libs/duckdb-wasm/duckdb-browser.mjs');
+                // Same Arrow build DuckDB uses (resolved via the import map)
+                this.arrow = await import('apache-arrow');
 
                 // Create a new logger
                 const logger = new duckdb.ConsoleLogger();
@@ -39,6 +266,7 @@ export class DuckDBManager {
 
                 // Open connection
                 this.connection = await this.db.connect();
+                await this.connection.query(`SET search_path = ${quoteLiteral(this.getSearchPath())}`);
 
                 return true;
             } catch (error) {
@@ -54,22 +282,370 @@ export class DuckDBManager {
         return false;
     }
 
-    async executeQuery(query, timeoutMs = 30000) {
+    /**
+     * Run a query on the main connection.
+     * The query is sent as a pending query so that cancelQuery() (or the
+     * timeout) interrupts it inside the worker instead of only abandoning
+     * the promise while DuckDB keeps running.
+     */
+    async executeQuery(query, timeoutMs = this.queryTimeoutMs) {
+        if (!this.connection) {
+            throw new Error('Database not connected');
+        }
+
+        return this.enqueue(() => this.runPendingQuery(query, timeoutMs, async (reader) => {
+            const batches = await reader.readAll();
+            return this.formatResult(new this.arrow.Table(reader.schema, batches));
+        }));
+    }
+
+    /**
+     * Run a query and deliver its result batch by batch as it arrives.
+     * Only the first `windowSize` rows are converted to JS objects; later
+     * batches are counted but never materialized, so results with millions
+     * of rows don't freeze the tab. Use executeQuery() when every row is
+     * needed (e.g. practice-mode comparison).
+     *
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {(result: {columns: string[], rows: Object[], rowCount: number}) => void} [options.onBatch]
+     *        Called after each record batch with the result so far
+     * @param {number} [options.windowSize] - Max rows kept as JS objects
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<{columns: string[], rows: Object[], rowCount: number}>}
+     */
+    async streamQuery(query, { onBatch = null, windowSize = 1000, timeoutMs = this.queryTimeoutMs } = {}) {
         if (!this.connection) {
             throw new Error('Database not connected');
         }
 
+        return this.enqueue(() => this.runPendingQuery(query, timeoutMs, async (reader) => {
+            const data = {
+                columns: reader.schema ? reader.schema.fields.map(f => f.name) : [],
+                rows: [],
+                rowCount: 0
+            };
+
+            for await (const batch of reader) {
+                const room = windowSize - data.rows.length;
+                if (room > 0) {
+                    data.rows.push(...this.formatRows(batch, room));
+                }
+                data.rowCount += batch.numRows;
+                if (onBatch) onBatch(data);
+            }
+
+            return data;
+        }));
+    }
+
+    /**
+     * Page through a query's full result with LIMIT/OFFSET instead of holding
+     * it in JS. On first use the result is snapshotted into a temp table so
+     * pages stay consistent with each other and the query isn't re-run per page.
+     *
+     * @param {string} query - The query whose result is being browsed
+     * @returns {{fetchRows: (offset: number, limit: number, sort?: {column: string, direction: 'asc'|'desc'}) => Promise<Object[]>, dispose: () => Promise<void>}|null}
+     *          null if the statement is not a read query that can be re-run safely
+     */
+    createResultPager(query) {
+        const sql = toSubquery(query);
+        if (!sql) {
+            return null;
+        }
+
+        const tableName = `__result_page_${++this.pagerCount}`;
+        let snapshot = null;
+
+        return {
+            fetchRows: async (offset, limit, sort = null) => {
+                if (!snapshot) {
+                    snapshot = this.executeQuery(`CREATE OR REPLACE TEMP TABLE ${tableName} AS ${sql}`);
+                }
+                await snapshot;
+
+                const orderBy = sort
+                    ? ` ORDER BY ${quoteIdentifier(sort.column)} ${sort.direction === 'desc' ? 'DESC' : 'ASC'} NULLS LAST`
+                    : '';
+                const page = await this.executeQuery(
+                    `SELECT * FROM ${tableName}${orderBy} LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`
+                );
+                return page.rows;
+            },
+            // The pager can be reused afterwards (script result tabs): it snapshots again
+            dispose: async () => {
+                if (snapshot) {
+                    snapshot = null;
+                    await this.executeQuery(`DROP TABLE IF EXISTS ${tableName}`).catch(() => {});
+                }
+            }
+        };
+    }
+
+    /**
+     * Write a query's full result to a file with COPY ... TO in DuckDB's
+     * virtual filesystem and return the file contents.
+     *
+     * @param {string} query - Read query (see toSubquery)
+     * @param {Object} options
+     * @param {'csv'|'tsv'|'json'|'ndjson'|'parquet'} options.format
+     * @param {string} [options.delimiter] - CSV only
+     * @param {boolean} [options.header] - CSV/TSV only
+     * @param {string} [options.nullValue] - CSV/TSV only
+     * @param {string} [options.compression] - 'none', 'gzip', 'zstd' (and 'snappy' for Parquet)
+     * @returns {Promise<Uint8Array>}
+     */
+    async exportQuery(query, { format, delimiter = ',', header = true, nullValue = '', compression = 'none' }) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        const sql = toSubquery(query);
+        if (!sql) {
+            throw new Error('Only SELECT-style queries can be exported');
+        }
+
+        const options = [];
+        switch (format) {
+            case 'csv':
+            case 'tsv':
+                options.push('FORMAT csv');
+                options.push(`DELIMITER ${quoteLiteral(format === 'tsv' ? '\t' : delimiter)}`);
+                options.push(`HEADER ${header ? 'true' : 'false'}`);
+                options.push(`NULL ${quoteLiteral(nullValue)}`);
+                break;
+            case 'json':
+                options.push('FORMAT json', 'ARRAY true');
+                break;
+            case 'ndjson':
+                options.push('FORMAT json');
+                break;
+            case 'parquet':
+                options.push('FORMAT parquet');
+                break;
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+        if (compression && compression !== 'none') {
+            options.push(`COMPRESSION ${quoteLiteral(compression)}`);
+        } else if (format === 'parquet') {
+            options.push(`COMPRESSION 'uncompressed'`);
+        }
+
+        const fileName = `__export_${Date.now()}.${format}`;
         try {
-            const result = await Promise.race([
-                this.connection.query(query),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Query timed out after 30 seconds')), timeoutMs)
-                )
-            ]);
-            return this.formatResult(result);
+            // Exports read the whole result: allow at least 5 minutes
+            await this.executeQuery(
+                `COPY (${sql}) TO ${quoteLiteral(fileName)} (${options.join(', ')})`,
+                Math.max(this.queryTimeoutMs, 300000)
+            );
+            return await this.db.copyFileToBuffer(fileName);
+        } finally {
+            await this.db.dropFile(fileName).catch(() => {});
+        }
+    }
+
+    /**
+     * New tables go to the first schema. While a question is being practiced
+     * that is its schema, so its tables win over same-named workspace tables
+     * and scratch tables are cleared by a reset, and no other question's
+     * tables are in reach. Otherwise it is the workspace (or memory) main
+     * schema, followed by the preloaded question schemas so their tables can
+     * be queried without qualifying them (the first question with a name wins).
+     */
+    getSearchPath() {
+        const mainSchema = `${this.workspacePath ? WORKSPACE_ALIAS : 'memory'}.main`;
+        if (this.practiceSchema) {
+            return `${this.practiceSchema},${mainSchema}`;
+        }
+        return [mainSchema, ...this.editorSchemas].join(',');
+    }
+
+    /**
+     * Question schemas to search after the main schema outside practice mode
+     * @param {string[]} schemas - From practiceSchemaFor()
+     */
+    async setEditorSchemas(schemas) {
+        this.editorSchemas = schemas;
+        await this.executeQuery(`SET search_path = ${quoteLiteral(this.getSearchPath())}`);
+    }
+
+    /**
+     * Put a question's schema first on the search path, or take it off with null
+     * @param {string|null} schema - From practiceSchemaFor()
+     */
+    async setPracticeSchema(schema) {
+        this.practiceSchema = schema;
+        await this.executeQuery(`SET search_path = ${quoteLiteral(this.getSearchPath())}`);
+    }
+
+    /**
+     * Attach a persistent database file from the Origin Private File System
+     * and make it the default for new tables. Pass null to go back to
+     * memory only.
+     * @param {string|null} path - e.g. 'opfs://analysis.duckdb'
+     */
+    async openWorkspace(path) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        await this.closeWorkspace();
+        if (!path) {
+            return;
+        }
+
+        try {
+            // DuckDB replays the WAL on attach, so it has to be reachable too
+            await this.db.registerOPFSFileName(path);
+            await this.db.registerOPFSFileName(`${path}.wal`);
+            await this.executeQuery(`ATTACH ${quoteLiteral(path)} AS ${WORKSPACE_ALIAS}`);
+        } catch (error) {
+            await this.dropFile(path);
+            await this.dropFile(`${path}.wal`);
+            throw new Error(`Failed to open workspace: ${error.message}`);
+        }
+
+        this.workspacePath = path;
+        await this.executeQuery(`SET search_path = ${quoteLiteral(this.getSearchPath())}`);
+    }
+
+    /**
+     * Checkpoint and detach the current workspace, releasing its OPFS files
+     */
+    async closeWorkspace() {
+        const path = this.workspacePath;
+        if (!path) {
+            return;
+        }
+
+        await this.checkpoint();
+        this.workspacePath = null;
+        await this.executeQuery(`SET search_path = ${quoteLiteral(this.getSearchPath())}`);
+        await this.executeQuery(`DETACH ${WORKSPACE_ALIAS}`);
+        await this.dropFile(path);
+        await this.dropFile(`${path}.wal`);
+    }
+
+    /**
+     * Fold the workspace WAL into the database file
+     */
+    async checkpoint() {
+        if (this.workspacePath) {
+            await this.executeQuery(`CHECKPOINT ${WORKSPACE_ALIAS}`);
+        }
+    }
+
+    /**
+     * Contents of the open workspace as a standalone .duckdb file
+     * @returns {Promise<Uint8Array>}
+     */
+    async exportWorkspace() {
+        if (!this.workspacePath) {
+            throw new Error('No workspace is open');
+        }
+
+        await this.checkpoint();
+        return this.db.copyFileToBuffer(this.workspacePath);
+    }
+
+    /**
+     * (Re)create a question's schema from its setup statements (unqualified
+     * CREATE TABLE / INSERT), discarding whatever the student changed in it
+     * @param {string} schema - From practiceSchemaFor()
+     * @param {string[]} statements
+     */
+    async loadPracticeSchema(schema, statements) {
+        if (!this.connection) {
+            throw new Error('Database not connected');
+        }
+
+        return this.enqueue(async () => {
+            const run = (sql) => this.runPendingQuery(sql, this.queryTimeoutMs, reader => reader.readAll());
+            await run(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+            await run(`CREATE SCHEMA ${schema}`);
+            await run(`SET search_path = ${quoteLiteral(schema)}`);
+            try {
+                for (const statement of statements) {
+                    await run(statement);
+                }
+            } finally {
+                await run(`SET search_path = ${quoteLiteral(this.getSearchPath())}`);
+            }
+        });
+    }
+
+    /**
+     * All queries share one connection: run them one at a time so a new
+     * pending query never replaces one that is still running
+     */
+    enqueue(task) {
+        const result = this.queryQueue.then(task);
+        this.queryQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Send one query to the worker and hand its record batch reader to `consume`
+     */
+    async runPendingQuery(query, timeoutMs, consume) {
+        const run = { cancelled: false, timedOut: false };
+        this.runningQuery = run;
+        const timer = setTimeout(() => {
+            run.timedOut = true;
+            this.cancelQuery();
+        }, timeoutMs);
+
+        try {
+            const reader = await this.connection.send(query, true);
+            if (!reader) {
+                throw new Error('DuckDB worker is not available');
+            }
+            const result = await consume(reader);
+            if (!isReadOnly(query)) {
+                this.notifyCatalogChange();
+            }
+            return result;
         } catch (error) {
+            if (run.timedOut) {
+                throw new Error(`Query timed out after ${timeoutMs / 1000} seconds`);
+            }
+            if (run.cancelled) {
+                throw new Error('Query cancelled');
+            }
             throw new Error(`Query failed: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+            if (this.runningQuery === run) {
+                this.runningQuery = null;
+            }
+        }
+    }
+
+    /**
+     * Interrupt the query currently running on the main connection.
+     * @returns {Promise<boolean>} true if DuckDB cancelled a pending query
+     */
+    async cancelQuery() {
+        const run = this.runningQuery;
+        if (!run || !this.connection) {
+            return false;
         }
+
+        run.cancelled = true;
+        try {
+            return await this.connection.cancelSent();
+        } catch (error) {
+            console.warn('Failed to cancel query:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Whether a query is currently running on the main connection
+     */
+    isQueryRunning() {
+        return this.runningQuery !== null;
     }
 
     formatResult(result) {
@@ -79,55 +655,44 @@ export class DuckDBManager {
             rows: []
         };
 
+        if (result && result.schema) {
+            data.columns = result.schema.fields.map(f => f.name);
+            data.rows = this.formatRows(result);
+        }
+
+        return data;
+    }
+
+    /**
+     * Convert rows of an Arrow Table or RecordBatch to plain JS objects,
+     * with values read exactly (see sql-values.js)
+     * @param {Object} source - Anything with schema, numRows and getChildAt()
+     * @param {number} [limit] - Convert at most this many rows
+     */
+    formatRows(source, limit = Infinity) {
+        const rows = [];
+
         try {
-            if (result && result.schema) {
-                data.columns = result.schema.fields.map(f => f.name);
-
-                // Use Arrow Table's public API — handles all batches automatically
-                const numCols = data.columns.length;
-                const columns = [];
-                for (let j = 0; j < numCols; j++) {
-                    columns.push(result.getChildAt(j));
-                }
+            const fieldNames = source.schema.fields.map(f => f.name);
+            const numRows = Math.min(source.numRows, limit);
+            for (let i = 0; i < numRows; i++) {
+                rows.push({});
+            }
 
-                // Pre-compute field types for decimal handling
-                const fields = result.schema.fields;
-
-                for (let i = 0; i < result.numRows; i++) {
-                    const row = {};
-                    for (let j = 0; j < numCols; j++) {
-                        let value = columns[j].get(i);
-                        const typeId = fields[j]?.type?.typeId;
-                        if (typeof value === 'bigint') {
-                            value = Number(value);
-                        } else if (typeId === 8 && typeof value === 'number') {
-                            // Arrow Date32 (typeId 8) — epoch milliseconds to ISO date
-                            value = new Date(value).toISOString().split('T')[0];
-                        } else if (value !== null && typeof value === 'object') {
-                            const field = fields[j];
-                            // Arrow Decimal type (typeId 7) — stored as Uint32Array
-                            // Value is unscaled integer; divide by 10^scale
-                            if (typeId === 7 && field.type.scale != null) {
-                                const raw = Number(value[0] || 0);
-                                value = raw / Math.pow(10, field.type.scale);
-                            } else if (value instanceof Date) {
-                                value = value.toISOString().split('T')[0];
-                            } else {
-                                const str = String(value);
-                                const num = Number(str);
-                                value = !isNaN(num) && str !== '' && str !== '[object Object]' ? num : str;
-                            }
-                        }
-                        row[data.columns[j]] = value;
+            // Column by column, through each record batch's chunk of the column
+            fieldNames.forEach((name, j) => {
+                let i = 0;
+                for (const data of source.getChildAt(j).data) {
+                    for (let k = 0; k < data.length && i < numRows; k++, i++) {
+                        rows[i][name] = readValue(data, k);
                     }
-                    data.rows.push(row);
                 }
-            }
+            });
         } catch (error) {
             console.error('Error formatting result:', error);
         }
 
-        return data;
+        return rows;
     }
 
     async registerFile(fileName, fileHandle) {
@@ -143,57 +708,298 @@ export class DuckDBManager {
         }
     }
 
-    async insertCSVFromPath(fileName, tableName) {
+    /**
+     * Register in-memory file contents (e.g. a fetched demo dataset)
+     */
+    async registerFileBuffer(fileName, buffer) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        try {
+            await this.db.registerFileBuffer(fileName, buffer);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to register file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Release a registered file once its table has been created
+     */
+    async dropFile(fileName) {
+        if (this.db) {
+            await this.db.dropFile(fileName).catch(() => {});
+        }
+    }
+
+    /**
+     * Detected schema and first rows of a file, before any table is created.
+     * Takes the same options as the insert methods so overrides can be previewed.
+     * @returns {Promise<{columns: {name: string, type: string}[], sample: {columns: string[], rows: Object[]}}>}
+     */
+    async describeFile(source, format, options = {}, sampleSize = 5) {
+        const select = fileSelectSql(source, format, options);
+        try {
+            const schema = await this.executeQuery(`DESCRIBE ${select}`);
+            const sample = await this.executeQuery(`${select} LIMIT ${parseInt(sampleSize)}`);
+            return {
+                columns: schema.rows.map(row => ({ name: row.column_name, type: row.column_type })),
+                sample
+            };
+        } catch (error) {
+            throw new Error(`Failed to read ${format.toUpperCase()} file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create (or replace) a table from an imported source
+     * @returns {Promise<string>} The table name actually used
+     */
+    async createTableFromSource(source, tableName, format, options) {
+        const safeName = sanitizeTableName(tableName);
+        await this.executeQuery(
+            `CREATE OR REPLACE TABLE ${quoteIdentifier(safeName)} AS ${fileSelectSql(source, format, options)}`
+        );
+        return safeName;
+    }
+
+    /**
+     * @param {Object} [options] - format ('csv' or 'tsv'), delimiter, header, dateFormat, types
+     */
+    async insertCSVFromPath(fileName, tableName, options = {}) {
         if (!this.connection) {
             throw new Error('Database not connected');
         }
 
         try {
-            await this.connection.insertCSVFromPath(fileName, {
-                name: tableName,
-                detect: true,
-                header: true
-            });
-            return true;
+            return await this.createTableFromSource(fileName, tableName, options.format || 'csv', options);
         } catch (error) {
             throw new Error(`Failed to insert CSV: ${error.message}`);
         }
     }
 
-    async insertJSONFromPath(fileName, tableName) {
+    /**
+     * @param {Object} [options] - format ('json' or 'ndjson'), types
+     */
+    async insertJSONFromPath(fileName, tableName, options = {}) {
         if (!this.connection) {
             throw new Error('Database not connected');
         }
 
         try {
-            await this.connection.insertJSONFromPath(fileName, {
-                name: tableName
-            });
-            return true;
+            return await this.createTableFromSource(fileName, tableName, options.format || 'json', options);
         } catch (error) {
             throw new Error(`Failed to insert JSON: ${error.message}`);
         }
     }
 
-    async createTableFromParquet(fileName, tableName) {
+    /**
+     * @param {Object} [options] - types
+     */
+    async createTableFromParquet(fileName, tableName, options = {}) {
         if (!this.connection) {
             throw new Error('Database not connected');
         }
 
         try {
-            // Sanitize inputs to prevent SQL injection
-            const safeName = tableName.replace(/[^a-zA-Z0-9_]/g, '_');
-            const safeFile = fileName.replace(/'/g, "''");
-            await this.connection.query(`
-                CREATE TABLE ${safeName} AS
-                SELECT * FROM '${safeFile}'
-            `);
-            return true;
+            return await this.createTableFromSource(fileName, tableName, 'parquet', options);
         } catch (error) {
             throw new Error(`Failed to load Parquet: ${error.message}`);
         }
     }
 
+    /**
+     * DuckDB has no Arrow IPC reader: decode the file (stream or file format)
+     * with apache-arrow and load it into a staging table that describeFile()
+     * and insertArrowFromStage() read like any other source.
+     * @param {Uint8Array} buffer
+     * @returns {Promise<string>} Staging table name
+     */
+    async stageArrowFile(buffer) {
+        if (!this.connection) {
+            throw new Error('Database not connected');
+        }
+
+        const stageName = `__arrow_stage_${++this.stageCount}`;
+        try {
+            const table = this.arrow.tableFromIPC(buffer);
+            await this.enqueue(() => this.connection.insertArrowTable(table, { name: stageName, create: true }));
+            return stageName;
+        } catch (error) {
+            throw new Error(`Failed to read Arrow file: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Object} [options] - types
+     */
+    async insertArrowFromStage(stageName, tableName, options = {}) {
+        try {
+            const safeName = await this.createTableFromSource(stageName, tableName, 'arrow', options);
+            await this.dropArrowStage(stageName);
+            return safeName;
+        } catch (error) {
+            throw new Error(`Failed to load Arrow file: ${error.message}`);
+        }
+    }
+
+    async dropArrowStage(stageName) {
+        await this.executeQuery(`DROP TABLE IF EXISTS ${quoteIdentifier(stageName)}`).catch(() => {});
+    }
+
+    /**
+     * Tables and views from the live catalog (internal helper tables excluded)
+     * @returns {Promise<{database: string, schema: string, name: string, type: 'BASE TABLE'|'VIEW'|'LOCAL TEMPORARY',
+     *          rowCount: ?number, columns: {name: string, type: string, nullable: boolean, default: ?string}[],
+     *          constraints: {type: string, columns: string, references: ?string}[]}[]>}
+     */
+    async getCatalog() {
+        const hidden = `table_name NOT LIKE '\\_\\_%' ESCAPE '\\'`;
+        const [tables, columns, constraints, sizes] = await Promise.all([
+            this.executeQuery(`
+                SELECT table_catalog AS database, table_schema AS schema, table_name AS name, table_type AS type
+                FROM information_schema.tables
+                WHERE table_schema NOT IN ('information_schema', 'pg_catalog') AND ${hidden}
+                ORDER BY 1, 2, 3
+            `),
+            this.executeQuery(`
+                SELECT database_name, schema_name, table_name, column_name, data_type, is_nullable, column_default
+                FROM duckdb_columns()
+                WHERE NOT internal AND ${hidden}
+                ORDER BY database_name, schema_name, table_name, column_index
+            `),
+            this.executeQuery(`
+                SELECT database_name, schema_name, table_name, constraint_type,
+                       array_to_string(constraint_column_names, ', ') AS columns,
+                       referenced_table, array_to_string(referenced_column_names, ', ') AS referenced_columns
+                FROM duckdb_constraints()
+                WHERE constraint_type <> 'NOT NULL' AND ${hidden}
+            `),
+            this.executeQuery(`
+                SELECT database_name, schema_name, table_name, estimated_size
+                FROM duckdb_tables()
+                WHERE NOT internal AND ${hidden}
+            `)
+        ]);
+
+        const key = (database, schema, name) => `${database}.${schema}.${name}`;
+        const objects = new Map(tables.rows.map(row => [key(row.database, row.schema, row.name), {
+            ...row,
+            rowCount: null,
+            columns: [],
+            constraints: []
+        }]));
+
+        columns.rows.forEach((row) => {
+            objects.get(key(row.database_name, row.schema_name, row.table_name))?.columns.push({
+                name: row.column_name,
+                type: row.data_type,
+                nullable: row.is_nullable,
+                default: row.column_default
+            });
+        });
+        constraints.rows.forEach((row) => {
+            objects.get(key(row.database_name, row.schema_name, row.table_name))?.constraints.push({
+                type: row.constraint_type,
+                columns: row.columns,
+                references: row.referenced_table ? `${row.referenced_table}(${row.referenced_columns})` : null
+            });
+        });
+        sizes.rows.forEach((row) => {
+            const object = objects.get(key(row.database_name, row.schema_name, row.table_name));
+            if (object) {
+                object.rowCount = row.estimated_size;
+            }
+        });
+
+        return [...objects.values()];
+    }
+
+    /**
+     * DuckDB's callable functions (built-ins and macros), one entry per name
+     * @returns {Promise<{name: string, type: string, signatures: string[], description: ?string}[]>}
+     */
+    async getFunctions() {
+        const result = await this.executeQuery(`
+            SELECT function_name AS name, any_value(function_type) AS type,
+                   array_to_string(list(DISTINCT function_name || '(' || array_to_string(parameters, ', ') || ')'), ' | ') AS signatures,
+                   any_value(description) AS description
+            FROM duckdb_functions()
+            WHERE function_type IN ('scalar', 'aggregate', 'macro', 'table', 'table_macro')
+              AND regexp_matches(function_name, '^[a-z_][a-z0-9_]*$')
+              AND function_name NOT LIKE '\\_\\_%' ESCAPE '\\'
+            GROUP BY function_name
+            ORDER BY function_name
+        `);
+        return result.rows.map(row => ({ ...row, signatures: row.signatures.split(' | ') }));
+    }
+
+    /**
+     * Exact row count and a few distinct non-null values per column
+     * @returns {Promise<{rowCount: number, samples: Object<string, Array>}>}
+     */
+    async getTableDetails(database, schema, name, sampleSize = 5) {
+        const table = [database, schema, name].map(quoteIdentifier).join('.');
+        const [count, sample] = await Promise.all([
+            this.executeQuery(`SELECT COUNT(*) AS n FROM ${table}`),
+            this.executeQuery(`SELECT * FROM ${table} LIMIT 100`)
+        ]);
+
+        const samples = {};
+        sample.columns.forEach((column) => {
+            const values = [];
+            for (const row of sample.rows) {
+                const value = row[column];
+                if (value !== null && value !== undefined && !values.includes(value)) {
+                    values.push(value);
+                    if (values.length >= sampleSize) break;
+                }
+            }
+            samples[column] = values;
+        });
+
+        return { rowCount: count.rows[0].n, samples };
+    }
+
+    /**
+     * Query plan as an operator tree. Queries (SELECT, WITH, FROM, VALUES,
+     * TABLE) are profiled with EXPLAIN ANALYZE; anything else would be
+     * executed by it, so other statements only get EXPLAIN's estimates.
+     * @returns {Promise<{sql: string, analyzed: boolean, totalTime: ?number, root: Object}>}
+     *          `root` as returned by normalizePlanNode; totalTime in seconds
+     * @throws {Error} For DESCRIBE, SHOW and SUMMARIZE, which have no plan to show
+     */
+    async explainQuery(query) {
+        const readQuery = toSubquery(query);
+        const noPlan = readQuery && readQuery.match(NO_PLAN_QUERY);
+        if (noPlan) {
+            throw new Error(`${noPlan[1].toUpperCase()} has no query plan to show — explain a query or a statement that changes data`);
+        }
+        const sql = readQuery || query.trim().replace(/;\s*$/, '');
+        const analyzed = Boolean(readQuery) && ANALYZABLE_QUERY.test(readQuery);
+
+        const result = await this.executeQuery(`EXPLAIN (${analyzed ? 'ANALYZE, ' : ''}FORMAT JSON) ${sql}`);
+        const plan = JSON.parse(result.rows[0].explain_value);
+
+        // Profiles wrap the plan in the query node and an EXPLAIN_ANALYZE operator
+        let node = Array.isArray(plan) ? plan[0] : plan;
+        while (node && (!(node.operator_name || node.name) || node.operator_type === 'EXPLAIN_ANALYZE')) {
+            node = node.children && node.children[0];
+        }
+        if (!node) {
+            throw new Error('DuckDB returned an empty plan');
+        }
+
+        const root = normalizePlanNode(node);
+        let totalTime = null;
+        if (analyzed) {
+            const sum = (n) => (n.timing || 0) + n.children.reduce((total, child) => total + sum(child), 0);
+            totalTime = sum(root);
+        }
+        return { sql, analyzed, totalTime, root };
+    }
+
     async getTables() {
         if (!this.connection) {
             throw new Error('Database not connected');
@@ -0,0 +1,209 @@
+// Export Menu - Downloads the current result or the editor query as CSV, TSV, JSON, NDJSON, Parquet or XLSX
+import { toSubquery } from './duckdb-manager.js';
+import { buildXlsx, XLSX_MAX_ROWS } from './xlsx-writer.js';
+
+const FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+    tsv: { label: 'TSV', extension: 'tsv', mime: 'text/tab-separated-values' },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+    ndjson: { label: 'NDJSON', extension: 'ndjson', mime: 'application/x-ndjson' },
+    parquet: { label: 'Parquet', extension: 'parquet', mime: 'application/vnd.apache.parquet' },
+    xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Parquet compresses internally; text formats get a .gz / .zst suffix
+const COMPRESSION_EXTENSIONS = { gzip: 'gz', zstd: 'zst' };
+
+export class ExportMenu {
+    /**
+     * @param {DuckDBManager} dbManager
+     * @param {Object} sources
+     * @param {() => {query: string, sort: ?{column: string, direction: string}}|null} sources.getResultQuery
+     *        Query behind the displayed result and its grid sort, or null if nothing has run
+     * @param {() => string} sources.getEditorQuery
+     */
+    constructor(dbManager, { getResultQuery, getEditorQuery }) {
+        this.dbManager = dbManager;
+        this.getResultQuery = getResultQuery;
+        this.getEditorQuery = getEditorQuery;
+        this.button = document.getElementById('exportBtn');
+        this.panel = document.getElementById('exportPanel');
+
+        if (!this.button || !this.panel) {
+            return;
+        }
+
+        this.render();
+        this.button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.panel.classList.toggle('hidden');
+        });
+        this.panel.addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => this.panel.classList.add('hidden'));
+    }
+
+    render() {
+        const formatOptions = Object.entries(FORMATS)
+            .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        this.panel.innerHTML = `
+            <label>Format
+                <select id="exportFormat">${formatOptions}</select>
+            </label>
+            <label>Rows
+                <select id="exportScope">
+                    <option value="result">Current result (with sort)</option>
+                    <option value="editor">Query in editor</option>
+                </select>
+            </label>
+            <label data-for="csv">Delimiter
+                <input type="text" id="exportDelimiter" value="," maxlength="4">
+            </label>
+            <label data-for="csv tsv" class="export-checkbox">
+                <input type="checkbox" id="exportHeader" checked> Header row
+            </label>
+            <label data-for="csv tsv">NULL as
+                <input type="text" id="exportNull" value="" placeholder="(empty)">
+            </label>
+            <label data-for="csv tsv json ndjson parquet">Compression
+                <select id="exportCompression">
+                    <option value="none">None</option>
+                    <option value="gzip">gzip</option>
+                    <option value="zstd">zstd</option>
+                    <option value="snappy" data-for="parquet">snappy</option>
+                </select>
+            </label>
+            <label>File name
+                <input type="text" id="exportFileName" value="results">
+            </label>
+            <button id="exportDownloadBtn" class="btn btn-primary btn-small">Download</button>
+            <div id="exportStatus" class="export-status"></div>
+        `;
+
+        this.panel.querySelector('#exportFormat').addEventListener('change', () => this.updateOptions());
+        this.panel.querySelector('#exportDownloadBtn').addEventListener('click', () => this.download());
+        this.updateOptions();
+    }
+
+    /**
+     * Show only the options that apply to the selected format
+     */
+    updateOptions() {
+        const format = this.panel.querySelector('#exportFormat').value;
+        this.panel.querySelectorAll('[data-for]').forEach((element) => {
+            const applies = element.dataset.for.split(' ').includes(format);
+            element.classList.toggle('hidden', !applies);
+            if (element.tagName === 'OPTION') {
+                element.disabled = !applies;
+            }
+        });
+
+        const compression = this.panel.querySelector('#exportCompression');
+        if (compression.selectedOptions[0]?.disabled) {
+            compression.value = 'none';
+        }
+    }
+
+    getOptions() {
+        const value = (id) => this.panel.querySelector(`#${id}`).value;
+        return {
+            format: value('exportFormat'),
+            scope: value('exportScope'),
+            delimiter: value('exportDelimiter') || ',',
+            header: this.panel.querySelector('#exportHeader').checked,
+            nullValue: value('exportNull'),
+            compression: value('exportCompression'),
+            fileName: value('exportFileName').trim() || 'results'
+        };
+    }
+
+    /**
+     * The SQL to export for the chosen scope
+     */
+    getQuery(scope) {
+        if (scope === 'editor') {
+            return this.getEditorQuery();
+        }
+
+        const current = this.getResultQuery();
+        if (!current) {
+            throw new Error('Run a query first');
+        }
+        if (!current.sort) {
+            return current.query;
+        }
+
+        const sql = toSubquery(current.query);
+        if (!sql) {
+            return current.query;
+        }
+        const column = `"${current.sort.column.replace(/"/g, '""')}"`;
+        const direction = current.sort.direction === 'desc' ? 'DESC' : 'ASC';
+        return `SELECT * FROM (${sql}) ORDER BY ${column} ${direction} NULLS LAST`;
+    }
+
+    async download() {
+        const options = this.getOptions();
+        const button = this.panel.querySelector('#exportDownloadBtn');
+        const status = this.panel.querySelector('#exportStatus');
+
+        button.disabled = true;
+        status.className = 'export-status';
+        status.textContent = 'Exporting...';
+
+        try {
+            const query = this.getQuery(options.scope);
+            if (!query.trim()) {
+                throw new Error('The editor is empty');
+            }
+
+            const data = options.format === 'xlsx'
+                ? await this.exportXlsx(query, options)
+                : await this.dbManager.exportQuery(query, options);
+
+            const { extension, mime } = FORMATS[options.format];
+            const suffix = options.format !== 'parquet' && COMPRESSION_EXTENSIONS[options.compression];
+            const fileName = `${options.fileName}.${extension}${suffix ? `.${suffix}` : ''}`;
+            this.saveFile(data, fileName, suffix ? 'application/octet-stream' : mime);
+
+            status.textContent = `Saved ${fileName}`;
+            this.panel.classList.add('hidden');
+        } catch (error) {
+            console.error('[export-menu.js] Export failed:', error);
+            status.className = 'export-status error';
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * DuckDB-WASM can't COPY to xlsx without the excel extension, so fetch
+     * the rows and build the workbook in JS
+     */
+    async exportXlsx(query, { header }) {
+        const sql = toSubquery(query);
+        if (!sql) {
+            throw new Error('Only SELECT-style queries can be exported');
+        }
+
+        const limit = XLSX_MAX_ROWS - 1;
+        const result = await this.dbManager.executeQuery(
+            `SELECT * FROM (${sql}) LIMIT ${limit}`,
+            Math.max(this.dbManager.queryTimeoutMs, 300000)
+        );
+        return buildXlsx(result.columns, result.rows, { header });
+    }
+
+    saveFile(data, fileName, mime) {
+        const url = URL.createObjectURL(new Blob([data], { type: mime }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,387 @@
+// File Loader - Drop zone, file picker and demo datasets with a schema preview before import
+import { formatValue } from './sql-values.js';
+import { escapeHtml } from './html.js';
+
+const FORMAT_EXTENSIONS = {
+    csv: 'csv', txt: 'csv',
+    tsv: 'tsv', tab: 'tsv',
+    json: 'json',
+    ndjson: 'ndjson', jsonl: 'ndjson',
+    parquet: 'parquet', pq: 'parquet',
+    arrow: 'arrow', ipc: 'arrow', feather: 'arrow'
+};
+
+// Bundled with the app (see Dockerfile); loaded without a preview
+const DEMO_DATASETS = [
+    { file: 'sample-sales.csv', table: 'sales', label: 'Sales' },
+    { file: 'sample-products.csv', table: 'products', label: 'Products' },
+    { file: 'sample-employees.csv', table: 'employees', label: 'Employees' },
+    { file: 'sample-data.csv', table: 'inventory', label: 'Inventory' }
+];
+
+const COMMON_TYPES = [
+    'VARCHAR', 'BOOLEAN', 'INTEGER', 'BIGINT', 'DOUBLE', 'DECIMAL(18,2)',
+    'DATE', 'TIMESTAMP', 'TIME', 'INTERVAL', 'JSON'
+];
+
+/**
+ * Import format from a file name, or null if unsupported
+ */
+export function detectFileFormat(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return FORMAT_EXTENSIONS[extension] || null;
+}
+
+export class FileLoader {
+    /**
+     * @param {DuckDBManager} dbManager
+     * @param {Object} [callbacks]
+     * @param {(tableName: string) => void} [callbacks.onTableCreated]
+     */
+    constructor(dbManager, { onTableCreated = null } = {}) {
+        this.dbManager = dbManager;
+        this.onTableCreated = onTableCreated;
+        this.dropZone = document.getElementById('fileDropZone');
+        this.preview = document.getElementById('filePreview');
+        this.status = document.getElementById('fileLoaderStatus');
+
+        // Files waiting for a preview, and the one being previewed
+        this.queue = [];
+        this.current = null;
+
+        if (!this.dropZone || !this.preview) {
+            return;
+        }
+
+        this.renderDemoButtons();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const fileInput = document.getElementById('fileInput');
+        fileInput.addEventListener('change', () => {
+            this.addFiles(fileInput.files);
+            fileInput.value = '';
+        });
+
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.dropZone.classList.add('drag-over');
+        });
+        this.dropZone.addEventListener('dragleave', (e) => {
+            if (!this.dropZone.contains(e.relatedTarget)) {
+                this.dropZone.classList.remove('drag-over');
+            }
+        });
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.remove('drag-over');
+            this.addFiles(e.dataTransfer.files);
+        });
+    }
+
+    renderDemoButtons() {
+        const container = document.getElementById('demoDatasets');
+        if (!container) {
+            return;
+        }
+
+        DEMO_DATASETS.forEach((demo) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary btn-small';
+            button.textContent = demo.label;
+            button.title = `Load ${demo.file} as table "${demo.table}"`;
+            button.addEventListener('click', () => this.loadDemo(demo, button));
+            container.appendChild(button);
+        });
+    }
+
+    async loadDemo(demo, button) {
+        button.disabled = true;
+        this.setStatus(`Loading ${demo.file}...`);
+
+        try {
+            const response = await fetch(`/${demo.file}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const buffer = new Uint8Array(await response.arrayBuffer());
+            await this.dbManager.registerFileBuffer(demo.file, buffer);
+            const tableName = await this.dbManager.insertCSVFromPath(demo.file, demo.table);
+            await this.dbManager.dropFile(demo.file);
+            await this.tableCreated(tableName);
+        } catch (error) {
+            console.error('[file-loader.js] Failed to load demo dataset:', error);
+            this.setStatus(`Failed to load ${demo.file}: ${error.message}`, true);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    addFiles(fileList) {
+        for (const file of fileList) {
+            const format = detectFileFormat(file.name);
+            if (!format) {
+                this.setStatus(`Unsupported file type: ${file.name}`, true);
+                continue;
+            }
+            this.queue.push({ file, format });
+        }
+
+        if (!this.current) {
+            this.previewNext();
+        }
+    }
+
+    /**
+     * Register the next queued file and show its preview
+     */
+    async previewNext() {
+        const next = this.queue.shift();
+        if (!next) {
+            this.current = null;
+            this.preview.classList.add('hidden');
+            return;
+        }
+
+        const { file, format } = next;
+        this.current = {
+            file,
+            format,
+            // Registered file name, or the staging table for Arrow
+            source: file.name,
+            tableName: file.name.replace(/\.[^.]+$/, ''),
+            options: {
+                delimiter: '',
+                header: true,
+                dateFormat: ''
+            },
+            detected: null,
+            types: {}
+        };
+        this.setStatus(`Reading ${file.name}...`);
+
+        try {
+            if (format === 'arrow') {
+                this.current.source = await this.dbManager.stageArrowFile(new Uint8Array(await file.arrayBuffer()));
+            } else {
+                await this.dbManager.registerFile(file.name, file);
+            }
+            await this.refreshPreview();
+            this.setStatus('');
+        } catch (error) {
+            console.error('[file-loader.js] Failed to read file:', error);
+            this.setStatus(error.message, true);
+            await this.release();
+            this.previewNext();
+        }
+    }
+
+    /**
+     * Options for DuckDBManager's import methods from the current preview state
+     */
+    getImportOptions() {
+        const { format, options, types } = this.current;
+        const isCSV = format === 'csv' || format === 'tsv';
+        return {
+            format,
+            delimiter: isCSV ? options.delimiter : undefined,
+            header: isCSV ? options.header : undefined,
+            dateFormat: isCSV ? options.dateFormat : undefined,
+            types
+        };
+    }
+
+    async refreshPreview() {
+        const current = this.current;
+        const described = await this.dbManager.describeFile(current.source, current.format, this.getImportOptions());
+        if (current !== this.current) {
+            return;
+        }
+
+        current.detected = described;
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const { file, format, tableName, options, detected, types } = this.current;
+        const isCSV = format === 'csv' || format === 'tsv';
+        const esc = escapeHtml;
+
+        const typeOptions = COMMON_TYPES.map(t => `<option value="${t}">`).join('');
+        const schemaRows = detected.columns.map(({ name, type }) => `
+            <tr>
+                <td>${esc(name)}</td>
+                <td><input type="text" class="preview-type" list="importTypeList" data-column="${esc(name)}" value="${esc(types[name] || type)}"></td>
+            </tr>
+        `).join('');
+
+        const sampleHead = detected.sample.columns.map(c => `<th>${esc(c)}</th>`).join('');
+        const sampleRows = detected.sample.rows.map(row => `
+            <tr>${detected.sample.columns.map(c => `<td>${esc(formatValue(row[c]))}</td>`).join('')}</tr>
+        `).join('');
+
+        this.preview.innerHTML = `
+            <div class="file-preview-header">
+                <strong>Import ${esc(file.name)}</strong>
+                <span class="file-preview-format">${format.toUpperCase()}</span>
+                ${this.queue.length ? `<span class="hint">${this.queue.length} more file(s) queued</span>` : ''}
+            </div>
+            <div class="file-preview-options">
+                <label>Table name
+                    <input type="text" id="importTableName" value="${esc(tableName)}">
+                </label>
+                ${format === 'csv' ? `
+                <label>Delimiter
+                    <input type="text" id="importDelimiter" value="${esc(options.delimiter)}" placeholder="auto" maxlength="4">
+                </label>` : ''}
+                ${isCSV ? `
+                <label class="file-preview-checkbox">
+                    <input type="checkbox" id="importHeader" ${options.header ? 'checked' : ''}> Header row
+                </label>
+                <label>Date format
+                    <input type="text" id="importDateFormat" value="${esc(options.dateFormat)}" placeholder="auto, e.g. %d/%m/%Y">
+                </label>` : ''}
+            </div>
+            <datalist id="importTypeList">${typeOptions}</datalist>
+            <div class="file-preview-body">
+                <table class="file-preview-schema">
+                    <thead><tr><th>Column</th><th>Type</th></tr></thead>
+                    <tbody>${schemaRows}</tbody>
+                </table>
+                <div class="file-preview-sample">
+                    <table>
+                        <thead><tr>${sampleHead}</tr></thead>
+                        <tbody>${sampleRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="file-preview-actions">
+                <button id="importCreateBtn" class="btn btn-primary btn-small">Create table</button>
+                <button id="importRefreshBtn" class="btn btn-secondary btn-small">Refresh preview</button>
+                <button id="importCancelBtn" class="btn btn-secondary btn-small">Cancel</button>
+            </div>
+        `;
+        this.preview.classList.remove('hidden');
+
+        this.preview.querySelector('#importTableName').addEventListener('input', (e) => {
+            this.current.tableName = e.target.value;
+        });
+        this.bindOption('#importDelimiter', 'delimiter', e => e.target.value);
+        this.bindOption('#importHeader', 'header', e => e.target.checked);
+        this.bindOption('#importDateFormat', 'dateFormat', e => e.target.value.trim());
+        this.preview.querySelectorAll('.preview-type').forEach((input) => {
+            input.addEventListener('change', () => this.setTypeOverride(input.dataset.column, input.value.trim()));
+        });
+
+        this.preview.querySelector('#importCreateBtn').addEventListener('click', () => this.createTable());
+        this.preview.querySelector('#importRefreshBtn').addEventListener('click', () => this.runPreviewAction(() => this.refreshPreview()));
+        this.preview.querySelector('#importCancelBtn').addEventListener('click', async () => {
+            await this.release();
+            this.previewNext();
+        });
+    }
+
+    /**
+     * Reader options re-run detection, so refresh the preview on change
+     */
+    bindOption(selector, key, read) {
+        const input = this.preview.querySelector(selector);
+        if (!input) {
+            return;
+        }
+        input.addEventListener('change', (e) => {
+            this.current.options[key] = read(e);
+            // Header and delimiter change the column names the overrides refer to
+            if (key !== 'dateFormat') {
+                this.current.types = {};
+            }
+            this.runPreviewAction(() => this.refreshPreview());
+        });
+    }
+
+    setTypeOverride(column, type) {
+        const detected = this.current.detected.columns.find(c => c.name === column);
+        if (!type || (detected && detected.type === type)) {
+            delete this.current.types[column];
+        } else {
+            this.current.types[column] = type;
+        }
+    }
+
+    async createTable() {
+        const { format, source, tableName } = this.current;
+        if (!tableName.trim()) {
+            this.setStatus('Enter a table name', true);
+            return;
+        }
+
+        await this.runPreviewAction(async () => {
+            const options = this.getImportOptions();
+            let created;
+            if (format === 'arrow') {
+                created = await this.dbManager.insertArrowFromStage(source, tableName, options);
+            } else if (format === 'parquet') {
+                created = await this.dbManager.createTableFromParquet(source, tableName, options);
+            } else if (format === 'json' || format === 'ndjson') {
+                created = await this.dbManager.insertJSONFromPath(source, tableName, options);
+            } else {
+                created = await this.dbManager.insertCSVFromPath(source, tableName, options);
+            }
+
+            await this.release();
+            await this.tableCreated(created);
+            this.previewNext();
+        });
+    }
+
+    /**
+     * Run a preview button action, showing failures without closing the preview
+     */
+    async runPreviewAction(action) {
+        const buttons = this.preview.querySelectorAll('button');
+        buttons.forEach(b => { b.disabled = true; });
+        try {
+            await action();
+        } catch (error) {
+            this.setStatus(error.message, true);
+        } finally {
+            buttons.forEach(b => { b.disabled = false; });
+        }
+    }
+
+    async tableCreated(tableName) {
+        const count = await this.dbManager.executeQuery(`SELECT COUNT(*) AS n FROM "${tableName}"`);
+        this.setStatus(`Created table ${tableName} (${count.rows[0].n.toLocaleString()} rows)`);
+        if (this.onTableCreated) {
+            this.onTableCreated(tableName);
+        }
+    }
+
+    /**
+     * Unregister the current file (or drop its Arrow staging table)
+     */
+    async release() {
+        const current = this.current;
+        if (!current) {
+            return;
+        }
+        this.current = null;
+        if (current.format === 'arrow') {
+            if (current.source !== current.file.name) {
+                await this.dbManager.dropArrowStage(current.source);
+            }
+        } else {
+            await this.dbManager.dropFile(current.source);
+        }
+    }
+
+    setStatus(message, isError = false) {
+        if (!this.status) {
+            return;
+        }
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,10 @@
+// HTML - Helpers for the views that render with template strings
+
+/**
+ * Escape text for use in HTML, inside element content or a quoted attribute value
+ */
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
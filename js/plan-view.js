@@ -0,0 +1,127 @@
+// Plan View - Draws DuckDB query plans as an operator tree, optionally beside a pinned plan
+import { escapeHtml } from './html.js';
+
+// Share of the total operator time that marks a node as expensive
+const HOT_SHARE = 0.3;
+const WARM_SHARE = 0.1;
+// Estimates this many times off the actual row count are flagged
+const MISESTIMATE_FACTOR = 10;
+
+function formatSeconds(seconds) {
+    return seconds < 1 ? `${(seconds * 1000).toFixed(2)} ms` : `${seconds.toFixed(3)} s`;
+}
+
+export class PlanView {
+    /**
+     * @param {HTMLElement} container - Shared with the results grid
+     */
+    constructor(container) {
+        this.container = container;
+        this.plan = null;
+        this.pinned = null;
+
+        this.container.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-plan-action]')?.dataset.planAction;
+            if (action === 'pin') {
+                this.pinned = this.plan;
+                this.render();
+            } else if (action === 'unpin') {
+                this.pinned = null;
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * @param {Object} plan - From DuckDBManager.explainQuery
+     */
+    show(plan) {
+        this.plan = plan;
+        this.render();
+    }
+
+    render() {
+        const comparing = this.pinned && this.pinned !== this.plan;
+        const toolbar = this.pinned
+            ? '<button class="btn btn-secondary btn-small" data-plan-action="unpin">✕ Clear pinned plan</button>'
+            : '<button class="btn btn-secondary btn-small" data-plan-action="pin" title="Keep this plan to compare with the next one">📌 Pin for comparison</button>';
+
+        this.container.innerHTML = `
+            <div class="plan-view">
+                <div class="plan-toolbar">
+                    <span class="hint">${comparing ? 'Pinned plan (left) vs. current plan (right)' : 'Operators run bottom-up; expensive ones are highlighted'}</span>
+                    ${toolbar}
+                </div>
+                <div class="plan-columns${comparing ? ' comparing' : ''}">
+                    ${comparing ? this.renderPlan(this.pinned, 'Pinned') : ''}
+                    ${this.renderPlan(this.plan, comparing ? 'Current' : null)}
+                </div>
+            </div>
+        `;
+    }
+
+    renderPlan(plan, label) {
+        const esc = escapeHtml;
+        const summary = plan.analyzed
+            ? `EXPLAIN ANALYZE · ${formatSeconds(plan.totalTime)} in operators`
+            : 'EXPLAIN (estimates only — the statement was not run)';
+
+        return `
+            <div class="plan-column">
+                <div class="plan-header">
+                    ${label ? `<strong>${label}</strong>` : ''}
+                    <span>${summary}</span>
+                    <pre class="plan-sql">${esc(plan.sql)}</pre>
+                </div>
+                <ul class="plan-tree">${this.renderNode(plan.root, plan.totalTime)}</ul>
+            </div>
+        `;
+    }
+
+    renderNode(node, totalTime) {
+        const esc = escapeHtml;
+        const share = totalTime && node.timing !== null ? node.timing / totalTime : null;
+        const heat = share === null ? '' : share >= HOT_SHARE ? ' hot' : share >= WARM_SHARE ? ' warm' : '';
+
+        const stats = [];
+        if (node.timing !== null) {
+            stats.push(`${formatSeconds(node.timing)}${share !== null ? ` (${(share * 100).toFixed(1)}%)` : ''}`);
+        }
+        if (node.rows !== null) {
+            stats.push(`${node.rows.toLocaleString()} rows`);
+        }
+        if (node.estimated !== null) {
+            stats.push(`est. ${node.estimated.toLocaleString()}`);
+        }
+
+        let misestimate = '';
+        if (node.rows !== null && node.estimated !== null) {
+            const factor = Math.max(node.rows, node.estimated) / Math.max(Math.min(node.rows, node.estimated), 1);
+            if (factor >= MISESTIMATE_FACTOR) {
+                misestimate = `<span class="plan-misestimate" title="Estimated and actual row counts differ">⚠ ${Math.round(factor).toLocaleString()}× off</span>`;
+            }
+        }
+
+        const details = Object.entries(node.details).map(([key, value]) => {
+            const text = Array.isArray(value) ? value.join(', ') : String(value);
+            const short = text.length > 120 ? `${text.substring(0, 120)}...` : text;
+            return `<div title="${esc(text)}"><span class="plan-detail-key">${esc(key)}:</span> ${esc(short)}</div>`;
+        }).join('');
+
+        const children = node.children.length
+            ? `<ul>${node.children.map(child => this.renderNode(child, totalTime)).join('')}</ul>`
+            : '';
+
+        return `
+            <li>
+                <div class="plan-node${heat}">
+                    ${share !== null ? `<div class="plan-node-bar" style="width: ${(share * 100).toFixed(1)}%"></div>` : ''}
+                    <div class="plan-node-name">${esc(node.name)}</div>
+                    <div class="plan-node-stats">${stats.join(' · ')} ${misestimate}</div>
+                    ${details ? `<div class="plan-node-details">${details}</div>` : ''}
+                </div>
+                ${children}
+            </li>
+        `;
+    }
+}
@@ -1,7 +1,22 @@
 // Query Editor - Manages SQL editor with syntax highlighting and history
+import { statementAt } from './sql-splitter.js';
+
+const INITIAL_QUERY = '-- Drop a data file above or load a demo dataset, then query your data\n-- Example queries:\n-- SELECT * FROM your_table LIMIT 10;\n-- SELECT COUNT(*) FROM your_table;\n-- SELECT column1, COUNT(*) FROM your_table GROUP BY column1;';
+
+/**
+ * Position of an object's schema on the search path (off-path objects last)
+ */
+function rank(searchPath, object) {
+    const index = searchPath.indexOf(`${object.database}.${object.schema}`);
+    return index === -1 ? searchPath.length : index;
+}
+
 export class QueryEditor {
     constructor() {
         this.editor = null;
+        // Live catalog for autocomplete (see setCatalog / setFunctions)
+        this.completionTables = {};
+        this.functions = [];
         this.history = this.loadHistory();
         this._boundHandleHistoryChange = this.handleHistoryChange.bind(this);
         this.initEditor();
@@ -24,13 +39,28 @@ export class QueryEditor {
                 'Ctrl-Space': 'autocomplete'
             },
             hintOptions: {
-                tables: this.getTableList(),
+                hint: (cm, options) => this.getHints(cm, options),
                 completeSingle: false
             }
         });
 
+        // Complete as you type identifiers and after "table."
+        this.editor.on('inputRead', (cm, change) => {
+            if (change.origin !== '+input' || !/^[\w.]$/.test(change.text[0])) return;
+            const token = cm.getTokenAt(cm.getCursor());
+            if (token.type === 'string' || token.type === 'comment' || token.type === 'number') return;
+            cm.showHint();
+        });
+
         // Set initial query
-        this.editor.setValue('-- Load a file first, then query your data\n-- Example queries:\n-- SELECT * FROM your_table LIMIT 10;\n-- SELECT COUNT(*) FROM your_table;\n-- SELECT column1, COUNT(*) FROM your_table GROUP BY column1;');
+        this.editor.setValue(INITIAL_QUERY);
+    }
+
+    /**
+     * Whether the editor still shows the starter comments
+     */
+    hasInitialQuery() {
+        return this.editor.getValue() === INITIAL_QUERY;
     }
 
     executeQuery() {
@@ -47,6 +77,44 @@ export class QueryEditor {
         this.editor.setValue(query);
     }
 
+    /**
+     * Selected text, or '' when nothing is selected
+     */
+    getSelection() {
+        return this.editor.getSelection();
+    }
+
+    /**
+     * The statement the cursor is in, highlighted by selecting it
+     */
+    getStatementAtCursor() {
+        const doc = this.editor.getDoc();
+        const statement = statementAt(doc.getValue(), doc.indexFromPos(doc.getCursor()));
+        if (!statement) {
+            return '';
+        }
+
+        // Select the statement so the user sees what ran
+        const from = statement.start + doc.getValue().slice(statement.start, statement.end).search(/\S/);
+        doc.setSelection(doc.posFromIndex(from), doc.posFromIndex(from + statement.text.length));
+        return statement.text;
+    }
+
+    /**
+     * Call `listener(hasSelection)` whenever the selection changes
+     */
+    onSelectionChange(listener) {
+        this.editor.on('cursorActivity', () => listener(this.editor.somethingSelected()));
+    }
+
+    /**
+     * Insert text at the cursor (replacing any selection)
+     */
+    insertText(text) {
+        this.editor.replaceSelection(text);
+        this.editor.focus();
+    }
+
     addToHistory(query) {
         // Add to history if not duplicate
         const trimmedQuery = query.trim();
@@ -112,25 +180,100 @@ export class QueryEditor {
         }
     }
 
-    getTableList() {
-        // Return common SQL keywords and functions for autocomplete
-        return {
-            keywords: [
-                'SELECT', 'FROM', 'WHERE', 'JOIN', 'LEFT', 'RIGHT', 'INNER', 'OUTER',
-                'GROUP', 'BY', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'AND', 'OR', 'NOT',
-                'IN', 'LIKE', 'BETWEEN', 'IS', 'NULL', 'AS', 'DISTINCT', 'CASE', 'WHEN',
-                'THEN', 'ELSE', 'END', 'UNION', 'INTERSECT', 'EXCEPT', 'INSERT',
-                'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER', 'TABLE', 'INDEX', 'VIEW',
-                'PRIMARY', 'KEY', 'FOREIGN', 'REFERENCES', 'UNIQUE', 'CHECK', 'DEFAULT'
-            ],
-            functions: [
-                'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'ABS', 'ROUND', 'CEIL', 'FLOOR',
-                'COALESCE', 'NULLIF', 'CAST', 'CONVERT', 'UPPER', 'LOWER', 'TRIM',
-                'SUBSTRING', 'CONCAT', 'LENGTH', 'POSITION', 'REPLACE', 'NOW', 'DATE',
-                'EXTRACT', 'DATE_PART', 'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE',
-                'SECOND', 'ARRAY_AGG', 'LIST', 'STRING_AGG', 'GROUP_CONCAT'
-            ]
+    /**
+     * Tables and columns offered by autocomplete, from DuckDBManager.getCatalog().
+     * Objects on the search path complete by bare name, others fully qualified.
+     */
+    setCatalog(catalog, searchPath) {
+        const onPath = searchPath.split(',');
+        const tables = {};
+        // Search path order decides which table a bare name means
+        const ordered = [...catalog].sort((a, b) =>
+            rank(onPath, a) - rank(onPath, b));
+
+        for (const object of ordered) {
+            const bare = onPath.includes(`${object.database}.${object.schema}`);
+            const name = bare ? object.name : `${object.database}.${object.schema}.${object.name}`;
+            if (tables[name]) continue;
+            tables[name] = {
+                displayText: `${name}  ${object.type === 'VIEW' ? 'view' : 'table'}`,
+                columns: object.columns.map(column => ({
+                    text: column.name,
+                    displayText: `${column.name}  ${column.type}`
+                }))
+            };
+        }
+        this.completionTables = tables;
+    }
+
+    /**
+     * Functions offered by autocomplete, from DuckDBManager.getFunctions()
+     */
+    setFunctions(functions) {
+        this.functions = functions;
+    }
+
+    /**
+     * CodeMirror's sql-hint handles tables, "table." / "alias." columns and
+     * keywords; add columns of the statement's tables and DuckDB functions.
+     */
+    getHints(cm, options) {
+        const result = CodeMirror.hint.sql(cm, { ...options, tables: this.completionTables });
+        const cursor = cm.getCursor();
+        const before = cm.getLine(cursor.line).slice(0, cursor.ch);
+        const word = (before.match(/[\w$]+$/) || [''])[0];
+
+        // Dotted completions are columns only; an empty word would list everything
+        if (!word || /[\w"]\.[\w$]*$/.test(before)) {
+            return result;
+        }
+
+        result.from = CodeMirror.Pos(cursor.line, cursor.ch - word.length);
+        result.to = cursor;
+        const prefix = word.toLowerCase();
+        const seen = new Set(result.list.map(item => (typeof item === 'string' ? item : item.text).toLowerCase()));
+        const add = (item) => {
+            if (!seen.has(item.text.toLowerCase())) {
+                seen.add(item.text.toLowerCase());
+                result.list.push(item);
+            }
         };
+
+        for (const table of this.getStatementTables(cm)) {
+            for (const column of this.completionTables[table]?.columns || []) {
+                if (column.text.toLowerCase().startsWith(prefix)) {
+                    add({ text: column.text, displayText: `${column.displayText}  (${table})`, className: 'CodeMirror-hint-column' });
+                }
+            }
+        }
+
+        for (const fn of this.functions) {
+            if (fn.name.startsWith(prefix)) {
+                const more = fn.signatures.length > 1 ? `  +${fn.signatures.length - 1} more` : '';
+                const signature = fn.signatures[0].length > 80 ? `${fn.signatures[0].slice(0, 77)}...` : fn.signatures[0];
+                add({ text: `${fn.name}(`, displayText: `${signature}${more}`, className: 'CodeMirror-hint-function' });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Known tables named after FROM / JOIN in the statement under the cursor
+     */
+    getStatementTables(cm) {
+        const text = cm.getValue();
+        const index = cm.indexFromPos(cm.getCursor());
+        const start = text.lastIndexOf(';', index - 1) + 1;
+        const end = text.indexOf(';', index);
+        const statement = text.slice(start, end === -1 ? text.length : end);
+
+        const names = new Set();
+        for (const match of statement.matchAll(/\b(?:FROM|JOIN)\s+([\w.]+)/gi)) {
+            const name = Object.keys(this.completionTables).find(t => t.toLowerCase() === match[1].toLowerCase());
+            if (name) names.add(name);
+        }
+        return names;
     }
 
     focus() {
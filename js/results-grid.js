@@ -0,0 +1,468 @@
+// Results Grid - Virtual-scrolling table that only renders (and only holds) the visible rows
+//
+// Rows are requested page by page through a fetchRows(offset, limit) callback, so
+// the caller decides where they come from (an in-memory window or LIMIT/OFFSET
+// queries against DuckDB). Only a bounded number of pages is cached.
+
+const ROW_HEIGHT = 33;
+const PAGE_SIZE = 100;
+const MAX_CACHED_PAGES = 20;
+const OVERSCAN_ROWS = 5;
+const MIN_COLUMN_WIDTH = 60;
+// Browsers cap element heights (~33M px in Chrome); beyond this the scrollbar
+// maps proportionally onto the row range instead of 1px per pixel
+const MAX_SCROLL_HEIGHT = 10000000;
+
+export class ResultsGrid {
+    /**
+     * @param {HTMLElement} container - Element the grid is appended to
+     * @param {Object} options
+     * @param {string[]} options.columns - Column names in result order
+     * @param {number} options.rowCount - Total rows in the result
+     * @param {(offset: number, limit: number) => (Object[]|null|Promise<Object[]|null>)} options.fetchRows
+     *        Returns the rows of a page, or null if they are not available yet
+     * @param {(value: any) => string} options.formatValue - Cell display formatter
+     * @param {(column: string, th: HTMLElement) => void} [options.onSort] - Header click handler
+     * @param {(value: any) => boolean} [options.isExpandable] - Whether a cell value has a tree view
+     * @param {(value: any) => HTMLElement} [options.renderExpanded] - Tree view shown in a popover
+     */
+    constructor(container, { columns, rowCount, fetchRows, formatValue, onSort = null, isExpandable = null, renderExpanded = null }) {
+        this.container = container;
+        this.columns = columns;
+        this.rowCount = rowCount;
+        this.fetchRows = fetchRows;
+        this.formatValue = formatValue;
+        this.onSort = onSort;
+        this.isExpandable = isExpandable;
+        this.renderExpanded = renderExpanded;
+        this.popover = null;
+
+        // Display order of columns (indexes into this.columns) and their widths
+        this.columnOrder = columns.map((_, i) => i);
+        this.columnWidths = columns.map(name => Math.max(100, Math.min(300, name.length * 9 + 40)));
+
+        this.pages = new Map();
+        this.pendingPages = new Set();
+        this.failedPages = new Set();
+        this.generation = 0;
+
+        this.activeCell = null;
+        this.sortIndicator = null;
+        this.renderScheduled = false;
+
+        this.createElements();
+        container.appendChild(this.scroller);
+        this.render();
+    }
+
+    createElements() {
+        this.scroller = document.createElement('div');
+        this.scroller.className = 'results-grid';
+        this.scroller.tabIndex = 0;
+
+        this.table = document.createElement('table');
+        this.table.className = 'grid-table';
+        this.colgroup = document.createElement('colgroup');
+        this.thead = document.createElement('thead');
+        this.tbody = document.createElement('tbody');
+        this.table.append(this.colgroup, this.thead, this.tbody);
+        this.scroller.appendChild(this.table);
+
+        this.scroller.addEventListener('scroll', () => {
+            this.closeExpanded();
+            this.scheduleRender();
+        });
+        this.scroller.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.tbody.addEventListener('click', (e) => {
+            const td = e.target.closest('td[data-col]');
+            if (td) {
+                const row = parseInt(td.parentNode.dataset.row);
+                const col = parseInt(td.dataset.col);
+                this.setActiveCell(row, col, false);
+                if (e.target.closest('.grid-expand')) {
+                    this.showExpanded(row, col);
+                }
+            }
+        });
+
+        this.renderHeader();
+    }
+
+    // ==================== Header: sort, resize, reorder ====================
+
+    renderHeader() {
+        this.colgroup.innerHTML = '';
+        this.thead.innerHTML = '';
+        const headerRow = document.createElement('tr');
+
+        this.columnOrder.forEach((columnIndex, position) => {
+            const col = document.createElement('col');
+            col.style.width = `${this.columnWidths[columnIndex]}px`;
+            this.colgroup.appendChild(col);
+
+            const name = this.columns[columnIndex];
+            const th = document.createElement('th');
+            th.textContent = name;
+            th.title = name;
+            th.draggable = true;
+            th.dataset.position = position;
+            if (this.sortIndicator && this.sortIndicator.column === name) {
+                th.classList.add(`sort-${this.sortIndicator.direction}`);
+            }
+            th.addEventListener('click', () => {
+                if (this.onSort) this.onSort(name, th);
+            });
+            this.attachReorderHandlers(th);
+
+            const resizer = document.createElement('span');
+            resizer.className = 'col-resizer';
+            resizer.addEventListener('mousedown', (e) => this.startResize(e, columnIndex, col));
+            resizer.addEventListener('click', (e) => e.stopPropagation());
+            th.appendChild(resizer);
+
+            headerRow.appendChild(th);
+        });
+
+        this.thead.appendChild(headerRow);
+        this.table.style.width = `${this.columnWidths.reduce((sum, w) => sum + w, 0)}px`;
+    }
+
+    attachReorderHandlers(th) {
+        th.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', th.dataset.position);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        th.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            th.classList.add('drag-over');
+        });
+        th.addEventListener('dragleave', () => th.classList.remove('drag-over'));
+        th.addEventListener('drop', (e) => {
+            e.preventDefault();
+            th.classList.remove('drag-over');
+            const from = parseInt(e.dataTransfer.getData('text/plain'));
+            const to = parseInt(th.dataset.position);
+            if (isNaN(from) || from === to) return;
+
+            const activeColumnIndex = this.activeColumnIndex;
+            const [moved] = this.columnOrder.splice(from, 1);
+            this.columnOrder.splice(to, 0, moved);
+            if (this.activeCell) {
+                // Keep the same column active after the move
+                this.activeCell.col = this.columnOrder.indexOf(activeColumnIndex);
+            }
+            this.renderHeader();
+            this.render();
+        });
+    }
+
+    startResize(e, columnIndex, col) {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const startWidth = this.columnWidths[columnIndex];
+
+        const onMove = (moveEvent) => {
+            const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+            this.columnWidths[columnIndex] = width;
+            col.style.width = `${width}px`;
+            this.table.style.width = `${this.columnWidths.reduce((sum, w) => sum + w, 0)}px`;
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Show which column the rows are sorted by (null to clear)
+     * @param {{column: string, direction: 'asc'|'desc'}|null} sort
+     */
+    setSortIndicator(sort) {
+        this.sortIndicator = sort;
+        this.renderHeader();
+    }
+
+    // ==================== Data ====================
+
+    /**
+     * Update the total row count (e.g. while a result is still streaming)
+     */
+    setRowCount(rowCount) {
+        this.rowCount = rowCount;
+        // A short (last) page may have grown
+        for (const [pageIndex, rows] of this.pages) {
+            if (rows.length < PAGE_SIZE) this.pages.delete(pageIndex);
+        }
+        this.scheduleRender();
+    }
+
+    /**
+     * Drop cached pages, e.g. after the sort order or data source changed
+     */
+    reset() {
+        this.generation++;
+        this.pages.clear();
+        this.pendingPages.clear();
+        this.failedPages.clear();
+        this.render();
+    }
+
+    getRow(index) {
+        const pageIndex = Math.floor(index / PAGE_SIZE);
+        const page = this.pages.get(pageIndex);
+        if (!page) {
+            this.loadPage(pageIndex);
+            return undefined;
+        }
+
+        // Refresh LRU position
+        this.pages.delete(pageIndex);
+        this.pages.set(pageIndex, page);
+        return page[index - pageIndex * PAGE_SIZE];
+    }
+
+    async loadPage(pageIndex) {
+        if (this.pendingPages.has(pageIndex) || this.failedPages.has(pageIndex)) return;
+        this.pendingPages.add(pageIndex);
+        const generation = this.generation;
+
+        try {
+            const rows = await this.fetchRows(pageIndex * PAGE_SIZE, PAGE_SIZE);
+            if (generation !== this.generation) return;
+            if (rows) {
+                this.pages.set(pageIndex, rows);
+                while (this.pages.size > MAX_CACHED_PAGES) {
+                    this.pages.delete(this.pages.keys().next().value);
+                }
+            }
+        } catch (error) {
+            console.error(`Failed to load result rows ${pageIndex * PAGE_SIZE}+:`, error);
+            if (generation === this.generation) this.failedPages.add(pageIndex);
+        } finally {
+            if (generation === this.generation) {
+                this.pendingPages.delete(pageIndex);
+                this.scheduleRender();
+            }
+        }
+    }
+
+    // ==================== Rendering ====================
+
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    get viewportHeight() {
+        return Math.max(ROW_HEIGHT, this.scroller.clientHeight - this.thead.offsetHeight);
+    }
+
+    get visibleRowCount() {
+        return Math.ceil(this.viewportHeight / ROW_HEIGHT);
+    }
+
+    /**
+     * Height of the scrollable body and the factor mapping it onto all rows
+     */
+    getScrollGeometry() {
+        const fullHeight = this.rowCount * ROW_HEIGHT;
+        const bodyHeight = Math.min(fullHeight, MAX_SCROLL_HEIGHT);
+        const viewport = this.viewportHeight;
+        const scale = fullHeight > bodyHeight && bodyHeight > viewport
+            ? (fullHeight - viewport) / (bodyHeight - viewport)
+            : 1;
+        return { bodyHeight, scale };
+    }
+
+    render() {
+        const { bodyHeight, scale } = this.getScrollGeometry();
+        const scrollTop = this.scroller.scrollTop;
+        const firstVisible = Math.min(
+            Math.floor(scrollTop * scale / ROW_HEIGHT),
+            Math.max(0, this.rowCount - 1)
+        );
+        const start = Math.max(0, firstVisible - OVERSCAN_ROWS);
+        const end = Math.min(this.rowCount, firstVisible + this.visibleRowCount + OVERSCAN_ROWS);
+
+        const topSpace = scale === 1
+            ? start * ROW_HEIGHT
+            : Math.max(0, scrollTop - (firstVisible - start) * ROW_HEIGHT);
+        const bottomSpace = Math.max(0, bodyHeight - topSpace - (end - start) * ROW_HEIGHT);
+
+        const fragment = document.createDocumentFragment();
+        if (topSpace > 0) fragment.appendChild(this.createSpacer(topSpace));
+
+        for (let i = start; i < end; i++) {
+            fragment.appendChild(this.createRow(i));
+        }
+
+        if (bottomSpace > 0) fragment.appendChild(this.createSpacer(bottomSpace));
+
+        this.tbody.replaceChildren(fragment);
+    }
+
+    createSpacer(height) {
+        const tr = document.createElement('tr');
+        tr.className = 'grid-spacer';
+        tr.setAttribute('aria-hidden', 'true');
+        tr.style.height = `${height}px`;
+        return tr;
+    }
+
+    createRow(index) {
+        const row = this.getRow(index);
+        const pageIndex = Math.floor(index / PAGE_SIZE);
+        const tr = document.createElement('tr');
+        tr.dataset.row = index;
+        if (!row) tr.className = 'grid-row-loading';
+
+        this.columnOrder.forEach((columnIndex, position) => {
+            const td = document.createElement('td');
+            td.dataset.col = position;
+            if (row) {
+                const value = row[this.columns[columnIndex]];
+                td.textContent = this.formatValue(value);
+                if (this.isExpandable && this.isExpandable(value)) {
+                    const toggle = document.createElement('span');
+                    toggle.className = 'grid-expand';
+                    toggle.title = 'Expand (Enter)';
+                    toggle.textContent = '▸';
+                    td.prepend(toggle);
+                }
+            } else {
+                td.textContent = this.failedPages.has(pageIndex) ? '⚠' : '…';
+            }
+            if (this.activeCell && this.activeCell.row === index && this.activeCell.col === position) {
+                td.classList.add('active-cell');
+            }
+            tr.appendChild(td);
+        });
+
+        return tr;
+    }
+
+    // ==================== Keyboard navigation ====================
+
+    get activeColumnIndex() {
+        return this.activeCell ? this.columnOrder[this.activeCell.col] : null;
+    }
+
+    handleKeyDown(e) {
+        if (this.rowCount === 0) return;
+        const { row, col } = this.activeCell || { row: 0, col: 0 };
+        const lastRow = this.rowCount - 1;
+        const lastCol = this.columns.length - 1;
+        const page = Math.max(1, this.visibleRowCount - 1);
+
+        const moves = {
+            ArrowDown: [row + 1, col],
+            ArrowUp: [row - 1, col],
+            ArrowRight: [row, col + 1],
+            ArrowLeft: [row, col - 1],
+            PageDown: [row + page, col],
+            PageUp: [row - page, col],
+            Home: e.ctrlKey ? [0, col] : [row, 0],
+            End: e.ctrlKey ? [lastRow, col] : [row, lastCol]
+        };
+        if (e.key === 'Enter' && this.activeCell) {
+            e.preventDefault();
+            this.showExpanded(row, col);
+            return;
+        }
+        if (e.key === 'Escape' && this.popover) {
+            e.stopPropagation();
+            this.closeExpanded();
+            return;
+        }
+
+        const target = moves[e.key];
+        if (!target) return;
+
+        e.preventDefault();
+        const nextRow = Math.min(lastRow, Math.max(0, target[0]));
+        const nextCol = Math.min(lastCol, Math.max(0, target[1]));
+        this.setActiveCell(nextRow, nextCol, true);
+    }
+
+    setActiveCell(row, col, scrollIntoView) {
+        this.activeCell = { row, col };
+        if (scrollIntoView) {
+            this.ensureRowVisible(row);
+        }
+        this.render();
+
+        const td = this.tbody.querySelector(`tr[data-row="${row}"] td[data-col="${col}"]`);
+        if (td && scrollIntoView) {
+            td.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
+    ensureRowVisible(index) {
+        const { scale } = this.getScrollGeometry();
+        const firstVisible = Math.floor(this.scroller.scrollTop * scale / ROW_HEIGHT);
+        const lastVisible = firstVisible + this.visibleRowCount - 1;
+
+        if (index < firstVisible) {
+            this.scroller.scrollTop = index * ROW_HEIGHT / scale;
+        } else if (index > lastVisible) {
+            this.scroller.scrollTop = (index - this.visibleRowCount + 1) * ROW_HEIGHT / scale;
+        }
+    }
+
+    // ==================== Nested value popover ====================
+
+    /**
+     * Show the tree view of a LIST/STRUCT/MAP cell below it
+     */
+    showExpanded(row, col) {
+        this.closeExpanded();
+        const data = this.getRow(row);
+        const value = data && data[this.columns[this.columnOrder[col]]];
+        const td = this.tbody.querySelector(`tr[data-row="${row}"] td[data-col="${col}"]`);
+        if (!td || !this.renderExpanded || !this.isExpandable(value)) {
+            return;
+        }
+
+        const rect = td.getBoundingClientRect();
+        this.popover = document.createElement('div');
+        this.popover.className = 'grid-value-popover';
+        this.popover.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - 420))}px`;
+        this.popover.style.top = `${rect.bottom + 2}px`;
+        this.popover.appendChild(this.renderExpanded(value));
+        // Inside the container so it goes away with the grid
+        this.container.appendChild(this.popover);
+
+        this.closeOnOutsideClick = (e) => {
+            if (this.popover && !this.popover.contains(e.target) && !e.target.closest('.grid-expand')) {
+                this.closeExpanded();
+            }
+        };
+        document.addEventListener('mousedown', this.closeOnOutsideClick);
+    }
+
+    closeExpanded() {
+        if (this.popover) {
+            this.popover.remove();
+            this.popover = null;
+            document.removeEventListener('mousedown', this.closeOnOutsideClick);
+        }
+    }
+
+    /**
+     * Scroll so that the given 0-based row is at the top and make it active
+     */
+    scrollToRow(index) {
+        const row = Math.min(Math.max(0, index), Math.max(0, this.rowCount - 1));
+        const { scale } = this.getScrollGeometry();
+        this.scroller.scrollTop = row * ROW_HEIGHT / scale;
+        this.setActiveCell(row, this.activeCell ? this.activeCell.col : 0, false);
+        this.scroller.focus();
+    }
+}
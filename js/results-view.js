@@ -1,15 +1,52 @@
 // Results View - Displays query results with export functionality
+import { ResultsGrid } from './results-grid.js';
+import { PlanView } from './plan-view.js';
+import { compareValues, formatValue, MapValue, nestedEntries } from './sql-values.js';
+import { escapeHtml } from './html.js';
+
 export class ResultsView {
     constructor() {
         this.container = document.getElementById('resultsContainer');
         this.currentResults = null;
+        this.grid = null;
+        // Pages rows beyond the in-memory window from DuckDB (see DuckDBManager.createResultPager)
+        this.pager = null;
+        this.sort = null;
+        this.planView = new PlanView(this.container);
+        // One entry per statement of the last script run (see showStatementTabs)
+        this.statements = [];
+        this.activeStatement = -1;
+        this.onStatementSelect = null;
+        this.tabBar = document.getElementById('statementTabs');
+        if (this.tabBar) {
+            this.tabBar.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-index]');
+                if (tab) {
+                    this.selectStatementTab(Number(tab.dataset.index));
+                }
+            });
+        }
+
+        const jumpInput = document.getElementById('jumpToRowInput');
+        if (jumpInput) {
+            jumpInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    const row = parseInt(jumpInput.value, 10);
+                    if (this.grid && row > 0) {
+                        this.grid.scrollToRow(row - 1);
+                    }
+                }
+            });
+        }
     }
 
-    displayResults(result, executionTime) {
+    displayResults(result, executionTime, pager = null) {
+        this.reset(pager);
         this.currentResults = result;
+        const totalRows = this.getRowCount(result);
 
         // Update row count
-        document.getElementById('rowCount').textContent = `${result.rows.length} rows`;
+        document.getElementById('rowCount').textContent = `${totalRows} rows`;
         document.getElementById('queryTime').textContent = executionTime ? `(${executionTime}s)` : '';
 
         // Clear previous results
@@ -20,74 +57,282 @@ export class ResultsView {
             return;
         }
 
-        if (result.rows.length === 0) {
+        if (totalRows === 0) {
             this.showEmptyResult();
             return;
         }
 
-        // Create results table
-        const table = this.createResultsTable(result);
-        this.container.appendChild(table);
+        this.createGrid(result);
+        this.addTruncationNote(result);
     }
 
-    createResultsTable(result) {
-        const table = document.createElement('table');
-        const thead = document.createElement('thead');
-        const tbody = document.createElement('tbody');
+    /**
+     * Total rows in a result — streamed results only keep a window of rows
+     */
+    getRowCount(result) {
+        return result.rowCount ?? result.rows.length;
+    }
 
-        // Create header row
-        const headerRow = document.createElement('tr');
-        result.columns.forEach(column => {
-            const th = document.createElement('th');
-            th.textContent = column;
-            th.addEventListener('click', () => this.sortColumn(column, th));
-            headerRow.appendChild(th);
+    /**
+     * Forget the previous result and release its DuckDB snapshot
+     */
+    reset(pager = null) {
+        if (this.pager && this.pager !== pager) {
+            this.pager.dispose();
+        }
+        this.pager = pager;
+        this.grid = null;
+        this.sort = null;
+    }
+
+    createGrid(result) {
+        this.grid = new ResultsGrid(this.container, {
+            columns: result.columns,
+            rowCount: this.getRowCount(result),
+            fetchRows: (offset, limit) => this.fetchRows(offset, limit),
+            formatValue: (value) => this.formatValue(value),
+            isExpandable: (value) => nestedEntries(value) !== null,
+            renderExpanded: (value) => this.renderValueTree(value),
+            onSort: (column, th) => this.sortColumn(column, th)
         });
-        thead.appendChild(headerRow);
-        table.appendChild(thead);
-
-        // Create data rows (limit to 1000 rows for performance)
-        const maxRows = Math.min(result.rows.length, 1000);
-        for (let i = 0; i < maxRows; i++) {
-            const row = result.rows[i];
-            const tr = document.createElement('tr');
-            result.columns.forEach(column => {
-                const td = document.createElement('td');
-                const value = row[column];
-                td.textContent = this.formatValue(value);
-                tr.appendChild(td);
-            });
-            tbody.appendChild(tr);
+    }
+
+    /**
+     * Rows for the grid: from the in-memory window when possible, otherwise
+     * a LIMIT/OFFSET page from DuckDB
+     */
+    fetchRows(offset, limit) {
+        const result = this.currentResults;
+        if (!result) {
+            return null;
+        }
+
+        // Rows beyond the window live in DuckDB — sort there with ORDER BY
+        if (this.pager && (this.sort || offset + limit > result.rows.length)) {
+            return this.pager.fetchRows(offset, limit, this.sort);
+        }
+
+        const end = Math.min(offset + limit, this.getRowCount(result));
+        if (end > result.rows.length) {
+            // Not streamed in yet
+            return null;
+        }
+        return result.rows.slice(offset, end);
+    }
+
+    // ==================== Streaming ====================
+
+    /**
+     * Prepare for a result that arrives batch by batch (see DuckDBManager.streamQuery)
+     */
+    beginStream() {
+        this.reset();
+        this.currentResults = null;
+        this.container.innerHTML = '';
+        document.getElementById('rowCount').textContent = '0 rows...';
+        document.getElementById('queryTime').textContent = '';
+    }
+
+    /**
+     * Show rows as they arrive and update the running row count
+     */
+    updateStream(result) {
+        this.currentResults = result;
+        document.getElementById('rowCount').textContent = `${result.rowCount.toLocaleString()} rows...`;
+
+        if (result.columns.length === 0 || result.rowCount === 0) {
+            return;
+        }
+
+        if (!this.grid) {
+            this.container.innerHTML = '';
+            this.createGrid(result);
+        } else {
+            this.grid.setRowCount(result.rowCount);
+        }
+    }
+
+    /**
+     * Show the final count and timing once the stream is complete
+     * @param {Object} result
+     * @param {string} executionTime
+     * @param {Object|null} pager - Serves rows beyond the streamed window
+     */
+    finishStream(result, executionTime, pager = null) {
+        if (!this.grid) {
+            // Nothing was rendered while streaming (empty or DDL result)
+            this.displayResults(result, executionTime, pager);
+            return;
         }
 
-        table.appendChild(tbody);
+        this.currentResults = result;
+        this.pager = pager;
+        this.grid.setRowCount(result.rowCount);
+        if (pager) {
+            this.grid.reset();
+        }
+        document.getElementById('rowCount').textContent = `${result.rowCount} rows`;
+        document.getElementById('queryTime').textContent = executionTime ? `(${executionTime}s)` : '';
+        this.addTruncationNote(result);
+    }
 
-        // Add note if truncated
-        if (result.rows.length > 1000) {
-            const note = document.createElement('div');
-            note.className = 'results-note';
-            note.style.cssText = `
-                padding: 0.5rem;
-                background: #fff3cd;
-                color: #856404;
-                text-align: center;
-                font-size: 0.875rem;
+    /**
+     * Add note if rows beyond the in-memory window can't be paged from DuckDB
+     */
+    addTruncationNote(result) {
+        const totalRows = this.getRowCount(result);
+        if (this.pager || totalRows <= result.rows.length) {
+            return;
+        }
+
+        const note = document.createElement('div');
+        note.className = 'results-note';
+        note.style.cssText = `
+            padding: 0.5rem;
+            background: #fff3cd;
+            color: #856404;
+            text-align: center;
+            font-size: 0.875rem;
+        `;
+        note.textContent = `Showing first ${result.rows.length.toLocaleString()} of ${totalRows.toLocaleString()} rows. Export to see all results.`;
+        this.container.appendChild(note);
+    }
+
+    /**
+     * Show a query plan from DuckDBManager.explainQuery
+     */
+    displayPlan(plan) {
+        this.reset();
+        this.currentResults = null;
+        document.getElementById('rowCount').textContent = 'Query plan';
+        document.getElementById('queryTime').textContent = plan.totalTime !== null ? `(${plan.totalTime.toFixed(3)}s)` : '';
+        this.planView.show(plan);
+    }
+
+    // ==================== Script Results ====================
+
+    /**
+     * Show a tab per statement of a script. Entries are updated in place by
+     * the caller and re-rendered with updateStatementTab.
+     * @param {Object[]} statements - {sql, status, time, result, error, pager}, where
+     *        status is 'pending', 'running', 'done', 'error' or 'skipped'
+     * @param {(statement: Object) => void} [onSelect] - Called when a tab is shown
+     */
+    showStatementTabs(statements, onSelect = null) {
+        this.statements = statements;
+        this.onStatementSelect = onSelect;
+        this.activeStatement = -1;
+        this.tabBar.classList.remove('hidden');
+        this.renderStatementTabs();
+    }
+
+    hideStatementTabs() {
+        this.statements = [];
+        this.activeStatement = -1;
+        if (this.tabBar) {
+            this.tabBar.classList.add('hidden');
+            this.tabBar.innerHTML = '';
+        }
+    }
+
+    renderStatementTabs() {
+        const icons = { pending: '○', running: '⏳', done: '✓', error: '✗', skipped: '–' };
+        this.tabBar.innerHTML = this.statements.map((statement, index) => {
+            const sql = statement.sql.length > 200 ? `${statement.sql.substring(0, 200)}...` : statement.sql;
+            const time = statement.time !== null ? `<span class="statement-tab-time">${statement.time}s</span>` : '';
+            return `
+                <button class="statement-tab status-${statement.status}${index === this.activeStatement ? ' active' : ''}"
+                    data-index="${index}" title="${escapeHtml(`${statement.status}: ${sql}`)}">
+                    <span class="statement-tab-status">${icons[statement.status]}</span>
+                    ${index + 1}
+                    ${time}
+                </button>
             `;
-            note.textContent = `Showing first 1,000 of ${result.rows.length} rows. Export to see all results.`;
-            this.container.appendChild(note);
+        }).join('');
+    }
+
+    updateStatementTab(index) {
+        if (this.statements[index]) {
+            this.renderStatementTabs();
+            if (index === this.activeStatement) {
+                this.selectStatementTab(index);
+            }
         }
+    }
 
-        return table;
+    /**
+     * Show one statement's result, error or status
+     */
+    selectStatementTab(index) {
+        const statement = this.statements[index];
+        if (!statement) {
+            return;
+        }
+
+        this.activeStatement = index;
+        this.renderStatementTabs();
+
+        if (statement.status === 'done') {
+            this.displayResults(statement.result, statement.time, statement.pager);
+        } else if (statement.status === 'error') {
+            this.displayError(statement.error);
+        } else {
+            this.reset();
+            this.currentResults = null;
+            const message = statement.status === 'skipped'
+                ? 'Skipped because an earlier statement failed'
+                : statement.status === 'running' ? 'Running...' : 'Waiting for earlier statements';
+            this.container.innerHTML = `
+                <div class="results-placeholder">
+                    <p>${message}</p>
+                    <pre class="hint">${escapeHtml(statement.sql)}</pre>
+                </div>
+            `;
+            document.getElementById('rowCount').textContent = statement.status;
+            document.getElementById('queryTime').textContent = '';
+        }
+
+        if (this.onStatementSelect) {
+            this.onStatementSelect(statement);
+        }
     }
 
     formatValue(value) {
-        if (value === null || value === undefined) {
-            return 'NULL';
+        return formatValue(value);
+    }
+
+    /**
+     * Collapsible tree of a LIST, STRUCT or MAP value, for the cell popover
+     */
+    renderValueTree(value, depth = 0) {
+        const entries = nestedEntries(value);
+        if (!entries) {
+            const leaf = document.createElement('span');
+            leaf.className = value === null || value === undefined ? 'value-tree-leaf value-null' : 'value-tree-leaf';
+            leaf.textContent = formatValue(value, true);
+            return leaf;
         }
-        if (typeof value === 'object') {
-            return JSON.stringify(value);
+
+        const details = document.createElement('details');
+        details.className = 'value-tree';
+        details.open = depth < 2;
+
+        const summary = document.createElement('summary');
+        const kind = Array.isArray(value) ? 'LIST' : value instanceof MapValue ? 'MAP' : 'STRUCT';
+        summary.textContent = `${kind} (${entries.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        for (const [key, item] of entries) {
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            label.className = 'value-tree-key';
+            label.textContent = key;
+            li.append(label, this.renderValueTree(item, depth + 1));
+            list.appendChild(li);
         }
-        return String(value);
+        details.appendChild(list);
+        return details;
     }
 
     showNoResults() {
@@ -108,68 +353,49 @@ export class ResultsView {
     }
 
     displayError(errorMessage) {
+        this.reset();
         this.container.innerHTML = `
             <div class="error-message">
                 <strong>Error:</strong>
-                <pre>${this.escapeHtml(errorMessage)}</pre>
+                <pre>${escapeHtml(errorMessage)}</pre>
             </div>
         `;
         document.getElementById('rowCount').textContent = 'Error';
         document.getElementById('queryTime').textContent = '';
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
     sortColumn(column, headerElement) {
-        if (!this.currentResults || this.currentResults.rows.length === 0) {
+        if (!this.currentResults || !this.grid) {
             return;
         }
 
         // Determine sort direction
         const currentSort = headerElement.classList.contains('sort-asc') ? 'asc' :
                           headerElement.classList.contains('sort-desc') ? 'desc' : null;
+        const direction = currentSort === 'asc' ? 'desc' : 'asc';
 
-        // Remove sort classes from all headers
-        document.querySelectorAll('table th').forEach(th => {
-            th.classList.remove('sort-asc', 'sort-desc');
-        });
-
-        let direction = 'asc';
-        if (currentSort === 'asc') {
-            direction = 'desc';
-            headerElement.classList.add('sort-desc');
-        } else {
-            headerElement.classList.add('sort-asc');
+        // Also read by exports of the current result
+        this.sort = { column, direction };
+        if (!this.pager) {
+            this.sortRows(this.currentResults.rows, column, direction);
         }
 
-        // Sort the rows
-        this.currentResults.rows.sort((a, b) => {
+        // Re-display with sorted data
+        this.grid.setSortIndicator({ column, direction });
+        this.grid.reset();
+    }
+
+    sortRows(rows, column, direction) {
+        rows.sort((a, b) => {
             const aVal = a[column];
             const bVal = b[column];
 
-            if (aVal === null || aVal === undefined) return 1;
-            if (bVal === null || bVal === undefined) return -1;
-
-            if (typeof aVal === 'number' && typeof bVal === 'number') {
-                return direction === 'asc' ? aVal - bVal : bVal - aVal;
-            }
-
-            const aStr = String(aVal).toLowerCase();
-            const bStr = String(bVal).toLowerCase();
-
-            if (direction === 'asc') {
-                return aStr.localeCompare(bStr);
-            } else {
-                return bStr.localeCompare(aStr);
+            // NULLs stay last in both directions
+            if (aVal === null || aVal === undefined || bVal === null || bVal === undefined) {
+                return compareValues(aVal, bVal);
             }
+            return direction === 'asc' ? compareValues(aVal, bVal) : compareValues(bVal, aVal);
         });
-
-        // Re-display with sorted data
-        this.displayResults(this.currentResults, '');
     }
 
 }
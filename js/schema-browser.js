@@ -0,0 +1,226 @@
+// Schema Browser - Collapsible sidebar listing the live DuckDB catalog
+import { formatValue } from './sql-values.js';
+import { escapeHtml } from './html.js';
+
+const COLLAPSED_STORAGE_KEY = 'schema_sidebar_collapsed';
+
+const CONSTRAINT_LABELS = {
+    'PRIMARY KEY': 'PK',
+    'UNIQUE': 'UQ',
+    'FOREIGN KEY': 'FK',
+    'CHECK': 'CHECK'
+};
+
+/**
+ * Quote an identifier only when it can't be typed bare
+ */
+export function formatIdentifier(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+export class SchemaBrowser {
+    /**
+     * @param {DuckDBManager} dbManager
+     * @param {Object} [callbacks]
+     * @param {(text: string) => void} [callbacks.onInsert] - Called with the clicked name
+     * @param {(catalog: Object[]) => void} [callbacks.onCatalogLoaded] - Called after each refresh
+     */
+    constructor(dbManager, { onInsert = null, onCatalogLoaded = null } = {}) {
+        this.dbManager = dbManager;
+        this.onInsert = onInsert;
+        this.onCatalogLoaded = onCatalogLoaded;
+        this.sidebar = document.getElementById('schemaSidebar');
+        this.tree = document.getElementById('schemaTree');
+        this.filterInput = document.getElementById('schemaFilter');
+
+        this.catalog = [];
+        // Keys of expanded groups and tables, kept across refreshes
+        this.expanded = new Set(['memory.main', 'memory.practice', 'workspace.main']);
+        this.details = new Map();
+
+        if (!this.sidebar || !this.tree) {
+            return;
+        }
+
+        this.setCollapsed(localStorage.getItem(COLLAPSED_STORAGE_KEY) === 'true');
+        this.setupEventListeners();
+        this.dbManager.onCatalogChange(() => this.refresh());
+    }
+
+    setupEventListeners() {
+        document.getElementById('schemaToggleBtn').addEventListener('click', () => {
+            this.setCollapsed(!this.sidebar.classList.contains('collapsed'));
+        });
+        document.getElementById('schemaRefreshBtn').addEventListener('click', () => this.refresh());
+        this.filterInput.addEventListener('input', () => this.render());
+
+        this.tree.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-insert]');
+            if (item) {
+                // Insert instead of toggling the surrounding <details>
+                e.preventDefault();
+                if (this.onInsert) {
+                    this.onInsert(item.dataset.insert);
+                }
+            }
+        });
+
+        // toggle events don't bubble
+        this.tree.addEventListener('toggle', (e) => {
+            const key = e.target.dataset.key;
+            if (!key) return;
+            if (e.target.open) {
+                this.expanded.add(key);
+                if (e.target.classList.contains('schema-table')) {
+                    this.loadDetails(key);
+                }
+            } else {
+                this.expanded.delete(key);
+            }
+        }, true);
+    }
+
+    setCollapsed(collapsed) {
+        this.sidebar.classList.toggle('collapsed', collapsed);
+        const toggle = document.getElementById('schemaToggleBtn');
+        toggle.textContent = collapsed ? '▶' : '◀';
+        toggle.title = collapsed ? 'Show schema browser' : 'Hide schema browser';
+        localStorage.setItem(COLLAPSED_STORAGE_KEY, String(collapsed));
+    }
+
+    async refresh() {
+        if (!this.dbManager.connection) {
+            return;
+        }
+
+        try {
+            this.catalog = await this.dbManager.getCatalog();
+            this.details.clear();
+            this.render();
+            if (this.onCatalogLoaded) {
+                this.onCatalogLoaded(this.catalog);
+            }
+        } catch (error) {
+            console.error('[schema-browser.js] Failed to read catalog:', error);
+            this.tree.innerHTML = `<p class="schema-empty error">${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Name to insert: bare when the schema is on the search path and no
+     * schema before it has an object of the same name
+     */
+    getInsertName(object) {
+        const searchPath = this.dbManager.getSearchPath().split(',');
+        const name = formatIdentifier(object.name);
+        const position = searchPath.indexOf(`${object.database}.${object.schema}`);
+        const shadowed = this.catalog.some(other => {
+            const otherPosition = searchPath.indexOf(`${other.database}.${other.schema}`);
+            return otherPosition !== -1 && otherPosition < position &&
+                other.name.toLowerCase() === object.name.toLowerCase();
+        });
+        if (position !== -1 && !shadowed) {
+            return name;
+        }
+        return `${formatIdentifier(object.database)}.${formatIdentifier(object.schema)}.${name}`;
+    }
+
+    render() {
+        const filter = this.filterInput.value.trim().toLowerCase();
+        const groups = new Map();
+        this.catalog
+            .filter(object => !filter || object.name.toLowerCase().includes(filter) ||
+                object.columns.some(c => c.name.toLowerCase().includes(filter)))
+            .forEach((object) => {
+                const group = `${object.database}.${object.schema}`;
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push(object);
+            });
+
+        if (!groups.size) {
+            this.tree.innerHTML = `<p class="schema-empty">${filter ? 'No matching tables' : 'No tables yet — load a file or a question'}</p>`;
+            return;
+        }
+
+        this.tree.innerHTML = [...groups].map(([group, objects]) => `
+            <details class="schema-group" data-key="${escapeHtml(group)}" ${this.expanded.has(group) || filter ? 'open' : ''}>
+                <summary>${escapeHtml(group)} <span class="schema-meta">${objects.length}</span></summary>
+                ${objects.map(object => this.renderObject(object)).join('')}
+            </details>
+        `).join('');
+
+        // Fill in details for tables that were open before the refresh
+        this.tree.querySelectorAll('details.schema-table[open]').forEach(el => this.loadDetails(el.dataset.key));
+    }
+
+    renderObject(object) {
+        const key = `${object.database}.${object.schema}.${object.name}`;
+        const esc = escapeHtml;
+        const isView = object.type === 'VIEW';
+
+        const badges = {};
+        object.constraints.forEach((constraint) => {
+            const label = CONSTRAINT_LABELS[constraint.type] || constraint.type;
+            const title = constraint.references ? `${constraint.type} → ${constraint.references}` : constraint.type;
+            constraint.columns.split(', ').forEach((column) => {
+                (badges[column] = badges[column] || []).push(`<span class="schema-badge" title="${esc(title)}">${label}</span>`);
+            });
+        });
+
+        const columns = object.columns.map(column => `
+            <li class="schema-column" data-column="${esc(column.name)}">
+                <span class="schema-item" data-insert="${esc(formatIdentifier(column.name))}" title="Insert column name">${esc(column.name)}</span>
+                <span class="schema-type">${esc(column.type)}</span>
+                ${(badges[column.name] || []).join('')}
+                ${column.nullable ? '' : '<span class="schema-badge" title="NOT NULL">NN</span>'}
+                <div class="schema-samples"></div>
+            </li>
+        `).join('');
+
+        const rowCount = object.rowCount !== null && object.rowCount !== undefined
+            ? `${Number(object.rowCount).toLocaleString()} rows`
+            : '';
+
+        return `
+            <details class="schema-table" data-key="${esc(key)}" ${this.expanded.has(key) ? 'open' : ''}>
+                <summary>
+                    <span class="schema-item" data-insert="${esc(this.getInsertName(object))}" title="Insert ${isView ? 'view' : 'table'} name">${isView ? '👁' : '📋'} ${esc(object.name)}</span>
+                    <span class="schema-meta" data-role="row-count">${rowCount}</span>
+                </summary>
+                <ul>${columns}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Exact row count and sample values, fetched when a table is expanded
+     */
+    async loadDetails(key) {
+        const object = this.catalog.find(o => `${o.database}.${o.schema}.${o.name}` === key);
+        if (!object) {
+            return;
+        }
+
+        try {
+            if (!this.details.has(key)) {
+                this.details.set(key, this.dbManager.getTableDetails(object.database, object.schema, object.name));
+            }
+            const { rowCount, samples } = await this.details.get(key);
+
+            const element = [...this.tree.querySelectorAll('details.schema-table')].find(el => el.dataset.key === key);
+            if (!element) {
+                return;
+            }
+            element.querySelector('[data-role="row-count"]').textContent = `${rowCount.toLocaleString()} rows`;
+            element.querySelectorAll('.schema-column').forEach((li) => {
+                const values = samples[li.dataset.column] || [];
+                li.querySelector('.schema-samples').textContent = values.length
+                    ? `e.g. ${values.map(v => formatValue(v)).join(', ')}`
+                    : '';
+            });
+        } catch (error) {
+            this.details.delete(key);
+            console.warn('[schema-browser.js] Failed to load table details:', error.message);
+        }
+    }
+}
@@ -3,6 +3,8 @@
  * Shows reasoning chain: each tool call + result, with approve/reject for final output.
  */
 
+import { escapeHtml } from '../html.js';
+
 export class AgentPanel {
     constructor() {
         this.history = [];
@@ -147,7 +149,7 @@ export class AgentPanel {
         switch (type) {
             case 'user':
                 stepEl.className = 'agent-step step-user';
-                stepEl.innerHTML = `<strong>You:</strong> ${this.escapeHtml(content)}`;
+                stepEl.innerHTML = `<strong>You:</strong> ${escapeHtml(content)}`;
                 break;
             case 'error':
                 stepEl.className = 'agent-step step-error';
@@ -174,7 +176,7 @@ export class AgentPanel {
                     // System pseudo-steps (retries, nudges) render as plain visible messages
                     if (step.tool === 'system') {
                         stepEl.className = 'agent-step step-system';
-                        stepEl.innerHTML = `<span class="step-icon">&#9888;</span> <strong>${this.escapeHtml(step.input?.action || 'System')}</strong>`;
+                        stepEl.innerHTML = `<span class="step-icon">&#9888;</span> <strong>${escapeHtml(step.input?.action || 'System')}</strong>`;
                         break;
                     }
 
@@ -183,12 +185,12 @@ export class AgentPanel {
                     stepEl.innerHTML = `
                         <div class="step-tool-header">
                             <span class="step-icon">&#9881;</span>
-                            <strong>${this.escapeHtml(step.tool)}</strong>
+                            <strong>${escapeHtml(step.tool)}</strong>
                             <span class="step-latency">${step.latencyMs}ms</span>
                             <span class="step-toggle">&#9660;</span>
                         </div>
                         <div class="step-summary">${callSummary}</div>
-                        <pre class="step-detail">${this.escapeHtml(JSON.stringify(step.input, null, 2))}</pre>
+                        <pre class="step-detail">${escapeHtml(JSON.stringify(step.input, null, 2))}</pre>
                     `;
                     stepEl.querySelector('.step-tool-header').addEventListener('click', () => {
                         stepEl.classList.toggle('expanded');
@@ -202,11 +204,11 @@ export class AgentPanel {
                     stepEl.innerHTML = `
                         <div class="step-tool-header">
                             <span class="step-icon">${hasError ? '&#10060;' : '&#9989;'}</span>
-                            <strong>${this.escapeHtml(step.tool)} result</strong>
+                            <strong>${escapeHtml(step.tool)} result</strong>
                             <span class="step-toggle">&#9660;</span>
                         </div>
                         <div class="step-summary">${resultSummary}</div>
-                        <pre class="step-detail">${this.escapeHtml(JSON.stringify(step.result, null, 2))}</pre>
+                        <pre class="step-detail">${escapeHtml(JSON.stringify(step.result, null, 2))}</pre>
                     `;
                     stepEl.querySelector('.step-tool-header').addEventListener('click', () => {
                         stepEl.classList.toggle('expanded');
@@ -269,12 +271,12 @@ export class AgentPanel {
         // Format concepts
         const conceptsHtml = (q.concepts || []).map(c => {
             const badge = c.is_intended ? 'intended' : 'alternative';
-            return `<span class="concept-badge concept-${badge}">${this.escapeHtml(c.name)}</span>`;
+            return `<span class="concept-badge concept-${badge}">${escapeHtml(c.name)}</span>`;
         }).join(' ');
 
         // Format explanation
         const explanationHtml = (q.sql_solution_explanation || []).map((e, i) =>
-            `<li>${this.escapeHtml(e)}</li>`
+            `<li>${escapeHtml(e)}</li>`
         ).join('');
 
         previewDiv.innerHTML = `
@@ -282,29 +284,29 @@ export class AgentPanel {
                 <h3>Question Preview</h3>
 
                 <div class="preview-meta">
-                    <span class="badge badge-${q.difficulty}">${this.escapeHtml(q.difficulty || '')}</span>
-                    <span class="badge">${this.escapeHtml(q.category || '')}</span>
+                    <span class="badge badge-${q.difficulty}">${escapeHtml(q.difficulty || '')}</span>
+                    <span class="badge">${escapeHtml(q.category || '')}</span>
                     <span class="badge">Order #${q.order_index || '?'}</span>
                 </div>
 
                 <div class="preview-section">
                     <h4>Question</h4>
-                    <p>${this.escapeHtml(q.sql_question || '')}</p>
+                    <p>${escapeHtml(q.sql_question || '')}</p>
                 </div>
 
                 <div class="preview-section">
                     <h4>Schema</h4>
-                    <pre class="preview-code">${this.escapeHtml(schemaLines.join('\n'))}</pre>
+                    <pre class="preview-code">${escapeHtml(schemaLines.join('\n'))}</pre>
                 </div>
 
                 <div class="preview-section preview-collapsible">
                     <h4 class="preview-toggle">Sample Data <span class="preview-row-count">(${rowCount > 0 ? rowCount : '?'} rows — click to expand)</span></h4>
-                    <pre class="preview-code preview-folded">${this.escapeHtml(insertData)}</pre>
+                    <pre class="preview-code preview-folded">${escapeHtml(insertData)}</pre>
                 </div>
 
                 <div class="preview-section">
                     <h4>Solution</h4>
-                    <pre class="preview-code">${this.escapeHtml(q.sql_solution || '')}</pre>
+                    <pre class="preview-code">${escapeHtml(q.sql_solution || '')}</pre>
                 </div>
 
                 <div class="preview-section">
@@ -384,15 +386,15 @@ export class AgentPanel {
             case 'list_concepts':
                 return 'Loading full concept coverage details...';
             case 'execute_sql':
-                return `Running SQL: <code>${this.escapeHtml((input?.sql || '').substring(0, 80))}...</code>`;
+                return `Running SQL: <code>${escapeHtml((input?.sql || '').substring(0, 80))}...</code>`;
             case 'validate_question':
                 return 'Validating generated question (schema + solution + distinguishability)...';
             case 'insert_question':
-                return `Inserting question: "${this.escapeHtml((input?.sql_question || '').substring(0, 60))}"`;
+                return `Inserting question: "${escapeHtml((input?.sql_question || '').substring(0, 60))}"`;
             case 'generate_test':
                 return `Generating Playwright test for question ${input?.question_id}`;
             case 'check_concept_overlap':
-                return `Checking overlap for: ${input?.concepts?.map(c => this.escapeHtml(c)).join(', ') || '?'}`;
+                return `Checking overlap for: ${input?.concepts?.map(c => escapeHtml(c)).join(', ') || '?'}`;
             default:
                 return `Calling ${tool}...`;
         }
@@ -400,19 +402,19 @@ export class AgentPanel {
 
     formatToolResult(tool, result) {
         if (result?.error) {
-            return `Error: ${this.escapeHtml(result.error)}`;
+            return `Error: ${escapeHtml(result.error)}`;
         }
 
         switch (tool) {
             case 'list_existing_questions': {
-                const cats = result.questions?.map(q => this.escapeHtml(q.category)).filter((v, i, a) => a.indexOf(v) === i).join(', ') || 'none';
-                const tables = result.used_table_names?.map(t => this.escapeHtml(t)).join(', ') || 'none';
+                const cats = result.questions?.map(q => escapeHtml(q.category)).filter((v, i, a) => a.indexOf(v) === i).join(', ') || 'none';
+                const tables = result.used_table_names?.map(t => escapeHtml(t)).join(', ') || 'none';
                 return `Found <strong>${result.count}</strong> questions. Next order_index: <strong>${result.next_order_index}</strong>.<br>Categories: ${cats}<br>Used table names: <code>${tables}</code>`;
             }
             case 'get_coverage_gaps': {
                 const gaps = result.gaps_by_category || {};
                 const categories = Object.keys(gaps);
-                const names = categories.flatMap(c => gaps[c].map(g => this.escapeHtml(g.name)));
+                const names = categories.flatMap(c => gaps[c].map(g => escapeHtml(g.name)));
                 return `<strong>${result.total_gaps}</strong> uncovered concepts: ${names.join(', ')}`;
             }
             case 'list_concepts':
@@ -420,7 +422,7 @@ export class AgentPanel {
             case 'execute_sql':
                 return result.success
                     ? `${result.command} — ${result.rowCount} row(s)`
-                    : `Failed: ${this.escapeHtml(result.error || 'unknown error')}`;
+                    : `Failed: ${escapeHtml(result.error || 'unknown error')}`;
             case 'validate_question': {
                 const parts = [
                     result.schema_valid ? 'Schema valid' : 'Schema invalid',
@@ -434,12 +436,12 @@ export class AgentPanel {
                 return parts + collisionWarning;
             }
             case 'insert_question':
-                return `Question <strong>#${result.id}</strong> inserted. Concepts tagged: ${result.concepts_tagged?.map(c => this.escapeHtml(c)).join(', ') || 'none'}`;
+                return `Question <strong>#${result.id}</strong> inserted. Concepts tagged: ${result.concepts_tagged?.map(c => escapeHtml(c)).join(', ') || 'none'}`;
             case 'generate_test':
                 return `Test file: <code>${result.filename}</code>`;
             case 'check_concept_overlap':
                 return (result.concepts || []).map(c => {
-                    const name = this.escapeHtml(c.concept);
+                    const name = escapeHtml(c.concept);
                     if (c.status === 'not_covered') return `<strong>${name}</strong> — not covered yet`;
                     if (c.status === 'alternative_only') return `<strong>${name}</strong> — alternative in Q${c.alternative_in.map(q => q.id).join(', Q')}`;
                     if (c.status === 'already_covered') return `<strong>${name}</strong> — already covered in Q${c.intended_in.map(q => q.id).join(', Q')}`;
@@ -457,10 +459,4 @@ export class AgentPanel {
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             .replace(/\n/g, '<br>');
     }
-
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
 }
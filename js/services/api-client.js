@@ -127,7 +127,8 @@ class APIClient {
             }
 
             if (!response.ok) {
-                throw new Error(data.error || `Request failed (HTTP ${response.status})`);
+                // A reached AI quota comes with its details (see practice-manager showAIQuotaNotice)
+                throw Object.assign(new Error(data.error || `Request failed (HTTP ${response.status})`), { quota: data.quota });
             }
 
             return data;
@@ -243,6 +244,24 @@ class APIClient {
         });
     }
 
+    /**
+     * Get the hints revealed so far on a question
+     * @returns {Promise<{level: number, authoredLevels: number, revealed: string[]}>}
+     */
+    async getHints(questionId) {
+        return await this.request(`/practice/hints/${questionId}`);
+    }
+
+    /**
+     * Reveal (and record) the next authored hint on a question
+     * @returns {Promise<{level: number, hint: string, authoredLevels: number}>}
+     */
+    async revealHint(questionId) {
+        return await this.request(`/practice/hints/${questionId}/reveal`, {
+            method: 'POST'
+        });
+    }
+
     /**
      * Get user progress
      */
@@ -299,6 +318,117 @@ class APIClient {
         });
     }
 
+    /**
+     * Stream an AI hint, error explanation, or solution explanation as it is generated
+     * @param {number} questionId
+     * @param {string} userQuery - Student's SQL attempt
+     * @param {string|null} errorMessage - DuckDB error if any
+     * @param {'hint'|'explain_error'|'explain_solution'} type
+     * @param {{onText: (text: string) => void, onReplace?: (text: string) => void, signal?: AbortSignal}} options
+     *        onText gets each piece of text, onReplace the whole text when the
+     *        server replaces what it sent (leak guard); aborting signal stops generation
+     * @returns {Promise<{cached: boolean, tokens: object}|null>} the final event, null if aborted
+     */
+    async streamHint(questionId, userQuery, errorMessage, type = 'hint', options = {}) {
+        return await this.streamEvents('/ai/hint', { questionId, userQuery, errorMessage, type }, options);
+    }
+
+    /**
+     * Get the tutor conversation on a question
+     * @returns {Promise<{messages: Array<{role: 'user'|'model', content: string, createdAt: string}>}>}
+     */
+    async getTutorChat(questionId) {
+        return await this.request(`/ai/chat/${questionId}`);
+    }
+
+    /**
+     * Send the tutor a message, streaming the reply as it is generated
+     * @param {string} userQuery - SQL currently in the editor, for context
+     * @param {{onText: (text: string) => void, onReplace?: (text: string) => void, signal?: AbortSignal}} options - as for streamHint
+     * @returns {Promise<{cached: boolean, tokens: object}|null>} the final event, null if aborted
+     */
+    async sendTutorMessage(questionId, message, userQuery, options = {}) {
+        return await this.streamEvents('/ai/chat', { questionId, message, userQuery }, options);
+    }
+
+    /**
+     * Delete the tutor conversation on a question
+     */
+    async clearTutorChat(questionId) {
+        return await this.request(`/ai/chat/${questionId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * POST to a streaming AI endpoint and read its server-sent events:
+     * `text` events go to onText, `replace` events to onReplace, an `error`
+     * event throws, `done` is returned.
+     * A reached AI quota throws an error with a `quota` property.
+     * @returns {Promise<object|null>} the done event, null if aborted
+     */
+    async streamEvents(endpoint, body, { onText, onReplace, signal } = {}) {
+        let response;
+        try {
+            response = await fetch(`${API_BASE_URL}${endpoint}`, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify({ ...body, stream: true }),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 401 && this.token) {
+                this.setToken(null);
+                this.setUser(null);
+                window.location.reload();
+                return null;
+            }
+            throw Object.assign(new Error(data.error || `Request failed (HTTP ${response.status})`), { quota: data.quota });
+        }
+
+        // Read SSE stream — pass each piece of text on as it arrives
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop(); // keep incomplete chunk
+
+                for (const event of events) {
+                    if (!event.startsWith('data: ')) continue;
+                    const data = JSON.parse(event.slice(6));
+
+                    if (data.type === 'text') {
+                        onText?.(data.text);
+                    } else if (data.type === 'replace') {
+                        onReplace?.(data.text);
+                    } else if (data.type === 'error') {
+                        throw new Error(data.error);
+                    } else if (data.type === 'done') {
+                        return data;
+                    }
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+
+        throw new Error('AI response ended unexpectedly. Please try again.');
+    }
+
     // ==================== Guest Methods ====================
 
     /**
@@ -244,6 +244,7 @@ export class AuthManager {
         const viewQuestionsBtn = document.getElementById('viewQuestionsBtn');
         const querySection = document.getElementById('querySection');
         const resultsPanel = document.getElementById('resultsPanel');
+        const schemaSidebar = document.getElementById('schemaSidebar');
 
         if (user) {
             // Create user menu
@@ -265,6 +266,7 @@ export class AuthManager {
             // Show query editor and results panel
             if (querySection) querySection.classList.remove('hidden');
             if (resultsPanel) resultsPanel.classList.remove('hidden');
+            if (schemaSidebar) schemaSidebar.classList.remove('hidden');
         } else {
             authBtn.textContent = 'Login';
             authBtn.classList.remove('btn-secondary');
@@ -282,6 +284,7 @@ export class AuthManager {
             // Hide query editor and results panel
             if (querySection) querySection.classList.add('hidden');
             if (resultsPanel) resultsPanel.classList.add('hidden');
+            if (schemaSidebar) schemaSidebar.classList.add('hidden');
         }
     }
 
@@ -318,6 +321,7 @@ export class AuthManager {
         const viewQuestionsBtn = document.getElementById('viewQuestionsBtn');
         const querySection = document.getElementById('querySection');
         const resultsPanel = document.getElementById('resultsPanel');
+        const schemaSidebar = document.getElementById('schemaSidebar');
 
         authBtn.textContent = 'Guest';
         authBtn.classList.remove('btn-primary');
@@ -328,6 +332,7 @@ export class AuthManager {
         if (viewQuestionsBtn) viewQuestionsBtn.classList.remove('hidden');
         if (querySection) querySection.classList.remove('hidden');
         if (resultsPanel) resultsPanel.classList.remove('hidden');
+        if (schemaSidebar) schemaSidebar.classList.remove('hidden');
     }
 
     /**
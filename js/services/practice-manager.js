@@ -4,6 +4,14 @@
  */
 
 import { apiClient } from './api-client.js';
+import { practiceSchemaFor } from '../duckdb-manager.js';
+import { splitStatements } from '../sql-splitter.js';
+import { formatValue } from '../sql-values.js';
+import { diffResults, stateCheckQuery } from './result-diff.js';
+import { escapeHtml } from '../html.js';
+
+// Rows listed per kind of difference in the wrong-answer report
+const DIFF_ROWS_SHOWN = 20;
 
 export class PracticeManager {
     constructor(dbManager) {
@@ -12,6 +20,16 @@ export class PracticeManager {
         this.currentQuestion = null;
         // Practice mode uses the main DuckDB connection (this.dbManager)
         this.questionStartTime = null;
+        // Report from the last compareResults call
+        this.lastDiff = null;
+        // The state check lastDiff is about (DML/DDL questions)
+        this.lastStateCheck = null;
+        // Hint levels revealed on the current question (see loadHints)
+        this.hintProgress = { level: 0, authoredLevels: 0, revealed: [] };
+        // Cancels the AI response being streamed, if any
+        this.aiAbortController = null;
+        // Tutor conversation on the current question (see loadTutorChat)
+        this.tutorChat = [];
 
         this.initializeUI();
     }
@@ -176,29 +194,57 @@ export class PracticeManager {
     }
 
     /**
-     * Load current question's tables into the main DuckDB connection.
-     * Uses CREATE OR REPLACE to handle table name conflicts across questions.
+     * Load the current question's tables into its own schema, rebuilt from
+     * scratch, and make that schema the first on the search path.
+     * @param {string|null} dataset - One of the question's hidden test_datasets
+     *        (INSERT statements) to load instead of the rows in sql_data
      */
-    async initializePracticeDuckDB() {
-        const data = this.currentQuestion.sql_data;
+    async initializePracticeDuckDB(dataset = null) {
+        const schema = practiceSchemaFor(this.currentQuestion.id);
+
+        // Questions may require a specific time limit (e.g. heavier joins)
+        this.dbManager.setQuestionTimeout(this.currentQuestion.query_timeout_ms);
+
+        // Execute CREATE TABLE and INSERT statements as-is, in the question's schema
+        let statements = splitStatements(this.currentQuestion.sql_data).map(s => s.text);
+        if (dataset !== null) {
+            statements = [
+                ...statements.filter(statement => !/^INSERT\b/i.test(statement)),
+                ...splitStatements(dataset).map(s => s.text)
+            ];
+        }
+        await this.dbManager.loadPracticeSchema(schema, statements);
+        if (this.dbManager.practiceSchema !== schema) {
+            await this.dbManager.setPracticeSchema(schema);
+            this.refreshSchemaBrowser();
+        }
 
-        // Extract table names from CREATE TABLE statements
-        const tableNames = [...data.matchAll(/CREATE\s+TABLE\s+(\w+)/gi)].map(m => m[1]);
+        console.log(`Practice tables loaded into ${schema} (${statements.length} statements)`);
+    }
 
-        // Drop tables in reverse order (children before parents) to avoid FK dependency errors
-        for (const name of [...tableNames].reverse()) {
-            await this.dbManager.executeQuery(`DROP TABLE IF EXISTS ${name} CASCADE`);
+    /**
+     * Restore the question's original tables after the student changed them
+     */
+    async resetQuestionData() {
+        try {
+            this.showLoading('Restoring the question\'s tables...', '↺ Resetting Question Data...');
+            await this.initializePracticeDuckDB();
+            this.refreshSchemaBrowser();
+        } catch (error) {
+            console.error('Failed to reset question data:', error);
+            alert('Failed to reset question data: ' + error.message);
+        } finally {
+            this.hideLoading();
         }
+    }
 
-        // Execute CREATE TABLE and INSERT statements as-is
-        const statements = data.split(';').filter(s => s.trim());
-        for (const statement of statements) {
-            if (statement.trim()) {
-                await this.dbManager.executeQuery(statement);
-            }
+    /**
+     * Show the question's schema (or its absence) in the sidebar and autocomplete
+     */
+    refreshSchemaBrowser() {
+        if (window.app && window.app.schemaBrowser) {
+            window.app.schemaBrowser.refresh();
         }
-
-        console.log(`Practice tables loaded (${statements.length} statements)`);
     }
 
     /**
@@ -214,6 +260,7 @@ export class PracticeManager {
         // Display difficulty and category
         document.getElementById('practiceDifficulty').textContent = this.currentQuestion.difficulty;
         document.getElementById('practiceCategory').textContent = this.currentQuestion.category;
+        document.getElementById('practiceStateBadge').classList.toggle('hidden', !this.isStateQuestion());
 
         // Display ER diagram if available
         this.displayERDiagram();
@@ -287,15 +334,116 @@ export class PracticeManager {
         const hintBtn = document.createElement('button');
         hintBtn.id = 'getHintBtn';
         hintBtn.className = 'btn btn-info practice-action-btn';
-        hintBtn.innerHTML = '🤖 Get Hint';
-        hintBtn.addEventListener('click', () => this.getAIHint('hint'));
+        hintBtn.addEventListener('click', () => this.showNextHint());
+
+        // Add tutor chat button
+        const tutorBtn = document.createElement('button');
+        tutorBtn.id = 'askTutorBtn';
+        tutorBtn.className = 'btn btn-info practice-action-btn';
+        tutorBtn.innerHTML = '💬 Ask Tutor';
+        tutorBtn.addEventListener('click', () => this.openTutorChat());
+
+        // Add reset data button
+        const resetBtn = document.createElement('button');
+        resetBtn.id = 'resetQuestionDataBtn';
+        resetBtn.className = 'btn btn-secondary practice-action-btn';
+        resetBtn.innerHTML = '↺ Reset Question Data';
+        resetBtn.title = 'Restore the question\'s tables to their original rows';
+        resetBtn.addEventListener('click', () => this.resetQuestionData());
 
         queryActions.appendChild(submitBtn);
         queryActions.appendChild(solutionBtn);
         queryActions.appendChild(hintBtn);
+        queryActions.appendChild(tutorBtn);
+        queryActions.appendChild(resetBtn);
 
         // Create AI response panel if it doesn't exist
         this.ensureAIPanel();
+        this.loadHints();
+        this.loadTutorChat();
+    }
+
+    /**
+     * Restore the hints already revealed on the current question
+     */
+    async loadHints() {
+        const question = this.currentQuestion;
+        this.hintProgress = { level: 0, authoredLevels: question.hint_count || 0, revealed: [] };
+        this.aiAbortController?.abort();
+        document.getElementById('aiResponsePanel')?.classList.add('hidden');
+        this.updateHintButton();
+
+        try {
+            const progress = await apiClient.getHints(question.id);
+            if (this.currentQuestion === question) {
+                this.hintProgress = progress;
+                this.updateHintButton();
+            }
+        } catch (error) {
+            console.error('Failed to load hints:', error);
+        }
+    }
+
+    /**
+     * Label the hint button with the level it reveals next
+     */
+    updateHintButton() {
+        const hintBtn = document.getElementById('getHintBtn');
+        if (!hintBtn) return;
+
+        const { level, authoredLevels } = this.hintProgress;
+        hintBtn.textContent = level < authoredLevels
+            ? `💡 Hint ${level + 1}/${authoredLevels}`
+            : (authoredLevels ? '🤖 AI Hint' : '🤖 Get Hint');
+    }
+
+    /**
+     * Reveal the next authored hint; after the last one, ask the AI
+     */
+    async showNextHint() {
+        const { level, authoredLevels } = this.hintProgress;
+        if (level >= authoredLevels) {
+            await this.getAIHint('hint');
+            this.hintProgress.level = authoredLevels + 1;
+            return;
+        }
+
+        const hintBtn = document.getElementById('getHintBtn');
+        if (hintBtn) hintBtn.disabled = true;
+        try {
+            const { level: revealedLevel, hint } = await apiClient.revealHint(this.currentQuestion.id);
+            this.hintProgress.revealed[revealedLevel - 1] = hint;
+            this.hintProgress.level = Math.max(level, revealedLevel);
+            this.renderHints();
+        } catch (error) {
+            console.error('Failed to reveal hint:', error);
+            alert('Failed to reveal hint: ' + error.message);
+        } finally {
+            if (hintBtn) hintBtn.disabled = false;
+            this.updateHintButton();
+        }
+    }
+
+    /**
+     * Show the revealed authored hints in the tutor panel, latest last
+     */
+    renderHints() {
+        const panel = document.getElementById('aiResponsePanel');
+        const content = document.getElementById('aiPanelContent');
+        if (!panel || !content) return;
+
+        const { revealed, authoredLevels } = this.hintProgress;
+        document.querySelector('.ai-panel-title').textContent = `💡 Hints (${revealed.length}/${authoredLevels})`;
+        content.innerHTML = `
+            <ol class="hint-levels">
+                ${revealed.map(hint => `<li>${escapeHtml(hint)}</li>`).join('')}
+            </ol>
+            ${revealed.length === authoredLevels ? '<p class="hint-next">Still stuck? The next hint comes from the AI tutor.</p>' : ''}
+        `;
+
+        document.getElementById('practiceFeedbackPanel')?.classList.add('hidden');
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
     /**
@@ -322,45 +470,49 @@ export class PracticeManager {
             // Stop timer
             const timeTaken = Math.floor((Date.now() - this.questionStartTime) / 1000);
 
-            // Execute user query
-            const userResults = await this.dbManager.executeQuery(userQuery);
-
-            // Debug: Check what tables exist before solution query
-            console.log('🔍 DEBUG: Tables before solution query');
-            try {
-                const tables = await this.dbManager.executeQuery("SHOW TABLES");
-                console.log('   Tables:', JSON.stringify(tables, null, 2));
-            } catch (e) {
-                console.log('   Error showing tables:', e.message);
+            let userResults, solutionResults, datasets;
+            if (this.isStateQuestion()) {
+                ({ userResults, solutionResults, datasets } = await this.gradeDatabaseState(userQuery));
+            } else {
+                // The solution runs first, as on the server, so the
+                // submission can't change its input
+                solutionResults = await this.dbManager.executeQuery(this.currentQuestion.sql_solution);
+                userResults = await this.dbManager.executeQuery(userQuery);
+
+                // Debug logging (handle BigInt serialization)
+                console.log('Comparing results:');
+                console.log('User results:', this.safeStringify(userResults));
+                console.log('Solution results:', this.safeStringify(solutionResults));
+                console.log('Solution query:', this.currentQuestion.sql_solution);
+
+                // Compare results
+                const matchesVisible = this.compareResults(userResults, solutionResults);
+
+                // Re-grade on the hidden datasets so answers hard-coded to the
+                // visible rows fail
+                datasets = await this.gradeHiddenDatasets(userQuery, matchesVisible);
             }
-
-            // Get solution results for comparison
-            const solutionResults = await this.dbManager.executeQuery(this.currentQuestion.sql_solution);
-
-            // Debug logging (handle BigInt serialization)
-            console.log('Comparing results:');
-            console.log('User results:', this.safeStringify(userResults));
-            console.log('Solution results:', this.safeStringify(solutionResults));
-            console.log('Solution query:', this.currentQuestion.sql_solution);
-
-            // Compare results
-            const isCorrect = this.compareResults(userResults, solutionResults);
-            console.log('Is correct?', isCorrect);
+            const isCorrect = datasets.passed === datasets.total;
+            console.log('Is correct?', isCorrect, `(${datasets.passed}/${datasets.total} datasets)`);
 
             // Show feedback
-            this.showFeedback(isCorrect, userResults, solutionResults);
+            this.showFeedback(isCorrect, userResults, solutionResults, datasets);
 
-            // Submit to backend
-            await apiClient.verifySolution(
+            // Submit to backend, which grades the query again; its verdict is the one recorded
+            const verification = await apiClient.verifySolution(
                 this.currentQuestion.id,
                 userQuery,
                 userResults,
                 isCorrect,
                 timeTaken
             );
+            const verdict = verification.attempt.isCorrect;
+            if (verdict !== isCorrect) {
+                this.showVerdictMismatch(verdict, verification.grading);
+            }
 
             // If correct, show next question button
-            if (isCorrect) {
+            if (verdict) {
                 this.showNextQuestionButton();
             }
 
@@ -371,66 +523,138 @@ export class PracticeManager {
     }
 
     /**
-     * Compare user results with solution results
+     * Compare user results with solution results under the question's grading
+     * rules. The full report is kept in `lastDiff` for the feedback panel.
      */
     compareResults(userResults, solutionResults) {
-        // Order-independent comparison:
-        // 1. Same row count
-        // 2. Same column name set
-        // 3. Each row, serialized with columns in a canonical order and sorted,
-        //    matches position-by-position after sorting both sides.
-
         if (!userResults?.rows || !solutionResults?.rows) {
             console.log('❌ Compare: Missing results');
+            this.lastDiff = null;
             return false;
         }
 
-        const userRows = userResults.rows;
-        const solutionRows = solutionResults.rows;
+        this.lastDiff = diffResults(userResults, solutionResults, this.currentQuestion.grading_config);
+        const { columns, rowCount, onlyInActual, onlyInExpected, changedRows } = this.lastDiff;
+        console.log(`📊 Rows: User=${rowCount.actual}, Solution=${rowCount.expected}; ` +
+            `missing columns [${columns.missing.join(', ')}], extra columns [${columns.extra.join(', ')}]; ` +
+            `${onlyInActual.length} extra, ${onlyInExpected.length} missing, ${changedRows.length} changed rows`);
+        return this.lastDiff.matches;
+    }
 
-        console.log(`📊 Row count: User=${userRows.length}, Solution=${solutionRows.length}`);
-        if (userRows.length !== solutionRows.length) {
-            console.log('❌ Compare: Row count mismatch');
-            return false;
-        }
+    /**
+     * DML/DDL questions are graded on the tables (or check queries) named in
+     * state_checks rather than on the script's output
+     */
+    isStateQuestion() {
+        return Boolean(this.currentQuestion.state_checks?.length);
+    }
 
-        const userCols = userRows.length > 0 ? Object.keys(userRows[0] || {}).sort() : [];
-        const solutionCols = solutionRows.length > 0 ? Object.keys(solutionRows[0] || {}).sort() : [];
+    /**
+     * Read each of the question's state_checks after running `script` on a
+     * fresh copy of the question's data
+     * @returns {Promise<Object[]>} One result per check
+     */
+    async readStateAfter(script, dataset) {
+        await this.initializePracticeDuckDB(dataset);
+        await this.dbManager.executeQuery(script);
+        const results = [];
+        for (const check of this.currentQuestion.state_checks) {
+            results.push(await this.dbManager.executeQuery(stateCheckQuery(check)));
+        }
+        return results;
+    }
 
-        console.log(`📊 Columns - User: [${userCols.join(', ')}]`);
-        console.log(`📊 Columns - Solution: [${solutionCols.join(', ')}]`);
+    /**
+     * Grade a DML/DDL question: the solution and the user's statements each
+     * run on a fresh copy of every dataset, then the state checks are compared.
+     * The visible data goes last, so the user's changes stay in place to look at.
+     * Errors on the visible data propagate like a failing SELECT would.
+     * @returns {Promise<{userResults: Object, solutionResults: Object, datasets: Object}>}
+     *          The results of the first check that differs (or the first check)
+     */
+    async gradeDatabaseState(userQuery) {
+        const { sql_solution: solution, grading_config: rules, state_checks: checks } = this.currentQuestion;
+        const hidden = this.currentQuestion.test_datasets || [];
+        const failedHidden = [];
 
-        if (userCols.length !== solutionCols.length ||
-            !userCols.every((c, i) => c === solutionCols[i])) {
-            console.log('❌ Compare: Column names do not match');
-            return false;
+        for (let i = 0; i < hidden.length; i++) {
+            try {
+                const expected = await this.readStateAfter(solution, hidden[i]);
+                const actual = await this.readStateAfter(userQuery, hidden[i]);
+                if (!actual.every((result, c) => diffResults(result, expected[c], rules).matches)) {
+                    failedHidden.push(i + 1);
+                }
+            } catch (error) {
+                console.log(`Hidden dataset ${i + 1}: ${error.message}`);
+                failedHidden.push(i + 1);
+            }
         }
 
-        // Canonicalize each row: stringify values through String() so BigInt,
-        // Date, and number all collapse consistently, with keys in sorted order.
-        const canonical = (row, cols) =>
-            JSON.stringify(cols.map(c => String(row[c])));
+        const expected = await this.readStateAfter(solution, null);
+        const actual = await this.readStateAfter(userQuery, null);
+        let failing = 0;
+        this.lastDiff = null;
+        for (let c = 0; c < checks.length; c++) {
+            this.lastDiff = diffResults(actual[c], expected[c], rules);
+            if (!this.lastDiff.matches) {
+                failing = c;
+                break;
+            }
+        }
+        this.lastStateCheck = checks[failing];
+        this.refreshSchemaBrowser();
+
+        const total = hidden.length + 1;
+        const passed = total - failedHidden.length - (this.lastDiff.matches ? 0 : 1);
+        return {
+            userResults: actual[failing],
+            solutionResults: expected[failing],
+            datasets: { passed, total, failedHidden }
+        };
+    }
 
-        const userSorted = userRows.map(r => canonical(r, userCols)).sort();
-        const solutionSorted = solutionRows.map(r => canonical(r, solutionCols)).sort();
+    /**
+     * Run the user query and the solution against each of the question's
+     * hidden test_datasets, then reload the visible data
+     * @param {string} userQuery
+     * @param {boolean} matchesVisible - Result on the visible sql_data
+     * @returns {Promise<{passed: number, total: number, failedHidden: number[]}>}
+     *          Counts include the visible data; failedHidden holds 1-based dataset numbers
+     */
+    async gradeHiddenDatasets(userQuery, matchesVisible) {
+        const hidden = this.currentQuestion.test_datasets || [];
+        const failedHidden = [];
 
-        for (let i = 0; i < userSorted.length; i++) {
-            if (userSorted[i] !== solutionSorted[i]) {
-                console.log(`❌ Compare: Row mismatch at sorted index ${i}`);
-                console.log(`   User:     ${userSorted[i]}`);
-                console.log(`   Solution: ${solutionSorted[i]}`);
-                return false;
+        if (hidden.length) {
+            try {
+                for (let i = 0; i < hidden.length; i++) {
+                    await this.initializePracticeDuckDB(hidden[i]);
+                    const expected = await this.dbManager.executeQuery(this.currentQuestion.sql_solution);
+                    let matches = false;
+                    try {
+                        const actual = await this.dbManager.executeQuery(userQuery);
+                        matches = diffResults(actual, expected, this.currentQuestion.grading_config).matches;
+                    } catch (error) {
+                        console.log(`Hidden dataset ${i + 1}: ${error.message}`);
+                    }
+                    if (!matches) {
+                        failedHidden.push(i + 1);
+                    }
+                }
+            } finally {
+                await this.initializePracticeDuckDB();
             }
         }
 
-        console.log('✅ Compare: Results match!');
-        return true;
+        const total = hidden.length + 1;
+        return { passed: total - failedHidden.length - (matchesVisible ? 0 : 1), total, failedHidden };
     }
 
     /**
      * Show feedback
+     * @param {Object} [datasets] - From gradeHiddenDatasets
      */
-    showFeedback(isCorrect, userResults, solutionResults) {
+    showFeedback(isCorrect, userResults, solutionResults, datasets = { passed: 1, total: 1, failedHidden: [] }) {
         const feedbackPanel = document.getElementById('practiceFeedbackPanel');
         const feedbackIcon = document.getElementById('feedbackIcon');
         const feedbackMessage = document.getElementById('feedbackMessage');
@@ -443,15 +667,24 @@ export class PracticeManager {
             feedbackIcon.textContent = '✅';
             feedbackMessage.textContent = 'Correct! Well done!';
             feedbackDetails.innerHTML = `
-                <p>Your solution matches the expected result.</p>
+                <p>Your solution matches the expected result${datasets.total > 1 ? ` on all ${datasets.total} test datasets` : ''}.</p>
                 <p>Click "Next Question" to continue.</p>
             `;
         } else {
             feedbackPanel.classList.add('feedback-incorrect');
             feedbackIcon.textContent = '❌';
             feedbackMessage.textContent = 'Not quite right. Keep trying!';
+            // Only the visible data gets a diff: hidden datasets stay hidden
+            const matchesVisible = this.lastDiff?.matches;
+            const failed = datasets.failedHidden.length;
             feedbackDetails.innerHTML = `
-                <p>Your results don't match the expected solution.</p>
+                ${datasets.total > 1 ? `<p class="dataset-score">Passed ${datasets.passed}/${datasets.total} test datasets</p>` : ''}
+                ${matchesVisible
+                    ? `<p>Your query matches the sample data but not ${failed === 1 ? 'a hidden test dataset' : `${failed} hidden test datasets`}. Make sure it doesn't depend on hard-coded values or on rows that only exist in the sample.</p>`
+                    : this.isStateQuestion()
+                        ? `<p>After your statements, <code>${escapeHtml(this.lastStateCheck)}</code> doesn't match what the expected solution leaves behind.</p>`
+                        : '<p>Your results don\'t match the expected solution.</p>'}
+                ${this.lastDiff && !matchesVisible ? this.renderResultDiff(this.lastDiff) : ''}
                 <p>Click "Show Solution" to see the correct answer, or ask AI for help.</p>
                 <button id="explainErrorBtn" class="btn btn-info btn-sm">🤖 Explain What's Wrong</button>
             `;
@@ -461,6 +694,128 @@ export class PracticeManager {
         }
     }
 
+    /**
+     * Side-by-side report of how a wrong result differs from the expected one.
+     * The question's diff_config can mask expected values
+     * ({hide_expected_values: true} or {hidden_columns: [...]}).
+     */
+    renderResultDiff(diff) {
+        const config = this.currentQuestion?.diff_config || {};
+        const hiddenColumns = new Set(config.hidden_columns || []);
+        const esc = escapeHtml;
+        const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+        const names = (columns) => columns.map(c => `<code>${esc(c)}</code>`).join(', ');
+
+        const summary = [];
+        if (diff.columns.missing.length) {
+            summary.push(`Missing ${count(diff.columns.missing.length, 'column')}: ${names(diff.columns.missing)}`);
+        }
+        if (diff.columns.extra.length) {
+            summary.push(`Unexpected ${count(diff.columns.extra.length, 'column')}: ${names(diff.columns.extra)}`);
+        }
+        if (diff.rowCount.actual !== diff.rowCount.expected) {
+            summary.push(`Your query returned ${count(diff.rowCount.actual, 'row')}; ${diff.rowCount.expected} expected`);
+        }
+        if (diff.changedRows.length) {
+            summary.push(`<span class="diff-key diff-changed">≠</span> ${count(diff.changedRows.length, 'row')} with wrong values`);
+        }
+        if (diff.onlyInActual.length) {
+            summary.push(`<span class="diff-key diff-only-actual">+</span> ${count(diff.onlyInActual.length, 'row')} only in your result`);
+        }
+        if (diff.onlyInExpected.length) {
+            summary.push(`<span class="diff-key diff-only-expected">−</span> ${count(diff.onlyInExpected.length, 'expected row')} missing from your result`);
+        }
+        if (diff.orderMismatch) {
+            summary.push(`The rows are right but in the wrong order (from row ${diff.orderMismatch.position + 1}); this question checks the order`);
+        }
+
+        const actualColumns = diff.columns.actual;
+        const expectedColumns = diff.columns.expected;
+        const width = actualColumns.length + expectedColumns.length + 1;
+        const divider = (i) => (i === 0 ? ' diff-divider' : '');
+
+        const actualCells = (row, changed = []) => actualColumns.map((column) => {
+            if (!row) return '<td class="diff-empty"></td>';
+            const className = changed.includes(column) ? ' class="diff-cell-changed"' : '';
+            return `<td${className}>${esc(formatValue(row[column]))}</td>`;
+        }).join('');
+
+        const expectedCells = (row, changed = []) => expectedColumns.map((column, i) => {
+            if (!row) return `<td class="diff-empty${divider(i)}"></td>`;
+            if (config.hide_expected_values || hiddenColumns.has(column)) {
+                return `<td class="diff-masked${divider(i)}" title="Hidden by the question author">•••</td>`;
+            }
+            const changedClass = changed.includes(column) ? ' diff-cell-changed' : '';
+            return `<td class="${changedClass}${divider(i)}">${esc(formatValue(row[column]))}</td>`;
+        }).join('');
+
+        // Each kind of difference is capped so huge results stay readable
+        const section = (rows, kind, marker, render) => {
+            const shown = rows.slice(0, DIFF_ROWS_SHOWN).map(item =>
+                `<tr class="${kind}"><td class="diff-marker">${marker}</td>${render(item)}</tr>`);
+            if (rows.length > DIFF_ROWS_SHOWN) {
+                shown.push(`<tr class="${kind}"><td class="diff-more" colspan="${width}">…and ${rows.length - DIFF_ROWS_SHOWN} more</td></tr>`);
+            }
+            return shown.join('');
+        };
+
+        const body = [
+            section(diff.changedRows, 'diff-changed', '≠', change =>
+                actualCells(change.actual, change.actualColumns) + expectedCells(change.expected, change.columns)),
+            section(diff.onlyInActual, 'diff-only-actual', '+', row => actualCells(row) + expectedCells(null)),
+            section(diff.onlyInExpected, 'diff-only-expected', '−', row => actualCells(null) + expectedCells(row))
+        ].join('');
+
+        const table = body ? `
+            <div class="result-diff-scroll">
+                <table class="result-diff-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th colspan="${actualColumns.length}">Your result</th>
+                            <th colspan="${expectedColumns.length}" class="diff-divider">Expected</th>
+                        </tr>
+                        <tr>
+                            <th></th>
+                            ${actualColumns.map(c => `<th${diff.columns.extra.includes(c) ? ' class="diff-column-extra"' : ''}>${esc(c)}</th>`).join('')}
+                            ${expectedColumns.map((c, i) => `<th class="${diff.columns.missing.includes(c) ? 'diff-column-missing' : ''}${divider(i)}">${esc(c)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>
+        ` : '';
+
+        return `
+            <div class="result-diff">
+                <ul class="result-diff-summary">${summary.map(item => `<li>${item}</li>`).join('')}</ul>
+                ${table}
+            </div>
+        `;
+    }
+
+    /**
+     * The server's grading disagreed with the browser's: show the server's verdict
+     * @param {boolean} isCorrect
+     * @param {{passed: number, total: number, error: string|null}} grading
+     */
+    showVerdictMismatch(isCorrect, grading) {
+        const feedbackPanel = document.getElementById('practiceFeedbackPanel');
+        const feedbackIcon = document.getElementById('feedbackIcon');
+        const feedbackMessage = document.getElementById('feedbackMessage');
+        const feedbackDetails = document.getElementById('feedbackDetails');
+
+        feedbackPanel.classList.remove('feedback-correct', 'feedback-incorrect');
+        feedbackPanel.classList.add(isCorrect ? 'feedback-correct' : 'feedback-incorrect');
+        feedbackIcon.textContent = isCorrect ? '✅' : '❌';
+        feedbackMessage.textContent = isCorrect ? 'Correct! Well done!' : 'Not quite right. Keep trying!';
+        feedbackDetails.innerHTML = `
+            <p>The server's check ${isCorrect ? 'accepted' : 'did not accept'} your answer
+               (passed ${grading.passed}/${grading.total} test datasets), and its verdict is the one recorded.</p>
+            ${grading.error ? `<p>${escapeHtml(grading.error)}</p>` : ''}
+        `;
+    }
+
     /**
      * Show error feedback
      */
@@ -476,7 +831,7 @@ export class PracticeManager {
         feedbackIcon.textContent = '⚠️';
         feedbackMessage.textContent = 'Error executing query';
         feedbackDetails.innerHTML = `
-            <p>${this.escapeHtml(errorMessage)}</p>
+            <p>${escapeHtml(errorMessage)}</p>
             <button id="explainErrorBtn" class="btn btn-info btn-sm">🤖 Explain This Error</button>
         `;
         document.getElementById('explainErrorBtn').addEventListener('click', () => {
@@ -506,7 +861,7 @@ export class PracticeManager {
         solutionContent.innerHTML = `
             <div class="solution-code">
                 <strong>Correct Solution:</strong>
-                <pre><code>${this.escapeHtml(this.currentQuestion.sql_solution)}</code></pre>
+                <pre><code>${escapeHtml(this.currentQuestion.sql_solution)}</code></pre>
             </div>
             ${explanationHTML}
         `;
@@ -616,6 +971,15 @@ export class PracticeManager {
         // Remove practice buttons
         this.removePracticeButtons();
 
+        // Fall back to the user's own query timeout and default schema
+        this.dbManager.setQuestionTimeout(null);
+        try {
+            await this.dbManager.setPracticeSchema(null);
+            this.refreshSchemaBrowser();
+        } catch (error) {
+            console.error('Failed to leave the question schema:', error);
+        }
+
         // Deactivate on backend
         try {
             await apiClient.deactivatePracticeMode();
@@ -647,15 +1011,6 @@ export class PracticeManager {
         overlay.classList.remove('visible');
     }
 
-    /**
-     * Escape HTML for safe display
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
     /**
      * Safely stringify results, handling BigInt values
      */
@@ -683,9 +1038,21 @@ export class PracticeManager {
         panel.innerHTML = `
             <div class="ai-panel-header">
                 <span class="ai-panel-title">🤖 AI Tutor</span>
-                <button id="aiPanelClose" class="btn-link ai-panel-close">✕</button>
+                <span class="ai-panel-actions">
+                    <button id="aiStopBtn" class="btn-link ai-panel-stop hidden">■ Stop</button>
+                    <button id="aiPanelClose" class="btn-link ai-panel-close">✕</button>
+                </span>
             </div>
             <div id="aiPanelContent" class="ai-panel-content"></div>
+            <div class="ai-chat">
+                <div id="aiChatLog" class="ai-chat-log"></div>
+                <form id="aiChatForm" class="ai-chat-form">
+                    <input id="aiChatInput" type="text" maxlength="1000" autocomplete="off"
+                        placeholder="Ask the tutor a follow-up, e.g. why does HAVING go after GROUP BY?">
+                    <button id="aiChatSendBtn" type="submit" class="btn btn-info">Ask</button>
+                    <button id="aiChatClearBtn" type="button" class="btn-link ai-chat-clear" title="Start the conversation over">Clear</button>
+                </form>
+            </div>
         `;
 
         // Insert after the feedback panel or at end of left panel
@@ -697,8 +1064,49 @@ export class PracticeManager {
         }
 
         document.getElementById('aiPanelClose').addEventListener('click', () => {
+            this.aiAbortController?.abort();
             panel.classList.add('hidden');
         });
+        document.getElementById('aiStopBtn').addEventListener('click', () => {
+            this.aiAbortController?.abort();
+        });
+        document.getElementById('aiChatForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendTutorMessage();
+        });
+        document.getElementById('aiChatClearBtn').addEventListener('click', () => this.clearTutorChat());
+    }
+
+    /**
+     * Start streaming an AI response: shows Stop, disables the hint and chat
+     * buttons, and cancels any response still streaming
+     * @returns {AbortController} pass to endAIStream when done
+     */
+    beginAIStream() {
+        this.aiAbortController?.abort();
+        const controller = new AbortController();
+        this.aiAbortController = controller;
+
+        document.getElementById('aiStopBtn')?.classList.remove('hidden');
+        for (const id of ['getHintBtn', 'aiChatSendBtn']) {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = true;
+        }
+        return controller;
+    }
+
+    /**
+     * Finish an AI response (unless another one has replaced it)
+     */
+    endAIStream(controller) {
+        if (this.aiAbortController !== controller) return;
+        this.aiAbortController = null;
+
+        document.getElementById('aiStopBtn')?.classList.add('hidden');
+        for (const id of ['getHintBtn', 'aiChatSendBtn']) {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = false;
+        }
     }
 
     /**
@@ -730,46 +1138,199 @@ export class PracticeManager {
         content.innerHTML = '<span class="ai-thinking">Thinking...</span>';
         panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 
-        // Disable hint button while loading
-        const hintBtn = document.getElementById('getHintBtn');
-        if (hintBtn) hintBtn.disabled = true;
+        // Disable hint button while loading; Stop cancels the stream
+        const controller = this.beginAIStream();
 
         try {
-            const response = await apiClient.getHint(
+            // Render the response as it is generated
+            let started = false;
+            const response = await apiClient.streamHint(
                 this.currentQuestion.id,
                 userQuery,
                 errorMessage,
-                type
+                type,
+                {
+                    signal: controller.signal,
+                    onText: (text) => {
+                        if (!started) {
+                            content.textContent = '';
+                            started = true;
+                        }
+                        content.textContent += text;
+                    },
+                    // The server's leak guard swapped the response for another
+                    onReplace: (text) => {
+                        content.textContent = text;
+                        started = true;
+                    }
+                }
             );
 
-            if (response.error) {
-                content.textContent = response.error;
-                return;
+            if (!response) {
+                // Stopped by the student
+                if (!started) content.textContent = '';
+                content.innerHTML += '<span class="ai-cached"> (stopped)</span>';
+            } else if (response.cached) {
+                content.innerHTML += '<span class="ai-cached"> (cached)</span>';
+            }
+
+        } catch (error) {
+            console.error('AI hint error:', error);
+            if (error.quota) {
+                this.showAIQuotaNotice(error.quota);
+            } else {
+                content.textContent = error.message || 'Failed to get hint. Please try again.';
             }
+        } finally {
+            this.endAIStream(controller);
+        }
+    }
+
+    /**
+     * Explain in the AI panel that the student has reached their daily AI limit
+     * @param {{limit: 'tokens'|'requests', allowed: number, used: number, role: string, resetsAt: string}} quota
+     */
+    showAIQuotaNotice(quota) {
+        const content = document.getElementById('aiPanelContent');
+        if (!content) return;
+
+        const what = quota.limit === 'tokens'
+            ? `${quota.allowed.toLocaleString()} AI tokens`
+            : `${quota.allowed.toLocaleString()} AI requests`;
+        const resetsAt = new Date(quota.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        document.querySelector('.ai-panel-title').textContent = '🤖 AI Tutor';
+        content.innerHTML = `
+            <div class="ai-quota-notice">
+                <strong>You've used today's AI tutor allowance</strong>
+                <p>Your daily limit is ${what}. It resets at ${resetsAt}.</p>
+                <p>Authored hints, running queries and submitting answers still work in the meantime.</p>
+                ${quota.role === 'guest' ? '<p>Create an account for a larger daily allowance.</p>' : ''}
+            </div>
+        `;
+        document.getElementById('aiResponsePanel')?.classList.remove('hidden');
+    }
 
-            // Typing animation
-            content.textContent = '';
-            await this.typeText(content, response.hint);
+    // ==================== AI Tutor Chat ====================
 
-            if (response.cached) {
-                content.innerHTML += '<span class="ai-cached"> (cached)</span>';
+    /**
+     * Restore the saved tutor conversation on the current question
+     */
+    async loadTutorChat() {
+        const question = this.currentQuestion;
+        this.tutorChat = [];
+        this.renderTutorChat();
+
+        try {
+            const { messages } = await apiClient.getTutorChat(question.id);
+            if (this.currentQuestion === question) {
+                this.tutorChat = messages;
+                this.renderTutorChat();
             }
+        } catch (error) {
+            console.error('Failed to load tutor chat:', error);
+        }
+    }
+
+    /**
+     * Show the tutor panel with the conversation, ready for a message
+     */
+    openTutorChat() {
+        const panel = document.getElementById('aiResponsePanel');
+        if (!panel) return;
+
+        document.querySelector('.ai-panel-title').textContent = '💬 AI Tutor';
+        document.getElementById('aiPanelContent').innerHTML = '';
+        document.getElementById('practiceFeedbackPanel')?.classList.add('hidden');
+        panel.classList.remove('hidden');
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        document.getElementById('aiChatInput').focus();
+    }
+
+    /**
+     * Render the conversation, oldest message first
+     */
+    renderTutorChat() {
+        const log = document.getElementById('aiChatLog');
+        if (!log) return;
+
+        log.innerHTML = this.tutorChat.map(({ role, content }) => `
+            <div class="ai-chat-message ai-chat-${role}">${escapeHtml(content)}</div>
+        `).join('');
+        log.scrollTop = log.scrollHeight;
+    }
+
+    /**
+     * Send the message in the chat input and stream the tutor's reply into the log
+     */
+    async sendTutorMessage() {
+        const input = document.getElementById('aiChatInput');
+        const message = input.value.trim();
+        if (!message) return;
+
+        const question = this.currentQuestion;
+        const queryEditor = document.querySelector('.CodeMirror');
+        const userQuery = queryEditor?.CodeMirror?.getValue() || '';
 
+        input.value = '';
+        const reply = { role: 'model', content: '' };
+        this.tutorChat.push({ role: 'user', content: message }, reply);
+        this.renderTutorChat();
+
+        const log = document.getElementById('aiChatLog');
+        const replyEl = log.lastElementChild;
+        replyEl.innerHTML = '<span class="ai-thinking">Thinking...</span>';
+
+        const controller = this.beginAIStream();
+        try {
+            const response = await apiClient.sendTutorMessage(question.id, message, userQuery, {
+                signal: controller.signal,
+                onText: (text) => {
+                    reply.content += text;
+                    replyEl.textContent = reply.content;
+                    log.scrollTop = log.scrollHeight;
+                },
+                // The server's leak guard swapped the reply for another
+                onReplace: (text) => {
+                    reply.content = text;
+                    replyEl.textContent = reply.content;
+                }
+            });
+
+            if (!response && !reply.content && this.currentQuestion === question) {
+                // Stopped before the tutor said anything — nothing was saved
+                this.tutorChat.splice(-2);
+                this.renderTutorChat();
+                input.value = message;
+            }
         } catch (error) {
-            console.error('AI hint error:', error);
-            content.textContent = error.message || 'Failed to get hint. Please try again.';
+            console.error('Tutor chat error:', error);
+            if (this.currentQuestion === question) {
+                this.tutorChat.splice(-2);
+                this.renderTutorChat();
+                input.value = message;
+            }
+            if (error.quota) {
+                this.showAIQuotaNotice(error.quota);
+            } else {
+                alert(error.message || 'Failed to get a reply. Please try again.');
+            }
         } finally {
-            if (hintBtn) hintBtn.disabled = false;
+            this.endAIStream(controller);
         }
     }
 
     /**
-     * Animate text appearing character by character
+     * Delete the conversation on the current question
      */
-    async typeText(element, text, speed = 20) {
-        for (const char of text) {
-            element.textContent += char;
-            await new Promise(r => setTimeout(r, speed));
+    async clearTutorChat() {
+        try {
+            await apiClient.clearTutorChat(this.currentQuestion.id);
+            this.tutorChat = [];
+            this.renderTutorChat();
+        } catch (error) {
+            console.error('Failed to clear tutor chat:', error);
+            alert('Failed to clear the conversation: ' + error.message);
         }
     }
 }
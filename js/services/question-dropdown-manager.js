@@ -5,6 +5,7 @@
 
 import { PracticeManager } from './practice-manager.js';
 import { apiClient } from './api-client.js';
+import { escapeHtml } from '../html.js';
 
 class QuestionDropdownManager {
     constructor() {
@@ -258,19 +259,10 @@ class QuestionDropdownManager {
     showError(message) {
         const container = document.getElementById('selectedQuestionInfo');
         if (container) {
-            container.innerHTML = `<div class="error-message">${this.escapeHtml(message)}</div>`;
+            container.innerHTML = `<div class="error-message">${escapeHtml(message)}</div>`;
             container.classList.remove('hidden');
         }
     }
-
-    /**
-     * Escape HTML to prevent XSS
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
 }
 
 // Export for use in app.js
@@ -4,6 +4,7 @@
  */
 
 import { apiClient } from './api-client.js';
+import { escapeHtml } from '../html.js';
 
 class QuestionsManager {
     constructor() {
@@ -104,14 +105,14 @@ class QuestionsManager {
                         <span class="question-number">Q${questionNumber}</span>
                         <span class="question-status ${statusClass}">${statusText}</span>
                     </div>
-                    <h3 class="question-title">${this.escapeHtml(question.sql_question)}</h3>
+                    <h3 class="question-title">${escapeHtml(question.sql_question)}</h3>
                     <div class="question-meta">
-                        <span class="badge badge-category">${this.escapeHtml(question.category)}</span>
-                        <span class="badge badge-difficulty">${this.escapeHtml(question.difficulty)}</span>
+                        <span class="badge badge-category">${escapeHtml(question.category)}</span>
+                        <span class="badge badge-difficulty">${escapeHtml(question.difficulty)}</span>
                     </div>
                     <button class="btn btn-primary btn-small start-question-btn"
                             data-question-id="${question.id}">
-                        ${statusText === 'Completed' ? 'Retry' : 'Start'}
+                        ${statusClass === 'completed' ? 'Retry' : 'Start'}
                     </button>
                 </div>
             `;
@@ -136,7 +137,10 @@ class QuestionsManager {
         const progress = this.userProgress[questionId];
 
         if (progress && progress.completed) {
-            return { class: 'completed', text: '✓ Completed' };
+            // Hint levels revealed before the first correct answer
+            const hints = progress.hintsUsed || 0;
+            const hintText = hints ? ` · ${hints} hint${hints === 1 ? '' : 's'}` : '';
+            return { class: 'completed', text: `✓ Completed${hintText}` };
         } else if (progress && progress.attempts > 0) {
             return { class: 'in-progress', text: '→ In Progress' };
         } else {
@@ -171,16 +175,7 @@ class QuestionsManager {
     showError(message) {
         const container = document.getElementById('questionsList');
         if (!container) return;
-        container.innerHTML = `<div class="error-message">${this.escapeHtml(message)}</div>`;
-    }
-
-    /**
-     * Escape HTML to prevent XSS
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        container.innerHTML = `<div class="error-message">${escapeHtml(message)}</div>`;
     }
 }
 
@@ -0,0 +1,247 @@
+/**
+ * Result Diff
+ * Structured comparison of a submission's result with the expected result:
+ * column differences, row counts, rows found on only one side and rows whose
+ * values differ. How results are matched is set per question by grading rules
+ * (questions.grading_config). The server imports this module too, so browser
+ * feedback and server-side checks grade the same way.
+ *
+ * DML/DDL questions (questions.state_checks) are graded on database state:
+ * each check is read after the reference script and after the student's
+ * script ran on fresh copies of the data, and the two results compared.
+ */
+
+import { BigDecimal, comparisonKey } from '../sql-values.js';
+
+// Unmatched rows beyond this are still reported, just not paired cell by cell
+const MAX_PAIRED_ROWS = 200;
+
+/**
+ * Grading rules used when a question sets none (or leaves some out)
+ */
+export const DEFAULT_GRADING_RULES = Object.freeze({
+    // true: rows must come back in the expected order
+    ordered: false,
+    // 'exact' | 'case_insensitive' | 'positional' (names ignored, matched by position)
+    column_names: 'exact',
+    // Largest absolute difference at which two numbers still match
+    numeric_tolerance: 0,
+    // 'strict': NULL only matches NULL; 'match_empty': NULL also matches '' and []
+    nulls: 'strict',
+    // 'count': rows are a multiset; 'ignore': duplicate rows are collapsed first
+    duplicates: 'count'
+});
+
+const RULE_CHOICES = {
+    column_names: ['exact', 'case_insensitive', 'positional'],
+    nulls: ['strict', 'match_empty'],
+    duplicates: ['count', 'ignore']
+};
+
+/**
+ * Fill in defaults for a question's grading_config and reject invalid values.
+ * @param {Object|null} config
+ * @returns {Object} Complete rules
+ * @throws {Error} On unknown keys or invalid values
+ */
+export function normalizeGradingRules(config) {
+    const rules = { ...DEFAULT_GRADING_RULES, ...(config || {}) };
+
+    for (const key of Object.keys(rules)) {
+        if (!(key in DEFAULT_GRADING_RULES)) {
+            throw new Error(`Unknown grading rule "${key}"`);
+        }
+    }
+    if (typeof rules.ordered !== 'boolean') {
+        throw new Error('Grading rule "ordered" must be true or false');
+    }
+    if (typeof rules.numeric_tolerance !== 'number' || !(rules.numeric_tolerance >= 0)) {
+        throw new Error('Grading rule "numeric_tolerance" must be a number >= 0');
+    }
+    for (const [key, choices] of Object.entries(RULE_CHOICES)) {
+        if (!choices.includes(rules[key])) {
+            throw new Error(`Grading rule "${key}" must be one of: ${choices.join(', ')}`);
+        }
+    }
+    return rules;
+}
+
+/**
+ * Query that reads one of a question's state_checks (DML/DDL questions):
+ * a table or view name reads all of its rows, anything else is a query
+ * @param {string} check
+ * @returns {string}
+ */
+export function stateCheckQuery(check) {
+    const text = check.trim();
+    return /^[A-Za-z_][\w.]*$/.test(text) ? `SELECT * FROM ${text}` : text;
+}
+
+function columnsOf(result) {
+    if (result.columns && result.columns.length) {
+        return result.columns;
+    }
+    return result.rows.length ? Object.keys(result.rows[0]) : [];
+}
+
+/**
+ * Pair each expected column with the submission's column it is graded against
+ */
+function pairColumns(actualColumns, expectedColumns, mode) {
+    if (mode === 'positional') {
+        return expectedColumns.slice(0, actualColumns.length)
+            .map((expected, i) => ({ actual: actualColumns[i], expected }));
+    }
+
+    const fold = mode === 'case_insensitive' ? (name => name.toLowerCase()) : (name => name);
+    const pairs = [];
+    const used = new Set();
+    expectedColumns.forEach((expected) => {
+        const actual = actualColumns.find(name => !used.has(name) && fold(name) === fold(expected));
+        if (actual !== undefined) {
+            used.add(actual);
+            pairs.push({ actual, expected });
+        }
+    });
+    return pairs;
+}
+
+function isNumeric(value) {
+    return typeof value === 'number' || value instanceof BigDecimal;
+}
+
+/**
+ * Compare two query results.
+ * @param {{columns?: string[], rows: Object[]}} actual - The student's result
+ * @param {{columns?: string[], rows: Object[]}} expected - The solution's result
+ * @param {Object} [config] - The question's grading_config (see DEFAULT_GRADING_RULES)
+ * @returns {{
+ *   matches: boolean,
+ *   columns: {actual: string[], expected: string[], missing: string[], extra: string[]},
+ *   rowCount: {actual: number, expected: number},
+ *   onlyInActual: Object[],
+ *   onlyInExpected: Object[],
+ *   changedRows: {actual: Object, expected: Object, columns: string[], actualColumns: string[]}[],
+ *   orderMismatch: {position: number}|null
+ * }} Rows are compared on the paired columns; in changedRows `columns` are the
+ *    differing expected columns and `actualColumns` the submission's
+ */
+export function diffResults(actual, expected, config = null) {
+    const rules = normalizeGradingRules(config);
+    const actualColumns = columnsOf(actual);
+    const expectedColumns = columnsOf(expected);
+    const pairs = pairColumns(actualColumns, expectedColumns, rules.column_names);
+    // Positional pairs are by index, so names may repeat on either side
+    const missing = rules.column_names === 'positional'
+        ? expectedColumns.slice(pairs.length)
+        : expectedColumns.filter(c => !pairs.some(pair => pair.expected === c));
+    const extra = rules.column_names === 'positional'
+        ? actualColumns.slice(pairs.length)
+        : actualColumns.filter(c => !pairs.some(pair => pair.actual === c));
+    const tolerance = rules.numeric_tolerance;
+
+    const cellOf = (value) => {
+        if (rules.nulls === 'match_empty' && (value === '' || (Array.isArray(value) && !value.length))) {
+            return null;
+        }
+        return value === undefined ? null : value;
+    };
+    const cellsEqual = (a, b) => {
+        if (tolerance && isNumeric(a) && isNumeric(b)) {
+            // Allow for the binary rounding of the difference itself
+            return Math.abs(Number(a) - Number(b)) <= tolerance * (1 + 1e-9);
+        }
+        return comparisonKey(a) === comparisonKey(b);
+    };
+    const rowsEqual = (a, b) => a.cells.every((value, i) => cellsEqual(value, b.cells[i]));
+    // Rows that can match share a bucket; numbers are left out of it when a
+    // tolerance applies and compared cell by cell instead
+    const bucketOf = (entry) => JSON.stringify(entry.cells.map(value =>
+        (tolerance && isNumeric(value) ? '#' : comparisonKey(value))));
+
+    const prepare = (result, side) => {
+        const entries = result.rows.map(row => ({ row, cells: pairs.map(pair => cellOf(row[pair[side]])) }));
+        if (rules.duplicates !== 'ignore') {
+            return entries;
+        }
+        const seen = new Set();
+        return entries.filter((entry) => {
+            const key = JSON.stringify(entry.cells.map(comparisonKey));
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    };
+    const actualRows = prepare(actual, 'actual');
+    const expectedRows = prepare(expected, 'expected');
+
+    // Expected rows by bucket; each actual row consumes one matching expected row
+    const pending = new Map();
+    expectedRows.forEach((entry) => {
+        const key = bucketOf(entry);
+        if (!pending.has(key)) pending.set(key, []);
+        pending.get(key).push(entry);
+    });
+
+    // Without paired columns no row can match, only the row counts would
+    const onlyInActual = [];
+    actualRows.forEach((entry) => {
+        const bucket = pairs.length ? pending.get(bucketOf(entry)) : null;
+        const index = bucket ? bucket.findIndex(candidate => rowsEqual(candidate, entry)) : -1;
+        if (index !== -1) {
+            bucket.splice(index, 1);
+        } else {
+            onlyInActual.push(entry);
+        }
+    });
+    const onlyInExpected = [...pending.values()].flat();
+
+    // Pair leftover rows that agree on some columns: those are "wrong values"
+    // rather than wrong rows
+    const changedRows = [];
+    const paired = new Set();
+    if (pairs.length > 1) {
+        const candidates = onlyInActual.slice(0, MAX_PAIRED_ROWS);
+        onlyInExpected.slice(0, MAX_PAIRED_ROWS).forEach((entry) => {
+            let best = null;
+            let bestScore = 0;
+            candidates.forEach((candidate) => {
+                if (paired.has(candidate)) return;
+                const score = entry.cells.filter((value, i) => cellsEqual(value, candidate.cells[i])).length;
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            });
+            if (best) {
+                paired.add(best).add(entry);
+                const differing = pairs.filter((pair, i) => !cellsEqual(entry.cells[i], best.cells[i]));
+                changedRows.push({
+                    actual: best.row,
+                    expected: entry.row,
+                    columns: differing.map(pair => pair.expected),
+                    actualColumns: differing.map(pair => pair.actual)
+                });
+            }
+        });
+    }
+
+    const sameRows = !onlyInActual.length && !onlyInExpected.length;
+    let orderMismatch = null;
+    if (rules.ordered && sameRows) {
+        const position = expectedRows.findIndex((entry, i) => !rowsEqual(entry, actualRows[i]));
+        if (position !== -1) {
+            orderMismatch = { position };
+        }
+    }
+
+    return {
+        matches: !missing.length && !extra.length && sameRows && !orderMismatch,
+        columns: { actual: actualColumns, expected: expectedColumns, missing, extra },
+        rowCount: { actual: actual.rows.length, expected: expected.rows.length },
+        onlyInActual: onlyInActual.filter(entry => !paired.has(entry)).map(entry => entry.row),
+        onlyInExpected: onlyInExpected.filter(entry => !paired.has(entry)).map(entry => entry.row),
+        changedRows,
+        orderMismatch
+    };
+}
@@ -0,0 +1,243 @@
+/**
+ * Usage Panel — admin view of AI usage, estimated cost and cache hit rate,
+ * and the daily AI quotas per role and per user.
+ */
+
+import { escapeHtml } from '../html.js';
+
+const GROUP_LABELS = { day: 'Day', user: 'User', question: 'Question', type: 'Type', prompt: 'Prompt version' };
+
+export class UsagePanel {
+    constructor() {
+        this.createPanel();
+    }
+
+    createPanel() {
+        const panelHTML = `
+            <div id="usagePanel" class="agent-panel usage-panel hidden">
+                <div class="agent-header">
+                    <h3>AI Usage &amp; Quotas</h3>
+                    <button id="closeUsagePanel" class="btn-close">&times;</button>
+                </div>
+                <div class="agent-key-input">
+                    <input type="password" id="usageAdminKeyInput" placeholder="Admin Key" class="form-input">
+                </div>
+                <div class="agent-steps">
+                    <div class="usage-controls">
+                        <label>By
+                            <select id="usageGroupBy">
+                                ${Object.entries(GROUP_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Last
+                            <select id="usageDays">
+                                <option value="1">1 day</option>
+                                <option value="7" selected>7 days</option>
+                                <option value="30">30 days</option>
+                                <option value="90">90 days</option>
+                            </select>
+                        </label>
+                        <button id="usageLoadBtn" class="btn btn-primary">Load</button>
+                    </div>
+                    <div id="usageError" class="agent-step step-error hidden"></div>
+                    <div id="usageSummary" class="usage-summary"></div>
+                    <table id="usageTable" class="usage-table"></table>
+
+                    <h4>Daily quotas</h4>
+                    <p class="hint-small">Blank = unlimited. A user's quota replaces their role's. Cache hits cost no tokens but count as requests.</p>
+                    <table id="quotaTable" class="usage-table"></table>
+                    <form id="quotaAddForm" class="usage-controls">
+                        <input id="quotaUserId" type="number" min="1" placeholder="User id" class="form-input">
+                        <input id="quotaAddTokens" type="number" min="0" placeholder="Tokens/day" class="form-input">
+                        <input id="quotaAddRequests" type="number" min="0" placeholder="Requests/day" class="form-input">
+                        <button type="submit" class="btn btn-secondary">Add user quota</button>
+                    </form>
+                </div>
+            </div>
+        `;
+        document.body.insertAdjacentHTML('beforeend', panelHTML);
+        this.attachEvents();
+    }
+
+    attachEvents() {
+        document.getElementById('closeUsagePanel').addEventListener('click', () => this.hide());
+        document.getElementById('usageLoadBtn').addEventListener('click', () => this.load());
+        document.getElementById('usageAdminKeyInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.load();
+        });
+        document.getElementById('quotaAddForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveQuota({
+                userId: parseInt(document.getElementById('quotaUserId').value),
+                dailyTokens: this.limitValue(document.getElementById('quotaAddTokens').value),
+                dailyRequests: this.limitValue(document.getElementById('quotaAddRequests').value)
+            });
+        });
+    }
+
+    show() {
+        document.getElementById('usagePanel').classList.remove('hidden');
+        // Reuse the key typed into the agent panel
+        const keyInput = document.getElementById('usageAdminKeyInput');
+        const agentKey = document.getElementById('adminKeyInput')?.value.trim();
+        if (!keyInput.value && agentKey) keyInput.value = agentKey;
+
+        if (keyInput.value) {
+            this.load();
+        } else {
+            keyInput.focus();
+        }
+    }
+
+    hide() {
+        document.getElementById('usagePanel').classList.add('hidden');
+    }
+
+    /**
+     * Admin API call with the key from the panel; throws with the server's error
+     */
+    async adminFetch(endpoint, options = {}) {
+        const adminKey = document.getElementById('usageAdminKeyInput').value.trim();
+        if (!adminKey) {
+            throw new Error('Please enter the admin key first');
+        }
+
+        const response = await fetch(`/api/admin${endpoint}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', 'X-Admin-Key': adminKey }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Request failed (HTTP ${response.status})`);
+        }
+        return data;
+    }
+
+    showError(message) {
+        const errorEl = document.getElementById('usageError');
+        errorEl.textContent = message ? `Error: ${message}` : '';
+        errorEl.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Load the usage report and the quotas
+     */
+    async load() {
+        const by = document.getElementById('usageGroupBy').value;
+        const days = document.getElementById('usageDays').value;
+
+        try {
+            const [usage, { quotas }] = await Promise.all([
+                this.adminFetch(`/ai-usage?by=${by}&days=${days}`),
+                this.adminFetch('/ai-quotas')
+            ]);
+            this.showError(null);
+            this.renderUsage(usage);
+            this.renderQuotas(quotas);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    renderUsage({ by, days, rows, totals, cache }) {
+        const lookups = cache.hits + cache.misses;
+        document.getElementById('usageSummary').innerHTML = `
+            <div><strong>${this.formatCost(totals.cost)}</strong> estimated over ${days} day${days === 1 ? '' : 's'}</div>
+            <div>${totals.requests.toLocaleString()} requests ·
+                ${totals.inputTokens.toLocaleString()} input / ${totals.outputTokens.toLocaleString()} output tokens</div>
+            <div>Cache: ${this.formatRate(totals.cacheHitRate)} of hint requests answered from cache ·
+                ${this.formatRate(lookups ? cache.hits / lookups : null)} of ${lookups.toLocaleString()} lookups hit</div>
+        `;
+
+        document.getElementById('usageTable').innerHTML = `
+            <thead>
+                <tr>
+                    <th>${GROUP_LABELS[by]}</th>
+                    <th>Requests</th>
+                    <th>Tokens in / out</th>
+                    <th>Cost</th>
+                    <th>Cache hits</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.label ?? row.key)}</td>
+                        <td>${row.requests.toLocaleString()}</td>
+                        <td>${row.inputTokens.toLocaleString()} / ${row.outputTokens.toLocaleString()}</td>
+                        <td>${this.formatCost(row.cost)}</td>
+                        <td>${this.formatRate(row.cacheHitRate)}</td>
+                    </tr>
+                `).join('') || '<tr><td colspan="5">No AI requests in this period</td></tr>'}
+            </tbody>
+        `;
+    }
+
+    renderQuotas(quotas) {
+        const table = document.getElementById('quotaTable');
+        table.innerHTML = `
+            <thead>
+                <tr><th>Applies to</th><th>Tokens/day</th><th>Requests/day</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${quotas.map(quota => `
+                    <tr data-id="${quota.id}">
+                        <td>${quota.role
+                            ? `All ${quota.role} users`
+                            : `User #${quota.user_id} ${escapeHtml(quota.is_guest ? '(guest)' : quota.email || '')}`}</td>
+                        <td><input type="number" min="0" class="form-input quota-tokens" value="${quota.daily_tokens ?? ''}"></td>
+                        <td><input type="number" min="0" class="form-input quota-requests" value="${quota.daily_requests ?? ''}"></td>
+                        <td>
+                            <button class="btn btn-secondary quota-save">Save</button>
+                            ${quota.role ? '' : '<button class="btn btn-secondary quota-remove">Remove</button>'}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        quotas.forEach((quota, i) => {
+            const row = table.tBodies[0].rows[i];
+            row.querySelector('.quota-save').addEventListener('click', () => this.saveQuota({
+                ...(quota.role ? { role: quota.role } : { userId: quota.user_id }),
+                dailyTokens: this.limitValue(row.querySelector('.quota-tokens').value),
+                dailyRequests: this.limitValue(row.querySelector('.quota-requests').value)
+            }));
+            row.querySelector('.quota-remove')?.addEventListener('click', () => this.removeQuota(quota.id));
+        });
+    }
+
+    async saveQuota(quota) {
+        try {
+            await this.adminFetch('/ai-quotas', { method: 'PUT', body: JSON.stringify(quota) });
+            document.getElementById('quotaAddForm').reset();
+            await this.load();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async removeQuota(id) {
+        try {
+            await this.adminFetch(`/ai-quotas/${id}`, { method: 'DELETE' });
+            await this.load();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * A limit input's value: a whole number, or null (unlimited) when blank
+     */
+    limitValue(value) {
+        return value === '' ? null : parseInt(value);
+    }
+
+    formatCost(usd) {
+        return `$${usd.toFixed(usd < 1 ? 4 : 2)}`;
+    }
+
+    formatRate(rate) {
+        return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Workspace Manager
+ * Named persistent DuckDB databases stored in the Origin Private File System.
+ * The default "Temporary" workspace keeps everything in memory as before.
+ */
+
+const WORKSPACE_STORAGE_KEY = 'duckdb_workspace';
+const WORKSPACE_EXTENSION = '.duckdb';
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class WorkspaceManager {
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.current = null;
+        this.select = document.getElementById('workspaceSelect');
+        this.isSupported = Boolean(navigator.storage && navigator.storage.getDirectory);
+
+        if (!this.select) {
+            return;
+        }
+
+        if (!this.isSupported) {
+            this.select.disabled = true;
+            this.select.title = 'Persistent workspaces need a browser with the Origin Private File System';
+            document.querySelectorAll('.workspace-bar button').forEach(b => { b.disabled = true; });
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.select.addEventListener('change', () => this.run(() => this.switchTo(this.select.value || null)));
+        document.getElementById('newWorkspaceBtn').addEventListener('click', () => this.run(() => this.create()));
+        document.getElementById('exportWorkspaceBtn').addEventListener('click', () => this.run(() => this.exportCurrent()));
+        document.getElementById('deleteWorkspaceBtn').addEventListener('click', () => this.run(() => this.deleteCurrent()));
+
+        const importInput = document.getElementById('importWorkspaceInput');
+        document.getElementById('importWorkspaceBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) {
+                this.run(() => this.importFile(file));
+            }
+        });
+    }
+
+    /**
+     * Reopen the workspace used last time (call once DuckDB is initialized)
+     */
+    async restore() {
+        if (!this.isSupported) {
+            return;
+        }
+
+        const saved = localStorage.getItem(WORKSPACE_STORAGE_KEY);
+        const names = await this.list();
+        if (saved && names.includes(saved)) {
+            try {
+                await this.switchTo(saved);
+                return;
+            } catch (error) {
+                console.warn('Failed to reopen workspace:', error.message);
+            }
+        }
+        this.render(names);
+    }
+
+    /**
+     * Names of the workspaces saved in OPFS
+     */
+    async list() {
+        const root = await navigator.storage.getDirectory();
+        const names = [];
+        for await (const [fileName, handle] of root.entries()) {
+            if (handle.kind === 'file' && fileName.endsWith(WORKSPACE_EXTENSION)) {
+                names.push(fileName.slice(0, -WORKSPACE_EXTENSION.length));
+            }
+        }
+        return names.sort();
+    }
+
+    getPath(name) {
+        return `opfs://${name}${WORKSPACE_EXTENSION}`;
+    }
+
+    async switchTo(name) {
+        // openWorkspace closes the current workspace before attaching the new one
+        this.current = null;
+        await this.dbManager.openWorkspace(name ? this.getPath(name) : null);
+        this.current = name;
+        if (name) {
+            localStorage.setItem(WORKSPACE_STORAGE_KEY, name);
+        } else {
+            localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+        }
+        this.render(await this.list());
+    }
+
+    async create() {
+        const name = this.promptName('New workspace name (letters, numbers, - and _):');
+        if (!name) {
+            return;
+        }
+        if ((await this.list()).includes(name)) {
+            throw new Error(`Workspace "${name}" already exists`);
+        }
+
+        // Attaching a path that doesn't exist yet creates the database
+        await this.switchTo(name);
+    }
+
+    async exportCurrent() {
+        if (!this.current) {
+            throw new Error('The temporary workspace is not saved; create a workspace first');
+        }
+
+        const data = await this.dbManager.exportWorkspace();
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.current}${WORKSPACE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Copy a .duckdb file into OPFS as a new workspace and open it
+     */
+    async importFile(file) {
+        const suggested = file.name.replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_-]/g, '_');
+        const name = this.promptName('Name for the imported workspace:', suggested);
+        if (!name) {
+            return;
+        }
+        if ((await this.list()).includes(name) && !confirm(`Replace workspace "${name}"?`)) {
+            return;
+        }
+
+        // An open workspace holds an exclusive handle on its file
+        if (this.current === name) {
+            await this.switchTo(null);
+        }
+
+        const root = await navigator.storage.getDirectory();
+        await root.removeEntry(`${name}${WORKSPACE_EXTENSION}.wal`).catch(() => {});
+        const handle = await root.getFileHandle(`${name}${WORKSPACE_EXTENSION}`, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(await file.arrayBuffer());
+        await writable.close();
+
+        try {
+            await this.switchTo(name);
+        } catch (error) {
+            // Not a DuckDB database (or a newer storage version): don't keep it
+            await root.removeEntry(`${name}${WORKSPACE_EXTENSION}`).catch(() => {});
+            await this.switchTo(null);
+            throw error;
+        }
+    }
+
+    async deleteCurrent() {
+        const name = this.current;
+        if (!name) {
+            throw new Error('Select a saved workspace to delete');
+        }
+        if (!confirm(`Delete workspace "${name}" and all of its tables? This cannot be undone.`)) {
+            return;
+        }
+
+        await this.switchTo(null);
+        const root = await navigator.storage.getDirectory();
+        await root.removeEntry(`${name}${WORKSPACE_EXTENSION}`);
+        await root.removeEntry(`${name}${WORKSPACE_EXTENSION}.wal`).catch(() => {});
+        this.render(await this.list());
+    }
+
+    promptName(message, defaultValue = '') {
+        const name = prompt(message, defaultValue);
+        if (name === null) {
+            return null;
+        }
+        if (!NAME_PATTERN.test(name.trim())) {
+            throw new Error('Workspace names may only contain letters, numbers, - and _');
+        }
+        return name.trim();
+    }
+
+    render(names) {
+        this.select.innerHTML = '<option value="">Temporary (in memory)</option>' +
+            names.map(name => `<option value="${name}">${name}</option>`).join('');
+        this.select.value = this.current || '';
+        document.getElementById('exportWorkspaceBtn').disabled = !this.current;
+        document.getElementById('deleteWorkspaceBtn').disabled = !this.current;
+    }
+
+    /**
+     * Run a workspace action with the controls disabled, reporting failures
+     */
+    async run(action) {
+        const controls = document.querySelectorAll('.workspace-bar select, .workspace-bar button');
+        controls.forEach(c => { c.disabled = true; });
+        try {
+            await action();
+        } catch (error) {
+            console.error('[workspace-manager.js] Workspace action failed:', error);
+            alert(error.message);
+        } finally {
+            controls.forEach(c => { c.disabled = false; });
+            this.render(await this.list().catch(() => []));
+        }
+    }
+}
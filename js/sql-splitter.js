@@ -0,0 +1,132 @@
+// SQL Splitter - Splits a script into statements using DuckDB's lexical rules
+//
+// DuckDB offers this as duckdb_extract_statements in its C API, but neither
+// SQL nor DuckDB-WASM's JS bindings expose it, so the scanner below follows the
+// same rules: a semicolon only ends a statement outside of strings, quoted
+// identifiers, dollar-quoted bodies and comments.
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_]/;
+const DOLLAR_TAG = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+/**
+ * Index just past a quoted run starting at `start` ('' or "" escape the quote;
+ * E'' strings also allow backslash escapes). Unterminated runs end the script.
+ */
+function skipQuoted(sql, start, quote, backslashEscapes) {
+    let i = start + 1;
+    while (i < sql.length) {
+        if (backslashEscapes && sql[i] === '\\') {
+            i += 2;
+        } else if (sql[i] === quote) {
+            if (sql[i + 1] !== quote) {
+                return i + 1;
+            }
+            i += 2;
+        } else {
+            i++;
+        }
+    }
+    return sql.length;
+}
+
+/**
+ * Index just past a block comment; like Postgres, DuckDB lets them nest
+ */
+function skipBlockComment(sql, start) {
+    let depth = 0;
+    let i = start;
+    while (i < sql.length) {
+        if (sql.startsWith('/*', i)) {
+            depth++;
+            i += 2;
+        } else if (sql.startsWith('*/', i)) {
+            depth--;
+            i += 2;
+            if (depth === 0) {
+                return i;
+            }
+        } else {
+            i++;
+        }
+    }
+    return sql.length;
+}
+
+/**
+ * Split a script into its statements.
+ * @param {string} sql
+ * @returns {{text: string, start: number, end: number, codeStart: number, codeEnd: number}[]}
+ *          One entry per statement that contains code (comment-only pieces
+ *          are dropped). `text` is trimmed and has no trailing semicolon;
+ *          `start`/`end` are the offsets in `sql` between the surrounding
+ *          semicolons, `codeStart`/`codeEnd` those of the code in between
+ *          (without leading or trailing comments).
+ */
+export function splitStatements(sql) {
+    const statements = [];
+    let start = 0;
+    let hasCode = false;
+    let codeStart = 0;
+    let codeEnd = 0;
+    let i = 0;
+
+    const finish = (end) => {
+        if (hasCode) {
+            statements.push({ text: sql.slice(start, end).trim(), start, end, codeStart, codeEnd });
+        }
+        start = end + 1;
+        hasCode = false;
+    };
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        const previous = i > 0 ? sql[i - 1] : '';
+
+        if (sql.startsWith('--', i)) {
+            const newline = sql.indexOf('\n', i);
+            i = newline === -1 ? sql.length : newline + 1;
+        } else if (sql.startsWith('/*', i)) {
+            i = skipBlockComment(sql, i);
+        } else if (ch === ';') {
+            finish(i);
+            i++;
+        } else if (/\s/.test(ch)) {
+            i++;
+        } else {
+            if (!hasCode) {
+                codeStart = i;
+            }
+            hasCode = true;
+            if (ch === '\'') {
+                i = skipQuoted(sql, i, '\'', false);
+            } else if (ch === '"') {
+                i = skipQuoted(sql, i, '"', false);
+            } else if ((ch === 'e' || ch === 'E') && sql[i + 1] === '\'' && !IDENTIFIER_CHAR.test(previous)) {
+                i = skipQuoted(sql, i + 1, '\'', true);
+            } else if (ch === '$' && !IDENTIFIER_CHAR.test(previous) && DOLLAR_TAG.test(sql.slice(i, i + 66))) {
+                // $$...$$ or $tag$...$tag$ (but not $1 parameters)
+                const tag = sql.slice(i).match(DOLLAR_TAG)[0];
+                const close = sql.indexOf(tag, i + tag.length);
+                i = close === -1 ? sql.length : close + tag.length;
+            } else {
+                i++;
+            }
+            codeEnd = i;
+        }
+    }
+    finish(sql.length);
+
+    return statements;
+}
+
+/**
+ * The statement under (or just before) a cursor offset, or null if the
+ * script has no statements
+ */
+export function statementAt(sql, offset) {
+    const statements = splitStatements(sql);
+    // A cursor right after the semicolon still belongs to that statement
+    return statements.find(statement => offset <= statement.end + 1) ||
+        statements[statements.length - 1] ||
+        null;
+}
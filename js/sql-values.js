@@ -0,0 +1,368 @@
+// SQL Values - Reads DuckDB's Arrow results as exact JS values and formats them like DuckDB
+//
+// Cells are decoded straight from the Arrow buffers rather than with
+// Vector.get(): apache-arrow 17 turns 64-bit timestamps into float
+// milliseconds, drops the nanoseconds of MONTH_DAY_NANO intervals and slices
+// interval children with the wrong stride.
+//
+// Values are plain JS wherever that is lossless:
+//   BOOLEAN → boolean; integers and floats → number (BIGINT/HUGEINT beyond
+//   2^53 → BigDecimal); DECIMAL → BigDecimal (number when the scale is 0);
+//   DATE/TIME/TIMESTAMP/INTERVAL → DuckDB's text form; VARCHAR, UUID, ENUM →
+//   string; BLOB → string with \xNN escapes; LIST/ARRAY → Array; STRUCT →
+//   Object; MAP → MapValue.
+
+// apache-arrow's Type enum (not imported: arrow is loaded lazily by DuckDBManager)
+const TYPE = {
+    Null: 1, Int: 2, Float: 3, Binary: 4, Utf8: 5, Bool: 6, Decimal: 7, Date: 8, Time: 9,
+    Timestamp: 10, Interval: 11, List: 12, Struct: 13, Union: 14, FixedSizeBinary: 15,
+    FixedSizeList: 16, Map: 17, Duration: 18, LargeBinary: 19, LargeUtf8: 20, Dictionary: -1
+};
+// Nanoseconds per unit of apache-arrow's TimeUnit (SECOND, MILLISECOND, MICROSECOND, NANOSECOND)
+const UNIT_NANOS = [1000000000n, 1000000n, 1000n, 1n];
+const MS_PER_DAY = 86400000;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Exact decimal number: an unscaled BigInt and a scale. Also used for
+ * integers beyond Number.MAX_SAFE_INTEGER. Arithmetic and < / > see it as a
+ * (possibly rounded) number through valueOf(); toString() and toJSON() are exact.
+ */
+export class BigDecimal {
+    constructor(unscaled, scale = 0) {
+        this.unscaled = unscaled;
+        this.scale = scale;
+    }
+
+    toString() {
+        const negative = this.unscaled < 0n;
+        const digits = (negative ? -this.unscaled : this.unscaled).toString();
+        if (!this.scale) {
+            return `${negative ? '-' : ''}${digits}`;
+        }
+        const padded = digits.padStart(this.scale + 1, '0');
+        const point = padded.length - this.scale;
+        return `${negative ? '-' : ''}${padded.slice(0, point)}.${padded.slice(point)}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    valueOf() {
+        return Number(this.toString());
+    }
+}
+
+/**
+ * A MAP value; keys can be of any type, so it is kept as entries
+ */
+export class MapValue {
+    /**
+     * @param {Array<[any, any]>} entries
+     */
+    constructor(entries) {
+        this.entries = entries;
+    }
+
+    toJSON() {
+        return this.entries.map(([key, value]) => ({ key, value }));
+    }
+}
+
+// ==================== Reading Arrow data ====================
+
+function readInt(data, index) {
+    const value = data.values[index];
+    if (typeof value !== 'bigint') {
+        return value;
+    }
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+        ? Number(value)
+        : new BigDecimal(value);
+}
+
+function readDecimal(data, index) {
+    // Little-endian 32-bit words of a two's complement integer
+    const words = data.type.bitWidth / 32;
+    let unscaled = 0n;
+    for (let w = words - 1; w >= 0; w--) {
+        unscaled = (unscaled << 32n) | BigInt(data.values[index * words + w]);
+    }
+    if (unscaled >= 1n << BigInt(data.type.bitWidth - 1)) {
+        unscaled -= 1n << BigInt(data.type.bitWidth);
+    }
+
+    const { scale } = data.type;
+    if (!scale && unscaled >= BigInt(Number.MIN_SAFE_INTEGER) && unscaled <= BigInt(Number.MAX_SAFE_INTEGER)) {
+        return Number(unscaled);
+    }
+    return new BigDecimal(unscaled, scale);
+}
+
+function readBytes(data, index) {
+    const offsets = data.valueOffsets;
+    return data.values.subarray(Number(offsets[index]), Number(offsets[index + 1]));
+}
+
+/**
+ * BLOBs the way DuckDB prints them: printable ASCII as is, the rest as \xNN
+ */
+export function formatBlob(bytes) {
+    let text = '';
+    for (const byte of bytes) {
+        text += byte >= 32 && byte < 127 && byte !== 92
+            ? String.fromCharCode(byte)
+            : `\\x${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+    }
+    return text;
+}
+
+/**
+ * Fractional seconds without trailing zeros, e.g. 789000000n → '.789'
+ */
+function formatFraction(nanos, digits) {
+    if (!nanos) {
+        return '';
+    }
+    const text = nanos.toString().padStart(9, '0').slice(0, digits).replace(/0+$/, '');
+    return text ? `.${text}` : '';
+}
+
+function formatDate(ms) {
+    const date = new Date(ms);
+    if (Number.isNaN(date.getTime())) {
+        return ms > 0 ? 'infinity' : '-infinity';
+    }
+    const iso = date.toISOString();
+    return iso.substring(0, iso.indexOf('T'));
+}
+
+/**
+ * 'YYYY-MM-DD HH:MM:SS[.ffffff]' (UTC) from nanoseconds since the epoch
+ */
+function formatTimestamp(nanos, digits) {
+    let seconds = nanos / 1000000000n;
+    let fraction = nanos % 1000000000n;
+    if (fraction < 0n) {
+        seconds -= 1n;
+        fraction += 1000000000n;
+    }
+    const date = new Date(Number(seconds) * 1000);
+    if (Number.isNaN(date.getTime())) {
+        return nanos > 0n ? 'infinity' : '-infinity';
+    }
+    const iso = date.toISOString();
+    return `${iso.substring(0, iso.indexOf('T'))} ${iso.substr(iso.indexOf('T') + 1, 8)}${formatFraction(fraction, digits)}`;
+}
+
+function formatTimeOfDay(nanos, digits) {
+    const negative = nanos < 0n;
+    const abs = negative ? -nanos : nanos;
+    const totalSeconds = abs / 1000000000n;
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${negative ? '-' : ''}${pad(totalSeconds / 3600n)}:${pad((totalSeconds / 60n) % 60n)}:${pad(totalSeconds % 60n)}` +
+        formatFraction(abs % 1000000000n, digits);
+}
+
+/**
+ * INTERVAL in DuckDB's text form, e.g. '1 year 2 months 3 days 04:05:06.789'
+ */
+function formatInterval(months, days, nanos) {
+    const parts = [];
+    const plural = (n, unit) => `${n} ${unit}${Math.abs(n) === 1 ? '' : 's'}`;
+    const years = Math.trunc(months / 12);
+    if (years) parts.push(plural(years, 'year'));
+    if (months % 12) parts.push(plural(months % 12, 'month'));
+    if (days) parts.push(plural(days, 'day'));
+    if (nanos || !parts.length) parts.push(formatTimeOfDay(nanos, 6));
+    return parts.join(' ');
+}
+
+function readInterval(data, index) {
+    const v = data.values;
+    switch (data.type.unit) {
+        case 0: // YEAR_MONTH
+            return formatInterval(v[index], 0, 0n);
+        case 1: // DAY_TIME
+            return formatInterval(0, v[index * 2], BigInt(v[index * 2 + 1]) * 1000000n);
+        default: { // MONTH_DAY_NANO
+            const nanos = (BigInt(v[index * 4 + 3]) << 32n) | BigInt(v[index * 4 + 2] >>> 0);
+            return formatInterval(v[index * 4], v[index * 4 + 1], nanos);
+        }
+    }
+}
+
+function readRange(child, start, end) {
+    const items = [];
+    for (let i = start; i < end; i++) {
+        items.push(readValue(child, i));
+    }
+    return items;
+}
+
+/**
+ * The value at `index` of one Arrow Data chunk (a column of a record batch)
+ */
+export function readValue(data, index) {
+    if (!data.getValid(index)) {
+        return null;
+    }
+
+    const { type } = data;
+    switch (type.typeId) {
+        case TYPE.Null:
+            return null;
+        case TYPE.Int:
+            return readInt(data, index);
+        case TYPE.Float:
+            // Half floats are stored as raw uint16; DuckDB never produces them
+            return Number(data.values[index]);
+        case TYPE.Bool:
+            return Boolean((data.values[index >> 3] >> (index % 8)) & 1);
+        case TYPE.Utf8:
+        case TYPE.LargeUtf8:
+            return textDecoder.decode(readBytes(data, index));
+        case TYPE.Binary:
+        case TYPE.LargeBinary:
+            return formatBlob(readBytes(data, index));
+        case TYPE.FixedSizeBinary:
+            return formatBlob(data.values.subarray(index * type.byteWidth, (index + 1) * type.byteWidth));
+        case TYPE.Decimal:
+            return readDecimal(data, index);
+        case TYPE.Date:
+            // Date32 counts days, Date64 milliseconds
+            return formatDate(type.unit === 0 ? data.values[index] * MS_PER_DAY : Number(data.values[index]));
+        case TYPE.Time:
+            return formatTimeOfDay(BigInt(data.values[index]) * UNIT_NANOS[type.unit], 6);
+        case TYPE.Timestamp: {
+            const text = formatTimestamp(BigInt(data.values[index]) * UNIT_NANOS[type.unit], type.unit === 3 ? 9 : 6);
+            // TIMESTAMPTZ comes back as UTC
+            return type.timezone && !text.endsWith('infinity') ? `${text}+00` : text;
+        }
+        case TYPE.Duration:
+            return formatInterval(0, 0, BigInt(data.values[index]) * UNIT_NANOS[type.unit]);
+        case TYPE.Interval:
+            return readInterval(data, index);
+        case TYPE.List:
+            return readRange(data.children[0], Number(data.valueOffsets[index]), Number(data.valueOffsets[index + 1]));
+        case TYPE.FixedSizeList:
+            return readRange(data.children[0], index * type.listSize, (index + 1) * type.listSize);
+        case TYPE.Struct: {
+            const struct = {};
+            type.children.forEach((field, i) => {
+                struct[field.name] = readValue(data.children[i], index);
+            });
+            return struct;
+        }
+        case TYPE.Map: {
+            // List<Struct<key, value>>
+            const entries = data.children[0];
+            const entryList = [];
+            for (let i = Number(data.valueOffsets[index]); i < Number(data.valueOffsets[index + 1]); i++) {
+                entryList.push([readValue(entries.children[0], i), readValue(entries.children[1], i)]);
+            }
+            return new MapValue(entryList);
+        }
+        case TYPE.Union: {
+            const child = type.typeIdToChildIndex[data.typeIds[index]];
+            // Dense unions store an offset into the child, sparse ones share the index
+            return readValue(data.children[child], data.valueOffsets ? data.valueOffsets[index] : index);
+        }
+        case TYPE.Dictionary: {
+            // ENUM: look the index up in the dictionary (a Vector of strings)
+            const key = Number(data.values[index]);
+            return data.dictionary.get(key);
+        }
+        default:
+            return null;
+    }
+}
+
+// ==================== Display and comparison ====================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Child entries of a LIST, STRUCT or MAP value as [label, value] pairs,
+ * or null for scalars
+ */
+export function nestedEntries(value) {
+    if (Array.isArray(value)) {
+        return value.map((item, i) => [`[${i + 1}]`, item]);
+    }
+    if (value instanceof MapValue) {
+        return value.entries.map(([key, item]) => [formatValue(key, true), item]);
+    }
+    if (isPlainObject(value)) {
+        return Object.entries(value);
+    }
+    return null;
+}
+
+/**
+ * Display text in DuckDB's style. Strings inside LIST/STRUCT/MAP values are
+ * quoted; top-level ones are not.
+ */
+export function formatValue(value, nested = false) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (typeof value === 'string') {
+        return nested ? `'${value.replace(/'/g, "''")}'` : value;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => formatValue(item, true)).join(', ')}]`;
+    }
+    if (value instanceof MapValue) {
+        return `{${value.entries.map(([key, item]) => `${formatValue(key, true)}=${formatValue(item, true)}`).join(', ')}}`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.entries(value).map(([key, item]) => `'${key}': ${formatValue(item, true)}`).join(', ')}}`;
+    }
+    return String(value);
+}
+
+/**
+ * Decimal text without trailing fractional zeros, so 5, 5.0 and 5.00 compare equal
+ */
+function canonicalNumber(text) {
+    return text.includes('.') && !/e/i.test(text) ? text.replace(/\.?0+$/, '') : text;
+}
+
+/**
+ * Exact, type-tolerant comparison key: numbers compare by value whatever
+ * their SQL type (INTEGER 5 = DECIMAL 5.00), everything else by its text.
+ * NULL's key is null, which no other value's text can equal (not even 'NULL').
+ * @returns {string|null}
+ */
+export function comparisonKey(value) {
+    if (typeof value === 'number') {
+        return canonicalNumber(String(value));
+    }
+    if (value instanceof BigDecimal) {
+        return canonicalNumber(value.toString());
+    }
+    const entries = nestedEntries(value);
+    if (entries) {
+        return JSON.stringify(entries.map(([key, item]) => [key, comparisonKey(item)]));
+    }
+    return value === null || value === undefined ? null : String(value);
+}
+
+/**
+ * Sort order for grid columns: NULLs last, numbers by value, the rest by text
+ */
+export function compareValues(a, b) {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+
+    const numeric = (v) => typeof v === 'number' || v instanceof BigDecimal;
+    if (numeric(a) && numeric(b)) {
+        return Number(a) - Number(b);
+    }
+    return formatValue(a).toLowerCase().localeCompare(formatValue(b).toLowerCase());
+}
@@ -0,0 +1,185 @@
+// XLSX Writer - Builds a minimal Excel-compatible workbook (one sheet) in the browser
+//
+// DuckDB-WASM can only write xlsx through the excel extension, which would be
+// downloaded from extensions.duckdb.org — blocked by our same-origin CSP. The
+// workbook is a stored (uncompressed) zip of a handful of SpreadsheetML parts.
+
+import { BigDecimal, formatValue } from './sql-values.js';
+
+// Excel's sheet limit, including the header row
+export const XLSX_MAX_ROWS = 1048576;
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a 0-based index: 0 → A, 25 → Z, 26 → AA
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cellXml(value, ref) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    if (value instanceof BigDecimal) {
+        // Excel keeps 15 significant digits; the exact text is the best we can give it
+        return `<c r="${ref}"><v>${value.toString()}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    const text = formatValue(value);
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function sheetXml(columns, rows, header) {
+    const parts = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'];
+    const letters = columns.map((_, i) => columnName(i));
+    let rowNumber = 0;
+
+    if (header) {
+        rowNumber++;
+        parts.push(`<row r="${rowNumber}">${columns.map((c, i) => cellXml(c, letters[i] + rowNumber)).join('')}</row>`);
+    }
+    for (const row of rows) {
+        rowNumber++;
+        parts.push(`<row r="${rowNumber}">${columns.map((c, i) => cellXml(row[c], letters[i] + rowNumber)).join('')}</row>`);
+    }
+
+    parts.push('</sheetData></worksheet>');
+    return parts.join('');
+}
+
+/**
+ * Zip entries without compression (method 0)
+ * @param {{name: string, data: Uint8Array}[]} entries
+ */
+function zipStore(entries) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, data } of entries) {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.length;
+    }
+    return output;
+}
+
+/**
+ * Build an .xlsx workbook with a single sheet.
+ * @param {string[]} columns
+ * @param {Object[]} rows - Row objects keyed by column name
+ * @param {Object} [options]
+ * @param {boolean} [options.header=true] - Write column names as the first row
+ * @param {string} [options.sheetName='Results']
+ * @returns {Uint8Array}
+ */
+export function buildXlsx(columns, rows, { header = true, sheetName = 'Results' } = {}) {
+    const files = {
+        '[Content_Types].xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '</Types>',
+        '_rels/.rels':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>',
+        'xl/workbook.xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXml(sheetName.substring(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>',
+        'xl/_rels/workbook.xml.rels':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '</Relationships>',
+        'xl/worksheets/sheet1.xml': sheetXml(columns, rows, header)
+    };
+
+    return zipStore(Object.entries(files).map(([name, xml]) => ({ name, data: encoder.encode(xml) })));
+}
@@ -3,6 +3,8 @@ import { defineConfig, devices } from '@playwright/test';
 export default defineConfig({
     testDir: './tests/e2e',
     testMatch: '*.spec.js',
+    // Needs the server on the fixture LLM provider (playwright.fixture.config.js)
+    testIgnore: 'llm-fixture.spec.js',
     fullyParallel: false,
     forbidOnly: !!process.env.CI,
     retries: process.env.CI ? 2 : 0,
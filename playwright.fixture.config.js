@@ -0,0 +1,25 @@
+import { defineConfig, devices } from '@playwright/test';
+
+// AI features against the fixture LLM provider: start the server with
+//   LLM_PROVIDER=fixture LLM_FIXTURE_FILE=tests/e2e/fixtures/llm.json node server/server.js
+export default defineConfig({
+    testDir: './tests/e2e',
+    testMatch: 'llm-fixture.spec.js',
+    fullyParallel: false,
+    forbidOnly: !!process.env.CI,
+    retries: process.env.CI ? 2 : 0,
+    workers: 1,
+    timeout: 120000,
+    reporter: [['list']],
+    use: {
+        baseURL: process.env.PLAYWRIGHT_BASE_URL || 'http://localhost:3015',
+        trace: 'on-first-retry',
+        screenshot: 'only-on-failure',
+    },
+    projects: [
+        {
+            name: 'chromium',
+            use: { ...devices['Desktop Chrome'] },
+        }
+    ],
+});
@@ -0,0 +1,131 @@
+/**
+ * LLM provider and model for each AI feature.
+ *
+ * Features:
+ *   tutor — hints, error/solution explanations, tutor chat
+ *   agent — the question authoring agent
+ *
+ * Per feature (TUTOR_ / AGENT_ prefix), falling back to the shared setting:
+ *   <FEATURE>_LLM_PROVIDER — gemini | openai | fixture (default: LLM_PROVIDER, else gemini)
+ *   <FEATURE>_LLM_MODEL    — model name (default: the provider's, see below)
+ *
+ * Providers:
+ *   gemini  — Google Gemini: GEMINI_API_KEY (absent = not configured), GEMINI_API_URL, GEMINI_MODEL
+ *   openai  — any OpenAI-compatible chat completions server, e.g. a local
+ *             llama.cpp or vLLM: OPENAI_API_URL (default http://localhost:8080/v1),
+ *             OPENAI_API_KEY (optional), OPENAI_MODEL
+ *   fixture — deterministic canned responses for tests: LLM_FIXTURE_FILE (optional, see services/llm/fixture.js)
+ *
+ * The tutor keeps its GEMINI_MAX_TOKENS / GEMINI_TEMPERATURE / GEMINI_TIMEOUT_MS
+ * settings whichever provider serves it.
+ *
+ * Prices (USD per million tokens, for the usage report's cost estimate):
+ *   LLM_PRICES — JSON, e.g. {"gemini-2.5-flash": {"input": 0.3, "output": 2.5}}, added
+ *                to / overriding MODEL_PRICES. Models without a price cost nothing.
+ *                Read once when this module loads; a bad value stops the server.
+ */
+
+const PROVIDER_DEFAULTS = {
+    gemini: () => ({
+        model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+        apiUrl: process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models',
+        apiKey: process.env.GEMINI_API_KEY || null
+    }),
+    openai: () => ({
+        model: process.env.OPENAI_MODEL || 'default',
+        apiUrl: process.env.OPENAI_API_URL || 'http://localhost:8080/v1',
+        apiKey: process.env.OPENAI_API_KEY || null
+    }),
+    fixture: () => ({
+        model: 'fixture',
+        fixtureFile: process.env.LLM_FIXTURE_FILE || null
+    })
+};
+
+const FEATURE_DEFAULTS = {
+    tutor: () => ({
+        maxTokens: parseInt(process.env.GEMINI_MAX_TOKENS || '500', 10),
+        temperature: parseFloat(process.env.GEMINI_TEMPERATURE || '0.7'),
+        timeoutMs: parseInt(process.env.GEMINI_TIMEOUT_MS || '10000', 10),
+        topP: 0.9
+    }),
+    agent: () => ({
+        maxTokens: 8192,
+        temperature: 0.3,
+        timeoutMs: 30000
+    })
+};
+
+// Published list prices; local models and the fixture provider are free
+const MODEL_PRICES = {
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+};
+
+/**
+ * LLM_PRICES, checked: an object of models to { input?, output? } prices
+ * @throws {Error} Naming what is wrong with the value
+ */
+function parsePrices(json) {
+    let prices;
+    try {
+        prices = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`LLM_PRICES is not valid JSON: ${error.message}`);
+    }
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+        throw new Error('LLM_PRICES must be a JSON object of model names to prices');
+    }
+    for (const [model, price] of Object.entries(prices)) {
+        const valid = price && typeof price === 'object' && !Array.isArray(price) &&
+            Object.entries(price).every(([key, value]) =>
+                ['input', 'output'].includes(key) && typeof value === 'number' && value >= 0);
+        if (!valid) {
+            throw new Error(`LLM_PRICES: the price of "${model}" must be {"input": <USD>, "output": <USD>} per million tokens`);
+        }
+    }
+    return prices;
+}
+
+const PRICES = { ...MODEL_PRICES, ...parsePrices(process.env.LLM_PRICES || '{}') };
+
+export const LLM_PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+
+/**
+ * Estimated cost of a number of tokens on a model
+ * @returns {number} USD
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+    const price = PRICES[model];
+    if (!price) return 0;
+    return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Resolve the LLM settings for a feature
+ * @param {'tutor'|'agent'} feature
+ * @returns {{ feature: string, provider: string, model: string, apiUrl?: string, apiKey?: string|null,
+ *             fixtureFile?: string|null, maxTokens: number, temperature: number, timeoutMs: number, topP?: number }}
+ */
+export function llmConfig(feature) {
+    if (!FEATURE_DEFAULTS[feature]) {
+        throw new Error(`Unknown LLM feature: ${feature}`);
+    }
+
+    const prefix = feature.toUpperCase();
+    const provider = process.env[`${prefix}_LLM_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini';
+    if (!PROVIDER_DEFAULTS[provider]) {
+        throw new Error(`Unknown LLM provider "${provider}" for ${feature} (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+    }
+
+    const config = {
+        feature,
+        provider,
+        ...PROVIDER_DEFAULTS[provider](),
+        ...FEATURE_DEFAULTS[feature]()
+    };
+    config.model = process.env[`${prefix}_LLM_MODEL`] || config.model;
+    return config;
+}
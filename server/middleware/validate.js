@@ -44,18 +44,29 @@ export const validateLogin = [
     handleValidationErrors
 ];
 
+// Longest query a submission may send (it is run by the server's grader)
+const MAX_QUERY_LENGTH = 20000;
+
+const questionIdRule = () => body('questionId')
+    .isInt({ min: 1 })
+    .withMessage('Question ID must be a positive integer');
+
+const userQueryRule = () => body('userQuery')
+    .isString()
+    .withMessage('User query is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('User query is required')
+    .isLength({ max: MAX_QUERY_LENGTH })
+    .withMessage(`User query must be at most ${MAX_QUERY_LENGTH} characters`);
+
 /**
  * Validation rules for submitting an attempt
  */
 export const validateAttempt = [
-    body('questionId')
-        .isInt({ min: 1 })
-        .withMessage('Question ID must be a positive integer'),
-    body('userQuery')
-        .isString()
-        .trim()
-        .notEmpty()
-        .withMessage('User query is required'),
+    questionIdRule(),
+    userQueryRule(),
     body('userResults')
         .isObject()
         .withMessage('User results must be an object'),
@@ -65,3 +76,12 @@ export const validateAttempt = [
         .withMessage('Time taken must be a positive number'),
     handleValidationErrors
 ];
+
+/**
+ * Validation rules for verifying a solution (the server grades the query)
+ */
+export const validateVerify = [
+    questionIdRule(),
+    userQueryRule(),
+    handleValidationErrors
+];
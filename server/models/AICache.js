@@ -0,0 +1,124 @@
+import { createHash } from 'crypto';
+import { query } from '../config/database.js';
+
+export class AICache {
+    /**
+     * Whitespace and trailing semicolons don't change what a query asks, so
+     * they don't change its cache key
+     */
+    static normalizeQuery(sql) {
+        return (sql || '').replace(/\s+/g, ' ').replace(/[\s;]+$/, '').trim();
+    }
+
+    /**
+     * Cache key: sha256 of everything that shapes a response
+     * @returns {string} 64 hex characters
+     */
+    static key({ provider, model, promptVersion, questionId, type, userQuery, errorMessage }) {
+        const input = JSON.stringify([
+            provider, model, promptVersion, Number(questionId), type,
+            AICache.normalizeQuery(userQuery), errorMessage || ''
+        ]);
+        return createHash('sha256').update(input).digest('hex');
+    }
+
+    /**
+     * A cached response no older than ttlMinutes, counting the hit
+     * @returns {Promise<{response: string, input_tokens: number, output_tokens: number}|null>}
+     */
+    static async get(key, ttlMinutes) {
+        const text = `
+            UPDATE ai_cache
+            SET hits = hits + 1, last_used_at = CURRENT_TIMESTAMP
+            WHERE key = $1 AND created_at > CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute'
+            RETURNING response, input_tokens, output_tokens
+        `;
+
+        const result = await query(text, [key, ttlMinutes]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Store (or refresh) a response
+     */
+    static async set({ key, questionId, type, provider, model, response, inputTokens, outputTokens }) {
+        const text = `
+            INSERT INTO ai_cache (key, question_id, type, provider, model, response, input_tokens, output_tokens)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (key) DO UPDATE SET
+                response = EXCLUDED.response,
+                input_tokens = EXCLUDED.input_tokens,
+                output_tokens = EXCLUDED.output_tokens,
+                hits = 0,
+                created_at = CURRENT_TIMESTAMP,
+                last_used_at = CURRENT_TIMESTAMP
+        `;
+
+        await query(text, [key, questionId, type, provider, model, response, inputTokens, outputTokens]);
+    }
+
+    /**
+     * Delete expired entries, then the least recently used beyond maxEntries
+     * @returns {Promise<number>} entries deleted
+     */
+    static async evict(ttlMinutes, maxEntries) {
+        const text = `
+            DELETE FROM ai_cache
+            WHERE created_at <= CURRENT_TIMESTAMP - $1 * INTERVAL '1 minute'
+               OR key IN (
+                   SELECT key FROM ai_cache
+                   ORDER BY last_used_at DESC
+                   OFFSET $2
+               )
+        `;
+
+        const result = await query(text, [ttlMinutes, maxEntries]);
+        return result.rowCount;
+    }
+
+    /**
+     * Delete every entry
+     * @returns {Promise<number>} entries deleted
+     */
+    static async clear() {
+        const result = await query('DELETE FROM ai_cache');
+        return result.rowCount;
+    }
+
+    /**
+     * Count a lookup in today's hit/miss counters
+     */
+    static async recordLookup(type, hit) {
+        const text = `
+            INSERT INTO ai_cache_stats (type, hits, misses)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (day, type) DO UPDATE SET
+                hits = ai_cache_stats.hits + EXCLUDED.hits,
+                misses = ai_cache_stats.misses + EXCLUDED.misses
+        `;
+
+        await query(text, [type, hit ? 1 : 0, hit ? 0 : 1]);
+    }
+
+    /**
+     * Cache size and the daily hit/miss counters for the last `days` days
+     */
+    static async getStats(days = 7) {
+        const entries = await query(`
+            SELECT COUNT(*) as entries, COALESCE(SUM(hits), 0) as hits
+            FROM ai_cache
+        `);
+        const daily = await query(`
+            SELECT day, type, hits, misses
+            FROM ai_cache_stats
+            WHERE day > CURRENT_DATE - $1::INTEGER
+            ORDER BY day DESC, type
+        `, [days]);
+
+        return {
+            entries: parseInt(entries.rows[0].entries),
+            entryHits: parseInt(entries.rows[0].hits),
+            daily: daily.rows
+        };
+    }
+}
@@ -0,0 +1,35 @@
+import { query } from '../config/database.js';
+
+export class AILeak {
+    /**
+     * Record a response the leak guard caught: what the model wrote, why it
+     * counted as a leak, and what was sent instead
+     * @param {{questionId: number, type: string, provider: string, model: string, promptVersion: number,
+     *          reason: 'structure'|'result', action: 'regenerated'|'redacted', response: string, sent: string}} leak
+     */
+    static async record({ questionId, type, provider, model, promptVersion, reason, action, response, sent }) {
+        const text = `
+            INSERT INTO ai_leaks (question_id, type, provider, model, prompt_version, reason, action, response, sent)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `;
+
+        await query(text, [questionId, type, provider, model, promptVersion, reason, action, response, sent]);
+    }
+
+    /**
+     * The most recent leaks, newest first, with how often each question leaks
+     */
+    static async getRecent(limit = 50) {
+        const text = `
+            SELECT l.*, q.sql_question,
+                   COUNT(*) OVER (PARTITION BY l.question_id) as question_leaks
+            FROM ai_leaks l
+            LEFT JOIN questions q ON q.id = l.question_id
+            ORDER BY l.created_at DESC
+            LIMIT $1
+        `;
+
+        const result = await query(text, [limit]);
+        return result.rows;
+    }
+}
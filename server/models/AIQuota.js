@@ -0,0 +1,108 @@
+import { query } from '../config/database.js';
+import { AIUsage } from './AIUsage.js';
+
+export const AI_QUOTA_ROLES = ['guest', 'registered'];
+
+export class AIQuota {
+    /**
+     * The quota role of a user
+     * @returns {'guest'|'registered'}
+     */
+    static roleOf(user) {
+        return user.is_guest ? 'guest' : 'registered';
+    }
+
+    /**
+     * Every quota: role quotas first, then per-user ones
+     */
+    static async list() {
+        const text = `
+            SELECT aq.id, aq.role, aq.user_id, u.email, u.is_guest,
+                   aq.daily_tokens, aq.daily_requests, aq.updated_at
+            FROM ai_quotas aq
+            LEFT JOIN users u ON u.id = aq.user_id
+            ORDER BY aq.role IS NULL, aq.role, aq.user_id
+        `;
+
+        const result = await query(text);
+        return result.rows;
+    }
+
+    /**
+     * Set the limits of a role or a user (null = unlimited)
+     * @param {{role?: string, userId?: number, dailyTokens: number|null, dailyRequests: number|null}} quota
+     */
+    static async set({ role = null, userId = null, dailyTokens = null, dailyRequests = null }) {
+        const target = role ? 'role' : 'user_id';
+        const text = `
+            INSERT INTO ai_quotas (role, user_id, daily_tokens, daily_requests)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (${target}) DO UPDATE SET
+                daily_tokens = EXCLUDED.daily_tokens,
+                daily_requests = EXCLUDED.daily_requests,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+
+        try {
+            const result = await query(text, [role, userId, dailyTokens, dailyRequests]);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23503') { // Foreign key violation
+                throw new Error(`User ${userId} not found`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a user's quota (they fall back to their role's).
+     * Role quotas are kept — clear their limits instead.
+     * @returns {Promise<boolean>} whether there was one
+     */
+    static async removeUserQuota(id) {
+        const result = await query('DELETE FROM ai_quotas WHERE id = $1 AND user_id IS NOT NULL', [id]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * The limits that apply to a user: their own quota if they have one,
+     * otherwise their role's
+     * @returns {Promise<{daily_tokens: number|null, daily_requests: number|null}|null>} null = unlimited
+     */
+    static async getLimits(user) {
+        const text = `
+            SELECT daily_tokens, daily_requests
+            FROM ai_quotas
+            WHERE user_id = $1 OR role = $2
+            ORDER BY user_id IS NULL
+            LIMIT 1
+        `;
+
+        const result = await query(text, [user.id, AIQuota.roleOf(user)]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Whether a user has reached a daily limit
+     * @returns {Promise<{limit: 'tokens'|'requests', allowed: number, used: number, role: string, resetsAt: Date}|null>}
+     *          the limit reached, null when they may go on
+     */
+    static async check(user) {
+        const limits = await AIQuota.getLimits(user);
+        if (!limits || (limits.daily_tokens === null && limits.daily_requests === null)) {
+            return null;
+        }
+
+        const today = await AIUsage.getToday(user.id);
+        const reached = (limit, allowed, used) => ({ limit, allowed, used, role: AIQuota.roleOf(user), resetsAt: today.resetsAt });
+
+        if (limits.daily_tokens !== null && today.tokens >= limits.daily_tokens) {
+            return reached('tokens', limits.daily_tokens, today.tokens);
+        }
+        if (limits.daily_requests !== null && today.requests >= limits.daily_requests) {
+            return reached('requests', limits.daily_requests, today.requests);
+        }
+        return null;
+    }
+}
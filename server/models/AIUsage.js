@@ -0,0 +1,122 @@
+import { query } from '../config/database.js';
+import { estimateCost } from '../config/llm.js';
+
+// Report groupings: what a row is keyed on and how it is labelled
+const GROUPINGS = {
+    day: { key: `TO_CHAR(u.created_at, 'YYYY-MM-DD')`, label: `TO_CHAR(u.created_at, 'YYYY-MM-DD')` },
+    user: { key: 'u.user_id', label: `CASE WHEN us.is_guest THEN 'Guest #' || us.id ELSE us.email END` },
+    question: { key: 'u.question_id', label: `'#' || q.id || ' ' || LEFT(q.sql_question, 60)` },
+    type: { key: 'u.type', label: 'u.type' },
+    prompt: { key: 'u.prompt_version', label: `'v' || COALESCE(u.prompt_version::TEXT, '?')` }
+};
+
+export const AI_USAGE_GROUPINGS = Object.keys(GROUPINGS);
+
+export class AIUsage {
+    /**
+     * Record one AI request, with the prompt version (promptBuilder
+     * PROMPT_VERSION) that produced it.
+     * Cache hits are recorded with cached = true and the tokens of the cached
+     * response (not spent again — cost is the cached = false rows).
+     */
+    static async record({ userId, questionId, type, provider, model, promptVersion, inputTokens, outputTokens, cached }) {
+        const text = `
+            INSERT INTO ai_usage (user_id, question_id, type, provider, model, prompt_version, input_tokens, output_tokens, cached)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `;
+
+        await query(text, [userId, questionId, type, provider, model, promptVersion, inputTokens, outputTokens, cached]);
+    }
+
+    /**
+     * A user's usage today: tokens spent (cache hits are free) and requests made
+     * @returns {Promise<{tokens: number, requests: number, resetsAt: Date}>}
+     */
+    static async getToday(userId) {
+        const text = `
+            SELECT
+                COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE NOT cached), 0) as tokens,
+                COUNT(*) as requests,
+                (CURRENT_DATE + 1)::TIMESTAMP as resets_at
+            FROM ai_usage
+            WHERE user_id = $1 AND created_at >= CURRENT_DATE
+        `;
+
+        const result = await query(text, [userId]);
+        const row = result.rows[0];
+        return {
+            tokens: parseInt(row.tokens),
+            requests: parseInt(row.requests),
+            resetsAt: row.resets_at
+        };
+    }
+
+    /**
+     * Usage over the last `days` days (today included), grouped by day, user,
+     * question, type or prompt version, with estimated cost and cache hit rate per row.
+     * The chat is never cached, so it is left out of hit rates.
+     * @param {number} days
+     * @param {'day'|'user'|'question'|'type'|'prompt'} by
+     * @returns {Promise<{rows: Array, totals: object}>} rows by cost, most expensive first (by day: newest first)
+     */
+    static async report(days, by) {
+        const grouping = GROUPINGS[by];
+        if (!grouping) {
+            throw new Error(`Unknown grouping: ${by} (expected one of: ${AI_USAGE_GROUPINGS.join(', ')})`);
+        }
+
+        // Grouped by model as well, since the price depends on it
+        const text = `
+            SELECT
+                ${grouping.key} as key,
+                ${grouping.label} as label,
+                u.model,
+                COUNT(*) as requests,
+                COUNT(*) FILTER (WHERE u.type <> 'chat') as cacheable,
+                COUNT(*) FILTER (WHERE u.cached) as cached,
+                COALESCE(SUM(u.input_tokens) FILTER (WHERE NOT u.cached), 0) as input_tokens,
+                COALESCE(SUM(u.output_tokens) FILTER (WHERE NOT u.cached), 0) as output_tokens
+            FROM ai_usage u
+            LEFT JOIN users us ON us.id = u.user_id
+            LEFT JOIN questions q ON q.id = u.question_id
+            WHERE u.created_at >= CURRENT_DATE - ($1::INTEGER - 1)
+            GROUP BY 1, 2, 3
+        `;
+
+        const result = await query(text, [days]);
+
+        const empty = () => ({ requests: 0, cacheable: 0, cached: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+        const add = (total, row) => {
+            total.requests += parseInt(row.requests);
+            total.cacheable += parseInt(row.cacheable);
+            total.cached += parseInt(row.cached);
+            total.inputTokens += parseInt(row.input_tokens);
+            total.outputTokens += parseInt(row.output_tokens);
+            total.cost += estimateCost(row.model, parseInt(row.input_tokens), parseInt(row.output_tokens));
+        };
+        const finish = ({ cacheable, ...total }) => ({
+            ...total,
+            cacheHitRate: cacheable ? total.cached / cacheable : null
+        });
+
+        const groups = new Map();
+        const totals = empty();
+        for (const row of result.rows) {
+            const key = String(row.key);
+            if (!groups.has(key)) {
+                groups.set(key, { key, label: row.label, ...empty() });
+            }
+            add(groups.get(key), row);
+            add(totals, row);
+        }
+
+        const rows = [...groups.values()].map(finish);
+        if (by === 'day') {
+            rows.sort((a, b) => b.key.localeCompare(a.key));
+        } else {
+            rows.sort((a, b) => b.cost - a.cost || (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens));
+        }
+
+        return { rows, totals: finish(totals) };
+    }
+}
@@ -0,0 +1,63 @@
+import { query } from '../config/database.js';
+
+export class HintReveal {
+    /**
+     * A user's hint progress on a question
+     * level counts every revealed level, the AI hint (authoredLevels + 1) included
+     * @returns {Promise<{level: number, authoredLevels: number, revealed: string[]}|null>}
+     *          revealed holds the authored hints shown so far; null if no such question
+     */
+    static async getProgress(userId, questionId) {
+        const text = `
+            SELECT
+                q.hints,
+                COALESCE(MAX(hr.level), 0) as level
+            FROM questions q
+            LEFT JOIN hint_reveals hr
+                ON hr.question_id = q.id AND hr.user_id = $1
+            WHERE q.id = $2
+            GROUP BY q.id
+        `;
+
+        const result = await query(text, [userId, questionId]);
+        const row = result.rows[0];
+        if (!row) {
+            return null;
+        }
+
+        const hints = row.hints || [];
+        const level = parseInt(row.level);
+        return {
+            level,
+            authoredLevels: hints.length,
+            revealed: hints.slice(0, level)
+        };
+    }
+
+    /**
+     * Highest hint level a user has revealed on a question (0 for none)
+     */
+    static async getLevel(userId, questionId) {
+        const text = `
+            SELECT COALESCE(MAX(level), 0) as level
+            FROM hint_reveals
+            WHERE user_id = $1 AND question_id = $2
+        `;
+
+        const result = await query(text, [userId, questionId]);
+        return parseInt(result.rows[0].level);
+    }
+
+    /**
+     * Record that a user revealed a hint level (repeat reveals are ignored)
+     */
+    static async record({ userId, questionId, level, isAi = false }) {
+        const text = `
+            INSERT INTO hint_reveals (user_id, question_id, level, is_ai)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id, question_id, level) DO NOTHING
+        `;
+
+        await query(text, [userId, questionId, level, isAi]);
+    }
+}
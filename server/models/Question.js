@@ -1,4 +1,5 @@
 import { query } from '../config/database.js';
+import { normalizeGradingRules } from '../../js/services/result-diff.js';
 
 export class Question {
     /**
@@ -8,7 +9,8 @@ export class Question {
         const text = `
             SELECT
                 id, sql_data, sql_question, sql_solution,
-                sql_solution_explanation, difficulty, category, er_diagram
+                sql_solution_explanation, difficulty, category, er_diagram,
+                query_timeout_ms, diff_config, grading_config, test_datasets, state_checks, hints
             FROM questions
             ORDER BY order_index ASC, id ASC
             LIMIT 1
@@ -24,7 +26,8 @@ export class Question {
         const text = `
             SELECT
                 id, sql_data, sql_question, sql_solution,
-                sql_solution_explanation, difficulty, category, er_diagram
+                sql_solution_explanation, difficulty, category, er_diagram,
+                query_timeout_ms, diff_config, grading_config, test_datasets, state_checks, hints
             FROM questions
             WHERE order_index > (
                 SELECT order_index FROM questions WHERE id = $1
@@ -47,7 +50,8 @@ export class Question {
         const text = `
             SELECT
                 id, sql_data, sql_question, sql_solution,
-                sql_solution_explanation, difficulty, category, er_diagram
+                sql_solution_explanation, difficulty, category, er_diagram,
+                query_timeout_ms, diff_config, grading_config, test_datasets, state_checks, hints
             FROM questions
             WHERE id = $1
         `;
@@ -97,8 +101,32 @@ export class Question {
         difficulty = 'beginner',
         category = 'SELECT queries',
         order_index = null,
-        er_diagram = null
+        er_diagram = null,
+        query_timeout_ms = null,
+        diff_config = null,
+        grading_config = null,
+        test_datasets = null,
+        state_checks = null,
+        hints = null
     }) {
+        // Reject rules the grader would not understand before storing them
+        if (grading_config !== null) {
+            normalizeGradingRules(grading_config);
+        }
+        if (test_datasets !== null &&
+            (!Array.isArray(test_datasets) || !test_datasets.every(d => typeof d === 'string' && d.trim()))) {
+            throw new Error('test_datasets must be an array of INSERT scripts');
+        }
+        if (state_checks !== null &&
+            (!Array.isArray(state_checks) || !state_checks.length ||
+             !state_checks.every(c => typeof c === 'string' && c.trim()))) {
+            throw new Error('state_checks must be a non-empty array of table names or queries');
+        }
+        if (hints !== null &&
+            (!Array.isArray(hints) || !hints.every(h => typeof h === 'string' && h.trim()))) {
+            throw new Error('hints must be an array of hint texts, level 1 first');
+        }
+
         // If order_index not provided, put it at the end
         if (order_index === null) {
             const maxOrderResult = await query(
@@ -110,9 +138,10 @@ export class Question {
         const text = `
             INSERT INTO questions (
                 sql_data, sql_question, sql_solution,
-                sql_solution_explanation, difficulty, category, order_index, er_diagram
+                sql_solution_explanation, difficulty, category, order_index, er_diagram,
+                query_timeout_ms, diff_config, grading_config, test_datasets, state_checks, hints
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
             RETURNING *
         `;
 
@@ -124,7 +153,13 @@ export class Question {
             difficulty,
             category,
             order_index,
-            er_diagram
+            er_diagram,
+            query_timeout_ms,
+            diff_config === null ? null : JSON.stringify(diff_config),
+            grading_config === null ? null : JSON.stringify(grading_config),
+            test_datasets === null ? null : JSON.stringify(test_datasets),
+            state_checks === null ? null : JSON.stringify(state_checks),
+            hints === null ? null : JSON.stringify(hints)
         ]);
 
         return result.rows[0];
@@ -0,0 +1,77 @@
+import { query } from '../config/database.js';
+
+export class TutorMessage {
+    /**
+     * Rough token count of a message (~4 characters per token), used to keep
+     * conversations within budget without a tokenizer
+     */
+    static estimateTokens(text) {
+        return Math.ceil(text.length / 4);
+    }
+
+    /**
+     * A user's tutor conversation on a question, oldest message first
+     * @returns {Promise<Array<{role: 'user'|'model', content: string, created_at: Date}>>}
+     */
+    static async getConversation(userId, questionId) {
+        const text = `
+            SELECT role, content, created_at
+            FROM tutor_messages
+            WHERE user_id = $1 AND question_id = $2
+            ORDER BY id
+        `;
+
+        const result = await query(text, [userId, questionId]);
+        return result.rows;
+    }
+
+    /**
+     * Append a message to a user's conversation on a question
+     */
+    static async add({ userId, questionId, role, content }) {
+        const text = `
+            INSERT INTO tutor_messages (user_id, question_id, role, content, tokens)
+            VALUES ($1, $2, $3, $4, $5)
+        `;
+
+        await query(text, [userId, questionId, role, content, TutorMessage.estimateTokens(content)]);
+    }
+
+    /**
+     * Drop the oldest messages until the conversation fits in maxTokens.
+     * What is kept starts at a user message, so it still reads (and is sent
+     * to Gemini) as question-then-answer. The latest exchange is always kept,
+     * even when it alone is over maxTokens.
+     */
+    static async trim(userId, questionId, maxTokens) {
+        const text = `
+            WITH newest_first AS (
+                SELECT id, role, SUM(tokens) OVER (ORDER BY id DESC) as tokens_from_here
+                FROM tutor_messages
+                WHERE user_id = $1 AND question_id = $2
+            )
+            DELETE FROM tutor_messages
+            WHERE user_id = $1 AND question_id = $2
+              AND id < COALESCE(
+                  (SELECT MIN(id) FROM newest_first WHERE role = 'user' AND tokens_from_here <= $3),
+                  (SELECT MAX(id) FROM newest_first WHERE role = 'user')
+              )
+        `;
+
+        await query(text, [userId, questionId, maxTokens]);
+    }
+
+    /**
+     * Delete a user's conversation on a question
+     * @returns {Promise<number>} messages deleted
+     */
+    static async clear(userId, questionId) {
+        const text = `
+            DELETE FROM tutor_messages
+            WHERE user_id = $1 AND question_id = $2
+        `;
+
+        const result = await query(text, [userId, questionId]);
+        return result.rowCount;
+    }
+}
@@ -4,13 +4,18 @@ export class UserAttempt {
     /**
      * Record a user's attempt at a question
      * Uses a transaction to prevent race conditions on attempt counting
+     * isCorrect is the server's verdict; clientIsCorrect is what the browser
+     * reported (null if nothing), kept to flag disagreements
+     * hintsUsed is the hint level the user had revealed (see HintReveal)
      */
     static async create({
         userId,
         questionId,
         userQuery,
         isCorrect,
-        timeTakenSeconds = null
+        clientIsCorrect = null,
+        timeTakenSeconds = null,
+        hintsUsed = 0
     }) {
         const client = await getClient();
         try {
@@ -34,11 +39,16 @@ export class UserAttempt {
             const result = await client.query(
                 `INSERT INTO user_attempts (
                     user_id, question_id, user_query,
-                    is_correct, attempts_count, completed_at, time_taken_seconds
+                    is_correct, attempts_count, completed_at, time_taken_seconds,
+                    client_is_correct, verdict_mismatch, hints_used
                 )
-                VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, $6)
+                VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, $6, $7, $8, $9)
                 RETURNING *`,
-                [userId, questionId, userQuery, isCorrect, attemptsCount, timeTakenSeconds]
+                [
+                    userId, questionId, userQuery, isCorrect, attemptsCount, timeTakenSeconds,
+                    clientIsCorrect, clientIsCorrect !== null && clientIsCorrect !== isCorrect,
+                    hintsUsed
+                ]
             );
 
             await client.query('COMMIT');
@@ -53,6 +63,8 @@ export class UserAttempt {
 
     /**
      * Get user's progress grouped by question (single query, replaces N+1 loop)
+     * hintsUsed is the hint level revealed before the first correct answer
+     * (hints are only ever added, so it is the lowest on a correct attempt)
      */
     static async getUserProgressByQuestion(userId) {
         const text = `
@@ -60,7 +72,8 @@ export class UserAttempt {
                 question_id,
                 COUNT(*) as attempts,
                 BOOL_OR(is_correct) as completed,
-                MAX(completed_at) as last_attempt
+                MAX(completed_at) as last_attempt,
+                MIN(hints_used) FILTER (WHERE is_correct) as hints_used
             FROM user_attempts
             WHERE user_id = $1
             GROUP BY question_id
@@ -72,7 +85,8 @@ export class UserAttempt {
             progress[row.question_id] = {
                 attempts: parseInt(row.attempts),
                 completed: row.completed,
-                lastAttempt: row.last_attempt
+                lastAttempt: row.last_attempt,
+                hintsUsed: row.hints_used
             };
         }
         return progress;
@@ -89,6 +103,7 @@ export class UserAttempt {
                 SUM(CASE WHEN is_correct = true THEN 1 ELSE 0 END) as correct_attempts,
                 SUM(CASE WHEN is_correct = true THEN 1 ELSE 0 END)::FLOAT / NULLIF(COUNT(*), 0) as success_rate,
                 AVG(time_taken_seconds) as avg_time_seconds,
+                AVG(hints_used) FILTER (WHERE is_correct = true) as avg_hints_when_correct,
                 MAX(completed_at) as last_attempt_at
             FROM user_attempts
             WHERE user_id = $1
@@ -105,7 +120,7 @@ export class UserAttempt {
         const text = `
             SELECT
                 id, user_query, is_correct, attempts_count,
-                completed_at, time_taken_seconds
+                completed_at, time_taken_seconds, hints_used
             FROM user_attempts
             WHERE user_id = $1 AND question_id = $2
             ORDER BY completed_at DESC
@@ -122,7 +137,7 @@ export class UserAttempt {
         const text = `
             SELECT
                 id, user_query, is_correct, attempts_count,
-                completed_at, time_taken_seconds
+                completed_at, time_taken_seconds, hints_used
             FROM user_attempts
             WHERE user_id = $1 AND question_id = $2
             ORDER BY completed_at DESC
@@ -143,6 +158,7 @@ export class UserAttempt {
                 ua.attempts_count,
                 ua.completed_at,
                 ua.time_taken_seconds,
+                ua.hints_used,
                 q.sql_question,
                 q.difficulty,
                 q.category
@@ -167,7 +183,8 @@ export class UserAttempt {
                 q.sql_question,
                 q.difficulty,
                 q.category,
-                ua.completed_at
+                ua.completed_at,
+                ua.hints_used
             FROM user_attempts ua
             JOIN questions q ON ua.question_id = q.id
             WHERE ua.user_id = $1 AND ua.is_correct = true
@@ -7,6 +7,10 @@
 import express from 'express';
 import { runAgent } from '../services/agent.js';
 import { TOOL_FUNCTIONS } from '../services/agentTools.js';
+import { AICache } from '../models/AICache.js';
+import { AIUsage, AI_USAGE_GROUPINGS } from '../models/AIUsage.js';
+import { AIQuota, AI_QUOTA_ROLES } from '../models/AIQuota.js';
+import { AILeak } from '../models/AILeak.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -228,6 +232,135 @@ router.post('/tools/generate-test', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/ai-cache
+ * AI response cache size and daily hit/miss counters.
+ * Query: ?days=7
+ */
+router.get('/ai-cache', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 7, 90);
+        res.json(await AICache.getStats(days));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/admin/ai-cache
+ * Empty the AI response cache (the counters are kept).
+ */
+router.delete('/ai-cache', async (req, res) => {
+    try {
+        res.json({ deleted: await AICache.clear() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/ai-usage
+ * AI tokens, estimated cost and cache hit rate over the last `days` days.
+ * Query: ?days=7&by=day|user|question|type|prompt
+ * Returns: { by, days, rows: [...], totals: {...}, cache: { hits, misses } }
+ */
+router.get('/ai-usage', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 7, 90);
+        const by = req.query.by || 'day';
+        if (!AI_USAGE_GROUPINGS.includes(by)) {
+            return res.status(400).json({ error: `by must be one of: ${AI_USAGE_GROUPINGS.join(', ')}` });
+        }
+
+        const { rows, totals } = await AIUsage.report(days, by);
+        // Every cache lookup, including hits on requests that were not answered
+        const { daily } = await AICache.getStats(days);
+        const cache = daily.reduce((sum, day) => ({
+            hits: sum.hits + day.hits,
+            misses: sum.misses + day.misses
+        }), { hits: 0, misses: 0 });
+
+        res.json({ by, days, rows, totals, cache });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/ai-quotas
+ * Daily AI limits per role and per user.
+ */
+router.get('/ai-quotas', async (req, res) => {
+    try {
+        res.json({ roles: AI_QUOTA_ROLES, quotas: await AIQuota.list() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PUT /api/admin/ai-quotas
+ * Set the daily limits of a role or a user (a missing or null limit = unlimited).
+ * Body: { role: "guest" } or { userId: 42 }, plus { dailyTokens, dailyRequests }
+ */
+router.put('/ai-quotas', async (req, res) => {
+    try {
+        const { role, userId, dailyTokens = null, dailyRequests = null } = req.body;
+
+        if (Boolean(role) === Boolean(userId)) {
+            return res.status(400).json({ error: 'Give either role or userId' });
+        }
+        if (role && !AI_QUOTA_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${AI_QUOTA_ROLES.join(', ')}` });
+        }
+        if (userId && !Number.isInteger(userId)) {
+            return res.status(400).json({ error: 'userId must be a user id' });
+        }
+        for (const limit of [dailyTokens, dailyRequests]) {
+            if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+                return res.status(400).json({ error: 'Limits must be whole numbers ≥ 0, or null for unlimited' });
+            }
+        }
+
+        res.json(await AIQuota.set({ role, userId, dailyTokens, dailyRequests }));
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/admin/ai-quotas/:id
+ * Remove a user's quota; they get their role's again.
+ */
+router.delete('/ai-quotas/:id', async (req, res) => {
+    try {
+        const deleted = await AIQuota.removeUserQuota(parseInt(req.params.id));
+        if (!deleted) {
+            return res.status(404).json({ error: 'User quota not found (role quotas cannot be deleted)' });
+        }
+        res.json({ deleted: parseInt(req.params.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/ai-leaks
+ * Hints and chat replies the leak guard caught giving the solution away,
+ * newest first, for prompt tuning. Query: ?limit=50
+ */
+router.get('/ai-leaks', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        res.json({ leaks: await AILeak.getRecent(limit) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 router.delete('/questions/:id', async (req, res) => {
     try {
         const id = parseInt(req.params.id);
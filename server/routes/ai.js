@@ -1,9 +1,16 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { Question } from '../models/Question.js';
-import { query } from '../config/database.js';
-import { buildPrompt } from '../services/promptBuilder.js';
-import { generateHint } from '../services/gemini.js';
+import { HintReveal } from '../models/HintReveal.js';
+import { TutorMessage } from '../models/TutorMessage.js';
+import { AICache } from '../models/AICache.js';
+import { AIUsage } from '../models/AIUsage.js';
+import { AIQuota } from '../models/AIQuota.js';
+import { AILeak } from '../models/AILeak.js';
+import { buildPrompt, buildTutorPrompt, PROMPT_VERSION, LEAK_RETRY_INSTRUCTION } from '../services/promptBuilder.js';
+import { getLLM } from '../services/llm/index.js';
+import { findLeaks, redact, safePrefixLength } from '../services/leakGuard.js';
+import { describeAttempt } from '../services/grader.js';
 import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
@@ -12,6 +19,11 @@ const router = express.Router();
 const AI_RATE_LIMIT = parseInt(process.env.AI_RATE_LIMIT || '10', 10);
 const AI_RATE_WINDOW = parseInt(process.env.AI_RATE_WINDOW_MINUTES || '60', 10);
 
+// Tutor chat: conversations are trimmed to TUTOR_HISTORY_TOKENS (estimated)
+// per user and question; a message may be up to TUTOR_MESSAGE_MAX_CHARS
+const TUTOR_HISTORY_TOKENS = parseInt(process.env.TUTOR_HISTORY_TOKENS || '2000', 10);
+const TUTOR_MESSAGE_MAX_CHARS = parseInt(process.env.TUTOR_MESSAGE_MAX_CHARS || '1000', 10);
+
 const aiRateLimit = rateLimit({
     windowMs: AI_RATE_WINDOW * 60 * 1000,
     max: AI_RATE_LIMIT,
@@ -21,21 +33,154 @@ const aiRateLimit = rateLimit({
     legacyHeaders: false
 });
 
-// In-memory cache: Map<cacheKey, { response, timestamp }>
-const cache = new Map();
-const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+/**
+ * Daily quotas (ai_quotas table, see AIQuota): once a user has reached theirs,
+ * AI requests get 403 with `code: 'AI_QUOTA_EXCEEDED'` and the limit reached,
+ * so the practice panel can say so. A request that starts under the limit may
+ * end over it. Quota trouble is logged and lets the request through.
+ */
+async function aiQuota(req, res, next) {
+    let reached = null;
+    try {
+        reached = await AIQuota.check(req.user);
+    } catch (error) {
+        console.error('AI quota check failed:', error.message);
+    }
+    if (!reached) {
+        return next();
+    }
+
+    const what = reached.limit === 'tokens' ? `${reached.allowed} tokens` : `${reached.allowed} requests`;
+    res.status(403).json({
+        error: `You've reached today's AI tutor limit (${what}). It resets at ${new Date(reached.resetsAt).toISOString().substring(11, 16)} UTC.`,
+        code: 'AI_QUOTA_EXCEEDED',
+        quota: reached
+    });
+}
+
+// Hint and error explanation prompts describe the student's attempt on the
+// question's data (sample rows per table, how the result differs from the
+// expected one) in about AI_PROMPT_CONTEXT_TOKENS
+const AI_PROMPT_CONTEXT_TOKENS = parseInt(process.env.AI_PROMPT_CONTEXT_TOKENS || '500', 10);
+const AI_PROMPT_SAMPLE_ROWS = parseInt(process.env.AI_PROMPT_SAMPLE_ROWS || '3', 10);
+const ATTEMPT_CONTEXT_TYPES = ['hint', 'explain_error'];
+
+// Response cache (ai_cache table, shared by all instances): entries live
+// AI_CACHE_TTL_MINUTES; past AI_CACHE_MAX_ENTRIES the least recently used go
+const AI_CACHE_TTL_MINUTES = parseInt(process.env.AI_CACHE_TTL_MINUTES || '1440', 10);
+const AI_CACHE_MAX_ENTRIES = parseInt(process.env.AI_CACHE_MAX_ENTRIES || '10000', 10);
+
+/**
+ * Look a response up in the cache, counting the hit or miss.
+ * Cache trouble is logged and treated as a miss — it never fails a hint.
+ */
+async function cacheLookup(key, type) {
+    let cached = null;
+    try {
+        cached = await AICache.get(key, AI_CACHE_TTL_MINUTES);
+    } catch (error) {
+        console.error('AI cache lookup failed:', error.message);
+    }
+    AICache.recordLookup(type, Boolean(cached))
+        .catch(err => console.error('Failed to count AI cache lookup:', err.message));
+    return cached;
+}
+
+/**
+ * Store an LLM result and evict what no longer fits (fire and forget)
+ */
+function cacheStore(key, llm, questionId, type, result) {
+    AICache.set({
+        key,
+        questionId,
+        type,
+        provider: llm.provider,
+        model: llm.model,
+        response: result.text,
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens
+    })
+        .then(() => AICache.evict(AI_CACHE_TTL_MINUTES, AI_CACHE_MAX_ENTRIES))
+        .catch(err => console.error('Failed to cache AI response:', err.message));
+}
+
+// Leak guard (services/leakGuard.js) on hints, error explanations and tutor
+// chat replies — explaining the solution is meant to show it. AI_LEAK_GUARD:
+// regenerate (default: ask again once, redacting if that leaks too), redact, or off
+const AI_LEAK_GUARD = process.env.AI_LEAK_GUARD || 'regenerate';
+const GUARDED_TYPES = ['hint', 'explain_error', 'chat'];
+
+function isGuarded(type) {
+    return AI_LEAK_GUARD !== 'off' && GUARDED_TYPES.includes(type);
+}
+
+/**
+ * Check a response for the question's solution before it is sent. A leak is
+ * regenerated or redacted, logged and recorded in ai_leaks for prompt tuning.
+ * Guard trouble is logged and the response sent as it is.
+ * @returns {Promise<string>} the text to send
+ */
+async function guardResponse(req, llm, question, { type, userQuery, systemPrompt, userPrompt }, text) {
+    if (!isGuarded(type)) {
+        return text;
+    }
+
+    let leaks;
+    try {
+        leaks = await findLeaks(question, text, userQuery);
+    } catch (error) {
+        console.error('AI leak guard failed:', error.message);
+        return text;
+    }
+    if (!leaks.length) {
+        return text;
+    }
+
+    let sent = redact(text, leaks);
+    let action = 'redacted';
+    if (AI_LEAK_GUARD === 'regenerate') {
+        try {
+            const retry = await llm.generate({ system: systemPrompt + LEAK_RETRY_INSTRUCTION, messages: userPrompt });
+            recordUsage(req.user.id, llm, question.id, type, retry.inputTokens, retry.outputTokens, false);
+            const retryLeaks = await findLeaks(question, retry.text, userQuery);
+            sent = redact(retry.text, retryLeaks);
+            action = retryLeaks.length ? 'redacted' : 'regenerated';
+        } catch (error) {
+            console.error('AI leak guard retry failed:', error.message);
+        }
+    }
+
+    console.warn(`AI leak guard: question=${question.id} type=${type} provider=${llm.provider} model=${llm.model} prompt=v${PROMPT_VERSION} reason=${leaks[0].reason} leaks=${leaks.length} action=${action}`);
+    AILeak.record({
+        questionId: question.id,
+        type,
+        provider: llm.provider,
+        model: llm.model,
+        promptVersion: PROMPT_VERSION,
+        reason: leaks[0].reason,
+        action,
+        response: text,
+        sent
+    }).catch(err => console.error('Failed to record AI leak:', err.message));
 
-function getCacheKey(questionId, type, userQuery, errorMessage) {
-    const input = `${questionId}:${type}:${userQuery || ''}:${errorMessage || ''}`;
-    // Simple hash — good enough for in-memory cache
-    let hash = 0;
-    for (const ch of input) {
-        hash = ((hash << 5) - hash + ch.charCodeAt(0)) | 0;
+    return sent;
+}
+
+/**
+ * After a held-back stream (relayStream holdBack): send the rest of the
+ * checked text, or all of it as `replace` when it no longer continues what
+ * was sent
+ */
+function finishGuardedStream(res, result, text) {
+    const sentText = result.text.slice(0, result.sent);
+    if (!text.startsWith(sentText)) {
+        sendEvent(res, { type: 'replace', text });
+    } else if (text.length > sentText.length) {
+        sendEvent(res, { type: 'text', text: text.slice(sentText.length) });
     }
-    return `ai:${hash}`;
 }
 
-// Mock response for when GEMINI_API_KEY is not set (test/dev mode)
+// Mock response for when the tutor LLM is not configured, e.g. no GEMINI_API_KEY (test/dev mode)
 const MOCK_RESPONSES = {
     hint: {
         hint: 'Think about which column to filter on. What SQL clause filters rows based on a condition?',
@@ -54,13 +199,58 @@ const MOCK_RESPONSES = {
     }
 };
 
+const MOCK_CHAT_REPLY = 'What does your query return right now, and how is that different from what the question asks for?';
+
+/**
+ * Switch the response to server-sent events
+ * (X-Accel-Buffering disables Cloud Run/nginx proxy buffering)
+ */
+function startEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+}
+
+function sendEvent(res, event) {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    if (res.flush) res.flush();
+}
+
+/**
+ * Send a complete response (cached or mock) as JSON, or as a one-piece stream
+ */
+function sendWhole(res, response, stream) {
+    if (!stream) {
+        return res.json(response);
+    }
+    startEventStream(res);
+    sendEvent(res, { type: 'text', text: response.hint });
+    sendEvent(res, { type: 'done', cached: response.cached, tokens: response.tokens });
+    res.end();
+}
+
 /**
  * POST /api/ai/hint
  * Get an AI-generated hint, error explanation, or solution explanation.
+ * An AI hint is the last hint level: it is only given once the question's
+ * authored hints are all revealed, and is recorded like them once it has been
+ * sent (a failed or stopped one does not use the level up).
+ *
+ * With `stream: true` the response is server-sent events as the model generates it:
+ *   { type: 'text', text }              — the next piece of the response
+ *   { type: 'replace', text }           — the whole response instead of what was sent
+ *   { type: 'done', cached, tokens }    — finished
+ *   { type: 'error', error }            — failed part way
+ * Closing the connection stops generation; the tokens used are still recorded.
+ * Hints and error explanations pass the leak guard: from where SQL may begin,
+ * their text is held back until the response is complete and checked, and a
+ * regenerated response is sent as `replace`.
  */
-router.post('/hint', authenticate, aiRateLimit, async (req, res) => {
+router.post('/hint', authenticate, aiRateLimit, aiQuota, async (req, res) => {
     try {
-        const { questionId, userQuery, errorMessage, type = 'hint' } = req.body;
+        const { questionId, userQuery, errorMessage, type = 'hint', stream = false } = req.body;
 
         if (!questionId) {
             return res.status(400).json({ error: 'questionId is required' });
@@ -70,11 +260,42 @@ router.post('/hint', authenticate, aiRateLimit, async (req, res) => {
             return res.status(400).json({ error: 'type must be hint, explain_error, or explain_solution' });
         }
 
-        // Check cache
-        const cacheKey = getCacheKey(questionId, type, userQuery, errorMessage);
-        const cached = cache.get(cacheKey);
-        if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-            return res.json({ ...cached.response, cached: true });
+        let aiHintLevel = null;
+        if (type === 'hint') {
+            const progress = await HintReveal.getProgress(req.user.id, questionId);
+            if (!progress) {
+                return res.status(404).json({ error: 'Question not found' });
+            }
+            if (progress.level < progress.authoredLevels) {
+                return res.status(409).json({
+                    error: `Reveal hint ${progress.level + 1} of ${progress.authoredLevels} first. The AI hint comes after them.`
+                });
+            }
+            aiHintLevel = progress.authoredLevels + 1;
+        }
+        const hintSent = () => recordAIHint(req.user.id, questionId, aiHintLevel);
+
+        const llm = getLLM('tutor');
+
+        // Check cache (hits are recorded as usage too, with cached = true)
+        const cacheKey = AICache.key({
+            provider: llm.provider,
+            model: llm.model,
+            promptVersion: PROMPT_VERSION,
+            questionId,
+            type,
+            userQuery,
+            errorMessage
+        });
+        const cached = llm.missingConfig ? null : await cacheLookup(cacheKey, type);
+        if (cached) {
+            recordUsage(req.user.id, llm, questionId, type, cached.input_tokens, cached.output_tokens, true);
+            sendWhole(res, {
+                hint: cached.response,
+                cached: true,
+                tokens: { input: cached.input_tokens, output: cached.output_tokens }
+            }, stream);
+            return hintSent();
         }
 
         // Fetch question context from DB (don't trust client-sent data)
@@ -83,6 +304,16 @@ router.post('/hint', authenticate, aiRateLimit, async (req, res) => {
             return res.status(404).json({ error: 'Question not found' });
         }
 
+        // Run the attempt on the question's data (not worth it for a mock response)
+        let attempt = null;
+        if (ATTEMPT_CONTEXT_TYPES.includes(type) && !llm.missingConfig) {
+            try {
+                attempt = await describeAttempt(question, userQuery || '', AI_PROMPT_SAMPLE_ROWS);
+            } catch (error) {
+                console.error('Describing the attempt for the AI prompt failed:', error.message, '| questionId:', questionId);
+            }
+        }
+
         // Build prompt
         const { systemPrompt, userPrompt } = buildPrompt({
             type,
@@ -91,36 +322,63 @@ router.post('/hint', authenticate, aiRateLimit, async (req, res) => {
             difficulty: question.difficulty,
             userQuery: userQuery || '',
             errorMessage: errorMessage || null,
-            sqlSolution: type === 'explain_solution' ? question.sql_solution : null
+            sqlSolution: type === 'explain_solution' ? question.sql_solution : null,
+            attempt,
+            diffConfig: question.diff_config,
+            contextTokens: AI_PROMPT_CONTEXT_TOKENS
         });
 
-        // Call Gemini (returns null if no API key → use mock)
-        const result = await generateHint(systemPrompt, userPrompt);
+        // Not configured (e.g. no GEMINI_API_KEY) → mock response
+        if (llm.missingConfig) {
+            sendWhole(res, MOCK_RESPONSES[type] || MOCK_RESPONSES.hint, stream);
+            return hintSent();
+        }
+
+        const prompt = { type, userQuery, systemPrompt, userPrompt };
 
-        if (!result) {
-            // No API key — return mock response
-            return res.json(MOCK_RESPONSES[type] || MOCK_RESPONSES.hint);
+        if (stream) {
+            const result = await relayStream(req, res, llm, { questionId, ...prompt, holdBack: isGuarded(type) });
+            if (result.aborted) {
+                return;
+            }
+
+            const text = await guardResponse(req, llm, question, prompt, result.text);
+            finishGuardedStream(res, result, text);
+
+            const tokens = { input: result.inputTokens, output: result.outputTokens };
+            cacheStore(cacheKey, llm, questionId, type, { ...result, text });
+            sendEvent(res, { type: 'done', cached: false, tokens });
+            res.end();
+            return hintSent();
         }
 
+        const result = await llm.generate({ system: systemPrompt, messages: userPrompt });
+        const text = await guardResponse(req, llm, question, prompt, result.text);
+
         const response = {
-            hint: result.text,
+            hint: text,
             cached: false,
             tokens: { input: result.inputTokens, output: result.outputTokens }
         };
 
         // Cache the response
-        cache.set(cacheKey, { response, timestamp: Date.now() });
+        cacheStore(cacheKey, llm, questionId, type, { ...result, text });
 
-        // Record usage (fire and forget — don't slow down the response)
-        recordUsage(req.user.id, questionId, type, result.inputTokens, result.outputTokens, false)
-            .catch(err => console.error('Failed to record AI usage:', err.message));
+        recordUsage(req.user.id, llm, questionId, type, result.inputTokens, result.outputTokens, false);
 
         res.json(response);
+        hintSent();
 
     } catch (error) {
         console.error('AI hint error:', error.message, '| user:', req.user?.id, '| type:', req.body?.type, '| questionId:', req.body?.questionId);
 
-        if (error.message.includes('Gemini API error')) {
+        // Once streaming, errors can only be reported as an event
+        if (res.headersSent) {
+            sendEvent(res, { type: 'error', error: 'AI service temporarily unavailable. Please try again.' });
+            return res.end();
+        }
+
+        if (error.message.includes('LLM API error')) {
             return res.status(503).json({ error: 'AI service temporarily unavailable. Please try again.' });
         }
 
@@ -129,14 +387,217 @@ router.post('/hint', authenticate, aiRateLimit, async (req, res) => {
 });
 
 /**
- * Record AI usage to the database for cost tracking.
+ * GET /api/ai/chat/:questionId
+ * The user's tutor conversation on a question, oldest message first
+ */
+router.get('/chat/:questionId', authenticate, async (req, res) => {
+    try {
+        const questionId = parseInt(req.params.questionId);
+
+        if (isNaN(questionId)) {
+            return res.status(400).json({ error: 'Invalid question ID' });
+        }
+
+        const rows = await TutorMessage.getConversation(req.user.id, questionId);
+        res.json({
+            messages: rows.map(row => ({ role: row.role, content: row.content, createdAt: row.created_at }))
+        });
+    } catch (error) {
+        console.error('Get tutor chat error:', error);
+        res.status(500).json({ error: 'Failed to get conversation' });
+    }
+});
+
+/**
+ * DELETE /api/ai/chat/:questionId
+ * Start the conversation on a question over
+ */
+router.delete('/chat/:questionId', authenticate, async (req, res) => {
+    try {
+        const questionId = parseInt(req.params.questionId);
+
+        if (isNaN(questionId)) {
+            return res.status(400).json({ error: 'Invalid question ID' });
+        }
+
+        const cleared = await TutorMessage.clear(req.user.id, questionId);
+        res.json({ cleared });
+    } catch (error) {
+        console.error('Clear tutor chat error:', error);
+        res.status(500).json({ error: 'Failed to clear conversation' });
+    }
+});
+
+/**
+ * POST /api/ai/chat
+ * Send the tutor a message about a question. The saved conversation is sent
+ * along as context; the message and the reply are then saved, and the
+ * conversation trimmed to TUTOR_HISTORY_TOKENS. Never cached. Replies pass
+ * the leak guard like hints, and what was sent is what is saved.
+ *
+ * Responds { reply, tokens }, or with `stream: true` the same events as
+ * /hint (a stopped reply is saved as far as it was sent).
+ */
+router.post('/chat', authenticate, aiRateLimit, aiQuota, async (req, res) => {
+    try {
+        const { message, userQuery, stream = false } = req.body;
+        const questionId = parseInt(req.body.questionId);
+
+        if (isNaN(questionId)) {
+            return res.status(400).json({ error: 'Invalid question ID' });
+        }
+
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'message is required' });
+        }
+
+        if (message.length > TUTOR_MESSAGE_MAX_CHARS) {
+            return res.status(400).json({ error: `message must be at most ${TUTOR_MESSAGE_MAX_CHARS} characters` });
+        }
+
+        const question = await Question.getById(questionId);
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const history = await TutorMessage.getConversation(req.user.id, questionId);
+        const { systemPrompt, userPrompt } = buildTutorPrompt({
+            sqlData: question.sql_data,
+            sqlQuestion: question.sql_question,
+            difficulty: question.difficulty,
+            userQuery: userQuery || '',
+            history,
+            message: message.trim()
+        });
+
+        const saveExchange = async (reply) => {
+            await TutorMessage.add({ userId: req.user.id, questionId, role: 'user', content: message.trim() });
+            await TutorMessage.add({ userId: req.user.id, questionId, role: 'model', content: reply });
+            await TutorMessage.trim(req.user.id, questionId, TUTOR_HISTORY_TOKENS);
+        };
+
+        const llm = getLLM('tutor');
+        const prompt = { type: 'chat', userQuery, systemPrompt, userPrompt };
+        if (stream && !llm.missingConfig) {
+            const result = await relayStream(req, res, llm, { questionId, ...prompt, holdBack: isGuarded('chat') });
+            if (result.aborted) {
+                // Only what was sent: the held-back rest was never checked
+                if (result.sent) {
+                    await saveExchange(result.text.slice(0, result.sent));
+                }
+                return;
+            }
+
+            const text = await guardResponse(req, llm, question, prompt, result.text);
+            finishGuardedStream(res, result, text);
+            if (text) {
+                await saveExchange(text);
+            }
+
+            sendEvent(res, { type: 'done', cached: false, tokens: { input: result.inputTokens, output: result.outputTokens } });
+            return res.end();
+        }
+
+        // Not configured → mock reply
+        const result = llm.missingConfig ? null : await llm.generate({ system: systemPrompt, messages: userPrompt });
+        const response = result
+            ? {
+                hint: await guardResponse(req, llm, question, prompt, result.text),
+                cached: false,
+                tokens: { input: result.inputTokens, output: result.outputTokens }
+            }
+            : { hint: MOCK_CHAT_REPLY, cached: false, tokens: { input: 0, output: 0 } };
+
+        await saveExchange(response.hint);
+        if (result) {
+            recordUsage(req.user.id, llm, questionId, 'chat', result.inputTokens, result.outputTokens, false);
+        }
+
+        if (stream) {
+            return sendWhole(res, response, true);
+        }
+        res.json({ reply: response.hint, tokens: response.tokens });
+
+    } catch (error) {
+        console.error('AI chat error:', error.message, '| user:', req.user?.id, '| questionId:', req.body?.questionId);
+
+        // Once streaming, errors can only be reported as an event
+        if (res.headersSent) {
+            sendEvent(res, { type: 'error', error: 'AI service temporarily unavailable. Please try again.' });
+            return res.end();
+        }
+
+        if (error.message.includes('LLM API error')) {
+            return res.status(503).json({ error: 'AI service temporarily unavailable. Please try again.' });
+        }
+
+        res.status(500).json({ error: 'Failed to get a reply' });
+    }
+});
+
+/**
+ * Relay an LLM stream as server-sent `text` events; the caller sends the
+ * final event. Usage is recorded even when the student stops it early.
+ * With holdBack, text from where SQL may begin is not sent (see leakGuard
+ * safePrefixLength) — the caller sends the rest once it is checked.
+ * @returns {Promise<{ text: string, sent: number, inputTokens: number, outputTokens: number, aborted: boolean }>}
+ *          sent is how much of text was sent
+ */
+async function relayStream(req, res, llm, { questionId, type, systemPrompt, userPrompt, holdBack = false }) {
+    const controller = new AbortController();
+    // The student stopped the stream (or left the page)
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    startEventStream(res);
+    let received = '';
+    let sent = 0;
+    const result = await llm.stream({ system: systemPrompt, messages: userPrompt }, {
+        signal: controller.signal,
+        onText: (text) => {
+            received += text;
+            const sendable = holdBack ? Math.max(sent, safePrefixLength(received)) : received.length;
+            if (sendable > sent) {
+                sendEvent(res, { type: 'text', text: received.slice(sent, sendable) });
+                sent = sendable;
+            }
+        }
+    });
+
+    recordUsage(req.user.id, llm, questionId, type, result.inputTokens, result.outputTokens, false);
+
+    return { ...result, sent };
+}
+
+/**
+ * Record an AI hint as the question's last hint level revealed
+ * (fire and forget — it has been sent already). level null: not a hint.
+ */
+function recordAIHint(userId, questionId, level) {
+    if (level === null) {
+        return;
+    }
+    HintReveal.record({ userId, questionId, level, isAi: true })
+        .catch(err => console.error('Failed to record AI hint reveal:', err.message));
+}
+
+/**
+ * Record AI usage for cost tracking and quotas
+ * (fire and forget — don't slow down the response)
  */
-async function recordUsage(userId, questionId, type, inputTokens, outputTokens, cached) {
-    await query(
-        `INSERT INTO ai_usage (user_id, question_id, type, input_tokens, output_tokens, cached)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [userId, questionId, type, inputTokens, outputTokens, cached]
-    );
+function recordUsage(userId, llm, questionId, type, inputTokens, outputTokens, cached) {
+    AIUsage.record({
+        userId,
+        questionId,
+        type,
+        provider: llm.provider,
+        model: llm.model,
+        promptVersion: PROMPT_VERSION,
+        inputTokens,
+        outputTokens,
+        cached
+    }).catch(err => console.error('Failed to record AI usage:', err.message));
 }
 
 export default router;
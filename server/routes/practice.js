@@ -2,11 +2,36 @@ import express from 'express';
 import { Question } from '../models/Question.js';
 import { UserAttempt } from '../models/UserAttempt.js';
 import { UserSession } from '../models/UserSession.js';
+import { HintReveal } from '../models/HintReveal.js';
 import { authenticate } from '../middleware/auth.js';
-import { validateAttempt } from '../middleware/validate.js';
+import { validateAttempt, validateVerify } from '../middleware/validate.js';
+import { gradeSubmission } from '../services/grader.js';
 
 const router = express.Router();
 
+/**
+ * Shape a questions row for the practice UI
+ */
+function toPracticeQuestion(question) {
+    return {
+        id: question.id,
+        sql_data: question.sql_data,
+        sql_question: question.sql_question,
+        sql_solution: question.sql_solution,
+        sql_solution_explanation: question.sql_solution_explanation,
+        difficulty: question.difficulty,
+        category: question.category,
+        er_diagram: question.er_diagram,
+        query_timeout_ms: question.query_timeout_ms,
+        diff_config: question.diff_config,
+        grading_config: question.grading_config,
+        test_datasets: question.test_datasets,
+        state_checks: question.state_checks,
+        // The hints themselves are revealed one at a time (GET/POST /hints/:id)
+        hint_count: (question.hints || []).length
+    };
+}
+
 /**
  * GET /api/practice/start
  * Get first question for practice mode
@@ -26,18 +51,7 @@ router.get('/start', authenticate, async (req, res) => {
             practiceModeActive: true
         });
 
-        res.json({
-            question: {
-                id: question.id,
-                sql_data: question.sql_data,
-                sql_question: question.sql_question,
-                sql_solution: question.sql_solution,
-                sql_solution_explanation: question.sql_solution_explanation,
-                difficulty: question.difficulty,
-                category: question.category,
-                er_diagram: question.er_diagram
-            }
-        });
+        res.json({ question: toPracticeQuestion(question) });
     } catch (error) {
         console.error('Start practice error:', error);
         res.status(500).json({ error: 'Failed to start practice' });
@@ -71,18 +85,7 @@ router.get('/next', authenticate, async (req, res) => {
         // Update user session
         await UserSession.updateCurrentQuestion(req.user.id, nextQuestion.id);
 
-        res.json({
-            question: {
-                id: nextQuestion.id,
-                sql_data: nextQuestion.sql_data,
-                sql_question: nextQuestion.sql_question,
-                sql_solution: nextQuestion.sql_solution,
-                sql_solution_explanation: nextQuestion.sql_solution_explanation,
-                difficulty: nextQuestion.difficulty,
-                category: nextQuestion.category,
-                er_diagram: nextQuestion.er_diagram
-            }
-        });
+        res.json({ question: toPracticeQuestion(nextQuestion) });
     } catch (error) {
         console.error('Get next question error:', error);
         res.status(500).json({ error: 'Failed to get next question' });
@@ -136,18 +139,7 @@ router.get('/question/:id', authenticate, async (req, res) => {
             return res.status(404).json({ error: 'Question not found' });
         }
 
-        res.json({
-            question: {
-                id: question.id,
-                sql_data: question.sql_data,
-                sql_question: question.sql_question,
-                sql_solution: question.sql_solution,
-                sql_solution_explanation: question.sql_solution_explanation,
-                difficulty: question.difficulty,
-                category: question.category,
-                er_diagram: question.er_diagram
-            }
-        });
+        res.json({ question: toPracticeQuestion(question) });
     } catch (error) {
         console.error('Get question error:', error);
         res.status(500).json({ error: 'Failed to get question' });
@@ -169,16 +161,8 @@ router.post('/attempt', authenticate, validateAttempt, async (req, res) => {
             return res.status(404).json({ error: 'Question not found' });
         }
 
-        // For now, we'll do basic comparison on the frontend
-        // The frontend will send us whether it matched or not
-        // In a more advanced version, we could run SQL comparison here
-
-        // The frontend should determine isCorrect by comparing results
-        // For this version, we'll expect the frontend to tell us
-        let isCorrect = false;
-
-        // If userResults were provided, we could do additional validation here
-        // For now, we'll trust the frontend's comparison
+        // Grade on the server, like /verify
+        const { isCorrect } = await gradeSubmission(question, userQuery);
 
         // Record attempt
         const attempt = await UserAttempt.create({
@@ -186,7 +170,8 @@ router.post('/attempt', authenticate, validateAttempt, async (req, res) => {
             questionId,
             userQuery,
             isCorrect,
-            timeTakenSeconds
+            timeTakenSeconds,
+            hintsUsed: await HintReveal.getLevel(req.user.id, questionId)
         });
 
         // Get user's attempts for this question
@@ -210,9 +195,10 @@ router.post('/attempt', authenticate, validateAttempt, async (req, res) => {
 /**
  * POST /api/practice/verify
  * Verify user's solution against correct solution
- * This endpoint compares results server-side
+ * The server re-runs the query (see services/grader.js) and its verdict is
+ * what gets recorded; the client's is kept to flag disagreements
  */
-router.post('/verify', authenticate, async (req, res) => {
+router.post('/verify', authenticate, validateVerify, async (req, res) => {
     try {
         const { questionId, userQuery, isCorrect: clientIsCorrect, timeTakenSeconds } = req.body;
 
@@ -221,10 +207,13 @@ router.post('/verify', authenticate, async (req, res) => {
             return res.status(404).json({ error: 'Question not found' });
         }
 
-        // Trust the client's result — DuckDB WASM runs the comparison in the
-        // browser (same dialect the user is learning). A user who tampers only
-        // cheats themselves out of practice; there is no reward system.
-        const isCorrect = !!clientIsCorrect;
+        const grading = await gradeSubmission(question, userQuery);
+        const isCorrect = grading.isCorrect;
+        const clientVerdict = typeof clientIsCorrect === 'boolean' ? clientIsCorrect : null;
+        const verdictMismatch = clientVerdict !== null && clientVerdict !== isCorrect;
+        if (verdictMismatch) {
+            console.warn(`Grading mismatch: user ${req.user.id}, question ${questionId}: client=${clientVerdict}, server=${isCorrect}`);
+        }
 
         // Check completion status BEFORE inserting, otherwise the just-inserted
         // row makes every first success look like a repeat.
@@ -236,7 +225,9 @@ router.post('/verify', authenticate, async (req, res) => {
             questionId,
             userQuery,
             isCorrect,
-            timeTakenSeconds
+            clientIsCorrect: clientVerdict,
+            timeTakenSeconds,
+            hintsUsed: await HintReveal.getLevel(req.user.id, questionId)
         });
 
         const attempts = await UserAttempt.getQuestionAttempts(req.user.id, questionId);
@@ -246,7 +237,14 @@ router.post('/verify', authenticate, async (req, res) => {
                 id: attempt.id,
                 isCorrect: attempt.is_correct,
                 attemptsCount: attempt.attempts_count,
-                completedAt: attempt.completed_at
+                completedAt: attempt.completed_at,
+                hintsUsed: attempt.hints_used
+            },
+            grading: {
+                passed: grading.passed,
+                total: grading.total,
+                error: grading.error,
+                verdictMismatch
             },
             isFirstSuccess,
             totalAttempts: attempts.length,
@@ -261,6 +259,70 @@ router.post('/verify', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/practice/hints/:questionId
+ * Authored hints the user has revealed so far on a question
+ * level also counts the AI hint, the level after the authored ones
+ */
+router.get('/hints/:questionId', authenticate, async (req, res) => {
+    try {
+        const questionId = parseInt(req.params.questionId);
+
+        if (isNaN(questionId)) {
+            return res.status(400).json({ error: 'Invalid question ID' });
+        }
+
+        const progress = await HintReveal.getProgress(req.user.id, questionId);
+
+        if (!progress) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        res.json(progress);
+    } catch (error) {
+        console.error('Get hints error:', error);
+        res.status(500).json({ error: 'Failed to get hints' });
+    }
+});
+
+/**
+ * POST /api/practice/hints/:questionId/reveal
+ * Reveal the next authored hint level and record it; once they are all
+ * revealed the next level is the AI hint (POST /api/ai/hint)
+ */
+router.post('/hints/:questionId/reveal', authenticate, async (req, res) => {
+    try {
+        const questionId = parseInt(req.params.questionId);
+
+        if (isNaN(questionId)) {
+            return res.status(400).json({ error: 'Invalid question ID' });
+        }
+
+        const progress = await HintReveal.getProgress(req.user.id, questionId);
+
+        if (!progress) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        if (progress.level >= progress.authoredLevels) {
+            return res.status(409).json({ error: 'No more hints for this question. Ask the AI tutor instead.' });
+        }
+
+        const level = progress.level + 1;
+        await HintReveal.record({ userId: req.user.id, questionId, level });
+
+        const { revealed } = await HintReveal.getProgress(req.user.id, questionId);
+        res.json({
+            level,
+            hint: revealed[level - 1],
+            authoredLevels: progress.authoredLevels
+        });
+    } catch (error) {
+        console.error('Reveal hint error:', error);
+        res.status(500).json({ error: 'Failed to reveal hint' });
+    }
+});
+
 /**
  * GET /api/practice/progress
  * Get user's practice progress
@@ -280,6 +342,7 @@ router.get('/progress', authenticate, async (req, res) => {
                 correctAttempts: parseInt(progress.correct_attempts) || 0,
                 successRate: progress.success_rate || 0,
                 avgTimeSeconds: progress.avg_time_seconds || 0,
+                avgHintsWhenCorrect: progress.avg_hints_when_correct === null ? null : parseFloat(progress.avg_hints_when_correct),
                 lastAttemptAt: progress.last_attempt_at
             },
             recentAttempts,
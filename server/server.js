@@ -177,6 +177,18 @@ async function ensureTables() {
         )`);
         // Migration: add er_diagram column to existing deployments
         await client.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS er_diagram TEXT`);
+        // Migration: optional per-question query timeout (NULL = user's preference)
+        await client.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS query_timeout_ms INTEGER`);
+        // Migration: what the wrong-answer diff may reveal (NULL = everything)
+        await client.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS diff_config JSONB`);
+        // Migration: per-question result-matching rules (NULL = defaults)
+        await client.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS grading_config JSONB`);
+        // Migration: hidden alternative INSERT sets the answer is also graded on
+        await client.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS test_datasets JSONB`);
+        // Migration: tables/queries compared after the script runs (DML/DDL questions)
+        await client.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS state_checks JSONB`);
+        // Migration: authored progressive hints, revealed one level at a time
+        await client.query(`ALTER TABLE questions ADD COLUMN IF NOT EXISTS hints JSONB`);
         await client.query(`CREATE TABLE IF NOT EXISTS user_attempts (
             id SERIAL PRIMARY KEY,
             user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -187,6 +199,29 @@ async function ensureTables() {
             completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             time_taken_seconds INTEGER
         )`);
+        // Migration: the browser's verdict next to the server's, to flag disagreements
+        await client.query(`ALTER TABLE user_attempts ADD COLUMN IF NOT EXISTS client_is_correct BOOLEAN`);
+        await client.query(`ALTER TABLE user_attempts ADD COLUMN IF NOT EXISTS verdict_mismatch BOOLEAN DEFAULT FALSE`);
+        // Migration: hint levels revealed before the attempt
+        await client.query(`ALTER TABLE user_attempts ADD COLUMN IF NOT EXISTS hints_used INTEGER DEFAULT 0`);
+        await client.query(`CREATE TABLE IF NOT EXISTS hint_reveals (
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+            level INTEGER NOT NULL,
+            is_ai BOOLEAN DEFAULT FALSE,
+            revealed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, question_id, level)
+        )`);
+        await client.query(`CREATE TABLE IF NOT EXISTS tutor_messages (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+            role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'model')),
+            content TEXT NOT NULL,
+            tokens INTEGER DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_tutor_messages_user_question ON tutor_messages(user_id, question_id, id)`);
         await client.query(`CREATE TABLE IF NOT EXISTS user_sessions (
             user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
             current_question_id INTEGER REFERENCES questions(id) ON DELETE SET NULL,
@@ -208,6 +243,55 @@ async function ensureTables() {
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )`);
         await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_user_id ON ai_usage(user_id)`);
+        await client.query(`ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS provider VARCHAR(20)`);
+        await client.query(`ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS model VARCHAR(100)`);
+        await client.query(`ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS prompt_version INTEGER`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at)`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at)`);
+        await client.query(`CREATE TABLE IF NOT EXISTS ai_quotas (
+            id SERIAL PRIMARY KEY,
+            role VARCHAR(20) UNIQUE CHECK (role IN ('guest', 'registered')),
+            user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+            daily_tokens INTEGER,
+            daily_requests INTEGER,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK ((role IS NULL) <> (user_id IS NULL))
+        )`);
+        await client.query(`INSERT INTO ai_quotas (role, daily_tokens) VALUES ('guest', 20000) ON CONFLICT (role) DO NOTHING`);
+        await client.query(`CREATE TABLE IF NOT EXISTS ai_leaks (
+            id SERIAL PRIMARY KEY,
+            question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+            type VARCHAR(20) NOT NULL,
+            provider VARCHAR(20),
+            model VARCHAR(100),
+            prompt_version INTEGER,
+            reason VARCHAR(20) NOT NULL,
+            action VARCHAR(20) NOT NULL,
+            response TEXT NOT NULL,
+            sent TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await client.query(`CREATE TABLE IF NOT EXISTS ai_cache (
+            key CHAR(64) PRIMARY KEY,
+            question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+            type VARCHAR(20) NOT NULL,
+            provider VARCHAR(20) NOT NULL,
+            model VARCHAR(100) NOT NULL,
+            response TEXT NOT NULL,
+            input_tokens INTEGER DEFAULT 0,
+            output_tokens INTEGER DEFAULT 0,
+            hits INTEGER DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_cache_last_used_at ON ai_cache(last_used_at)`);
+        await client.query(`CREATE TABLE IF NOT EXISTS ai_cache_stats (
+            day DATE NOT NULL DEFAULT CURRENT_DATE,
+            type VARCHAR(20) NOT NULL,
+            hits INTEGER DEFAULT 0,
+            misses INTEGER DEFAULT 0,
+            PRIMARY KEY (day, type)
+        )`);
         await client.query(`CREATE INDEX IF NOT EXISTS idx_questions_order_index ON questions(order_index)`);
         await client.query(`CREATE INDEX IF NOT EXISTS idx_users_is_guest ON users(is_guest) WHERE is_guest = TRUE`);
 
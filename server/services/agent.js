@@ -1,15 +1,14 @@
 /**
  * Question Authoring Agent
- * Loops: Gemini call → tool execution → Gemini call → ... → final answer
- * Uses Gemini function calling API with rate limiting for free tier.
+ * Loops: LLM call → tool execution → LLM call → ... → final answer
+ * Uses function calling through the LLM provider layer (services/llm), so it
+ * runs on whichever provider config/llm.js assigns to the agent; on Gemini,
+ * calls are spaced out for the free tier.
  */
 
 import { TOOL_FUNCTIONS } from './agentTools.js';
+import { getLLM } from './llm/index.js';
 
-const GEMINI_BASE_URL = process.env.GEMINI_API_URL
-    || 'https://generativelanguage.googleapis.com/v1beta/models';
-const MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-const API_KEY = process.env.GEMINI_API_KEY;
 const MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS || '10', 10);
 const GEMINI_MIN_DELAY_MS = parseInt(process.env.GEMINI_MIN_DELAY_MS || '7000', 10);
 
@@ -40,7 +39,7 @@ async function enforceRateLimit(lastCallTime) {
     }
 }
 
-// Tool declarations for Gemini function calling
+// Tool declarations for function calling (JSON Schema parameters; each provider translates them)
 const TOOL_DECLARATIONS = [
     {
         name: "list_existing_questions",
@@ -60,12 +59,22 @@ const TOOL_DECLARATIONS = [
     },
     {
         name: "validate_question",
-        description: "Run the full validation pipeline for a generated question: create tables from sql_data, run the sql_solution, and verify the solution produces distinguishable results. Use this after generating question content.",
+        description: "Run the full validation pipeline for a generated question: create tables from sql_data, run the sql_solution, and verify the solution produces distinguishable results (for DML/DDL questions: that it changes what the state_checks read). Use this after generating question content.",
         parameters: {
             type: "object",
             properties: {
                 sql_data: { type: "string", description: "CREATE TABLE and INSERT statements" },
-                sql_solution: { type: "string", description: "The correct SQL solution query" }
+                sql_solution: { type: "string", description: "The correct SQL solution query (or statements, for DML/DDL questions)" },
+                test_datasets: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Hidden test datasets: INSERT statements for the same tables with different rows"
+                },
+                state_checks: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "DML/DDL questions only: table names or SELECT queries compared after the statements run"
+                }
             },
             required: ["sql_data", "sql_solution"]
         }
@@ -86,7 +95,33 @@ const TOOL_DECLARATIONS = [
                 },
                 difficulty: { type: "string", enum: ["beginner", "intermediate", "advanced"] },
                 category: { type: "string" },
-                order_index: { type: "integer" }
+                order_index: { type: "integer" },
+                test_datasets: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Hidden test datasets the answer is also graded on"
+                },
+                state_checks: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "DML/DDL questions only: table names or SELECT queries whose results after the student's statements are graded, instead of the statements' output"
+                },
+                hints: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Progressive hints revealed one at a time, vaguest first"
+                },
+                grading_config: {
+                    type: "object",
+                    description: "How answers are matched; omit for the defaults (any row order, exact column names, exact values)",
+                    properties: {
+                        ordered: { type: "boolean", description: "Rows must be in the solution's order" },
+                        column_names: { type: "string", enum: ["exact", "case_insensitive", "positional"] },
+                        numeric_tolerance: { type: "number", description: "Largest absolute difference at which numbers still match" },
+                        nulls: { type: "string", enum: ["strict", "match_empty"] },
+                        duplicates: { type: "string", enum: ["count", "ignore"] }
+                    }
+                }
             },
             required: ["sql_data", "sql_question", "sql_solution", "sql_solution_explanation", "difficulty", "category", "order_index"]
         }
@@ -161,6 +196,10 @@ RULES:
 - Category should describe the main SQL concept tested
 - Create 8-15 rows of sample data
 - The solution must produce results clearly different from SELECT * (distinguishable)
+- Add 1-2 test_datasets: INSERT statements for the same tables with different rows (and a different solution result), so answers hard-coded to the visible data fail. Pass them to validate_question too
+- Most questions are SELECT questions graded on their output. For INSERT/UPDATE/DELETE, CREATE TABLE/VIEW or constraint design questions, sql_solution is the statements to run and state_checks names what is compared afterwards: table or view names (all rows are compared) or SELECT queries on information_schema (it works in both DuckDB and validation), e.g. "SELECT column_name, is_nullable FROM information_schema.columns WHERE table_name = 'x' AND table_schema = current_schema() ORDER BY ordinal_position" for a table's shape or "SELECT k.column_name, c.constraint_type FROM information_schema.key_column_usage k JOIN information_schema.table_constraints c USING (constraint_schema, constraint_name) WHERE k.table_name = 'x' AND k.table_schema = current_schema() ORDER BY 1, 2" for its keys. Always filter information_schema on table_schema = current_schema(): in the browser every question has its own schema, and other questions may have a table of the same name. Leave state_checks out of SELECT questions
+- Write 3 progressive hints, each revealing a little more: level 1 names the clause or concept to use, level 2 the tables and columns involved, level 3 a query skeleton with blanks (never the full solution)
+- grading_config is null for the defaults. If the question asks for a specific order, set grading_config.ordered to true; if it computes averages or other floats, set a small grading_config.numeric_tolerance
 
 IMPORTANT: When presenting the final preview, output it as a JSON code block like:
 \`\`\`json
@@ -172,6 +211,10 @@ IMPORTANT: When presenting the final preview, output it as a JSON code block lik
   "difficulty": "...",
   "category": "...",
   "order_index": N,
+  "test_datasets": ["INSERT INTO ...;", "..."],
+  "state_checks": null,
+  "hints": ["Which clause ...?", "You need the ... column", "SELECT ... FROM ... WHERE ___"],
+  "grading_config": null,
   "concepts": [
     {"name": "HAVING", "is_intended": true},
     {"name": "GROUP BY", "is_intended": true},
@@ -183,19 +226,20 @@ IMPORTANT: When presenting the final preview, output it as a JSON code block lik
 /**
  * Run the agent loop
  * @param {string} userPrompt - Admin's natural language request
- * @param {object[]} existingHistory - Previous conversation turns (for follow-ups)
- * @returns {{ steps: object[], messages: object[] }}
+ * @param {object[]} existingHistory - Previous conversation turns (for follow-ups), as returned in messages
+ * @returns {{ steps: object[], messages: object[] }} messages are provider-neutral (see services/llm)
  */
 export async function runAgent(userPrompt, existingHistory = [], onStep = null) {
-    if (!API_KEY) {
-        const errorStep = { type: 'error', content: 'GEMINI_API_KEY not configured' };
+    const llm = getLLM('agent');
+    if (llm.missingConfig) {
+        const errorStep = { type: 'error', content: llm.missingConfig };
         if (onStep) onStep(errorStep);
         return { steps: [errorStep], messages: [] };
     }
 
     const messages = existingHistory.length > 0
-        ? [...existingHistory, { role: 'user', parts: [{ text: userPrompt }] }]
-        : [{ role: 'user', parts: [{ text: SYSTEM_PROMPT + '\n\nAdmin request: ' + userPrompt }] }];
+        ? [...existingHistory, { role: 'user', text: userPrompt }]
+        : [{ role: 'user', text: SYSTEM_PROMPT + '\n\nAdmin request: ' + userPrompt }];
 
     const steps = [];
     let stepCount = 0;
@@ -206,114 +250,75 @@ export async function runAgent(userPrompt, existingHistory = [], onStep = null)
     while (stepCount < MAX_STEPS) {
         stepCount++;
 
-        // Rate limit
-        await enforceRateLimit(lastCallTime);
-        lastCallTime = Date.now();
-        trackDailyUsage();
+        // Rate limit (Gemini free tier)
+        if (llm.provider === 'gemini') {
+            await enforceRateLimit(lastCallTime);
+            lastCallTime = Date.now();
+            trackDailyUsage();
+        }
 
-        console.log(`Agent Gemini call #${stepCount}: sending ${messages.length} messages`);
+        console.log(`Agent ${llm.provider} call #${stepCount}: sending ${messages.length} messages`);
 
-        // Call Gemini with retry on 503/429 (backoff: 1m, 5m, 10m, 20m, 1h, then cancel)
+        // Retry on 503/429 (backoff: 1m, 5m, 10m, 20m, 1h, then cancel)
         const RETRY_DELAYS_MS = [60000, 300000, 600000, 1200000, 3600000];
         const startTime = Date.now();
-        let data;
-        let retryAttempt = 0;
-
-        while (true) {
-            try {
-                const response = await fetch(
-                    `${GEMINI_BASE_URL}/${MODEL}:generateContent?key=${API_KEY}`,
-                    {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            contents: messages,
-                            tools: [{ functionDeclarations: TOOL_DECLARATIONS }],
-                            toolConfig: { functionCallingConfig: { mode: 'AUTO' } },
-                            generationConfig: {
-                                temperature: 0.3,
-                                maxOutputTokens: 8192
-                            }
-                        }),
-                        signal: AbortSignal.timeout(30000)
-                    }
-                );
-
-                if (!response.ok) {
-                    const errText = await response.text();
-                    const status = response.status;
-
-                    // Retry on 503 (overloaded) and 429 (rate limited)
-                    if ((status === 503 || status === 429) && retryAttempt < RETRY_DELAYS_MS.length) {
-                        const delayMs = RETRY_DELAYS_MS[retryAttempt];
-                        const delayLabel = delayMs >= 60000 ? `${delayMs / 60000}m` : `${delayMs / 1000}s`;
-                        retryAttempt++;
-
-                        const retryStep = {
-                            type: 'tool_call',
-                            tool: 'system',
-                            input: { action: `Gemini ${status} — retrying in ${delayLabel} (attempt ${retryAttempt}/${RETRY_DELAYS_MS.length})` },
-                            latencyMs: Date.now() - startTime
-                        };
-                        steps.push(retryStep);
-                        if (onStep) onStep(retryStep);
-                        console.log(`Agent: Gemini ${status}, retrying in ${delayLabel} (attempt ${retryAttempt})`);
-
-                        await new Promise(resolve => setTimeout(resolve, delayMs));
-                        continue;
-                    }
-
-                    throw new Error(`Gemini API ${status}: ${errText.substring(0, 200)}`);
+        let result;
+
+        try {
+            result = await llm.generate({ messages, tools: TOOL_DECLARATIONS }, {
+                retryDelaysMs: RETRY_DELAYS_MS,
+                onRetry: ({ status, delayMs, attempt, attempts }) => {
+                    const delayLabel = delayMs >= 60000 ? `${delayMs / 60000}m` : `${delayMs / 1000}s`;
+                    const retryStep = {
+                        type: 'tool_call',
+                        tool: 'system',
+                        input: { action: `${llm.label} ${status} — retrying in ${delayLabel} (attempt ${attempt}/${attempts})` },
+                        latencyMs: Date.now() - startTime
+                    };
+                    steps.push(retryStep);
+                    if (onStep) onStep(retryStep);
+                    console.log(`Agent: ${llm.label} ${status}, retrying in ${delayLabel} (attempt ${attempt})`);
                 }
-
-                data = await response.json();
-                break; // success — exit retry loop
-            } catch (error) {
-                // If we've been retrying and still failing, or it's a non-retryable error
-                const errStep = { type: 'error', content: `Gemini call failed: ${error.message}`, latencyMs: Date.now() - startTime };
-                steps.push(errStep);
-                if (onStep) onStep(errStep);
-                break;
-            }
+            });
+        } catch (error) {
+            // Retries exhausted, or a non-retryable error
+            const errStep = { type: 'error', content: `${llm.label} call failed: ${error.message}`, latencyMs: Date.now() - startTime };
+            steps.push(errStep);
+            if (onStep) onStep(errStep);
+            break;
         }
 
-        // If fetch loop ended without data, break outer agent loop
-        if (!data) break;
-
         const latencyMs = Date.now() - startTime;
 
-        const finishReason = data.candidates?.[0]?.finishReason;
-        if (!data.candidates?.[0]?.content?.parts?.length) {
-            console.log(`Agent: empty/missing response from Gemini. finishReason=${finishReason}, raw=${JSON.stringify(data).substring(0, 300)}`);
+        const { finishReason, toolCalls } = result;
+        const text = result.text.trim() ? result.text : null;
+        if (!toolCalls.length && !text) {
+            console.log(`Agent: empty response from ${llm.provider}. finishReason=${finishReason}`);
 
-            // Retry empty responses up to 2 times (transient Gemini issues)
+            // Retry empty responses up to 2 times (transient provider issues)
             if (emptyRetries < 2 && stepCount < MAX_STEPS) {
                 emptyRetries++;
-                const retryStep = { type: 'tool_call', tool: 'system', input: { action: `Retrying empty Gemini response (attempt ${emptyRetries}/2, finishReason: ${finishReason || 'unknown'})` }, latencyMs };
+                const retryStep = { type: 'tool_call', tool: 'system', input: { action: `Retrying empty ${llm.label} response (attempt ${emptyRetries}/2, finishReason: ${finishReason || 'unknown'})` }, latencyMs };
                 steps.push(retryStep);
                 if (onStep) onStep(retryStep);
                 console.log(`Agent: retrying empty response (attempt ${emptyRetries}/2)`);
                 continue;
             }
 
-            const errStep = { type: 'error', content: `Empty response from Gemini after ${emptyRetries} retries (finishReason: ${finishReason || 'unknown'})`, latencyMs };
+            const errStep = { type: 'error', content: `Empty response from ${llm.label} after ${emptyRetries} retries (finishReason: ${finishReason || 'unknown'})`, latencyMs };
             steps.push(errStep);
             if (onStep) onStep(errStep);
             break;
         }
 
-        const parts = data.candidates[0].content.parts;
-        messages.push({ role: 'model', parts });
-
-        // Check for tool calls (Gemini 3.x can return multiple in parallel)
-        const toolCalls = parts.filter(p => p.functionCall);
-        const textPart = parts.find(p => p.text && p.text.trim());
+        messages.push(result.message);
 
+        // Check for tool calls (models can return several in parallel)
         if (toolCalls.length > 0) {
-            const functionResponses = [];
+            const toolResults = [];
 
             for (const toolCall of toolCalls) {
-                const { name, args } = toolCall.functionCall;
+                const { id, name, args } = toolCall;
                 toolCallsMade++;
 
                 const toolCallStep = {
@@ -325,8 +330,8 @@ export async function runAgent(userPrompt, existingHistory = [], onStep = null)
                 steps.push(toolCallStep);
                 if (onStep) onStep(toolCallStep);
 
-                if (toolCall.thoughtSignature) {
-                    console.log(`Agent step ${stepCount} SIGNATURE: ${name} has thoughtSignature (${toolCall.thoughtSignature.length} chars)`);
+                if (toolCall.signature) {
+                    console.log(`Agent step ${stepCount} SIGNATURE: ${name} has thoughtSignature (${toolCall.signature.length} chars)`);
                 }
                 console.log(`Agent step ${stepCount} CALL: ${name}(${JSON.stringify(args).substring(0, 500)})`);
 
@@ -350,55 +355,42 @@ export async function runAgent(userPrompt, existingHistory = [], onStep = null)
                 steps.push(toolResultStep);
                 if (onStep) onStep(toolResultStep);
 
-                functionResponses.push({
-                    functionResponse: {
-                        name,
-                        response: toolResult
-                    }
-                });
+                toolResults.push({ id, name, result: toolResult });
             }
 
             if (toolCalls.length > 1) {
                 console.log(`Agent step ${stepCount}: ${toolCalls.length} parallel tool calls dispatched`);
             }
 
-            // Send ALL tool results in a single user message
-            messages.push({ role: 'user', parts: functionResponses });
+            // Send ALL tool results in a single message
+            messages.push({ role: 'tool', results: toolResults });
 
             continue;
         }
 
-        if (textPart) {
-            console.log(`Agent step ${stepCount} TEXT: "${textPart.text.substring(0, 500)}"`);
-
-            // If Gemini returned text without making ANY tool calls, nudge it to use tools
-            if (toolCallsMade === 0 && stepCount < MAX_STEPS) {
-                console.log(`Agent: nudging Gemini to use tools (responded with text on first call)`);
-                const nudgeStep = { type: 'tool_call', tool: 'system', input: { action: 'Retrying — agent skipped tools' }, latencyMs };
-                steps.push(nudgeStep);
-                if (onStep) onStep(nudgeStep);
+        console.log(`Agent step ${stepCount} TEXT: "${text.substring(0, 500)}"`);
 
-                messages.push({
-                    role: 'user',
-                    parts: [{ text: 'You MUST use the available tools before responding. Start by calling get_coverage_gaps, then list_existing_questions. Complete the full workflow using tools before giving a text answer.' }]
-                });
-                continue;
-            }
+        // If the model returned text without making ANY tool calls, nudge it to use tools
+        if (toolCallsMade === 0 && stepCount < MAX_STEPS) {
+            console.log(`Agent: nudging ${llm.provider} to use tools (responded with text on first call)`);
+            const nudgeStep = { type: 'tool_call', tool: 'system', input: { action: 'Retrying — agent skipped tools' }, latencyMs };
+            steps.push(nudgeStep);
+            if (onStep) onStep(nudgeStep);
 
-            const answerStep = {
-                type: 'answer',
-                content: textPart.text,
-                latencyMs
-            };
-            steps.push(answerStep);
-            if (onStep) onStep(answerStep);
-            break;
+            messages.push({
+                role: 'user',
+                text: 'You MUST use the available tools before responding. Start by calling get_coverage_gaps, then list_existing_questions. Complete the full workflow using tools before giving a text answer.'
+            });
+            continue;
         }
 
-        // Neither tool call nor text — unexpected
-        console.log(`Agent: unexpected response parts: ${JSON.stringify(parts.map(p => Object.keys(p))).substring(0, 200)}`);
-        steps.push({ type: 'error', content: 'Unexpected Gemini response — no tool call or text', latencyMs });
-        if (onStep) onStep(steps[steps.length - 1]);
+        const answerStep = {
+            type: 'answer',
+            content: text,
+            latencyMs
+        };
+        steps.push(answerStep);
+        if (onStep) onStep(answerStep);
         break;
     }
 
@@ -408,7 +400,7 @@ export async function runAgent(userPrompt, existingHistory = [], onStep = null)
         if (onStep) onStep(limitStep);
     }
 
-    console.log(`Agent completed: ${steps.length} steps, ${stepCount} Gemini calls, daily usage: ${dailyCallCount}/250`);
+    console.log(`Agent completed: ${steps.length} steps, ${stepCount} ${llm.provider} calls${llm.provider === 'gemini' ? `, daily usage: ${dailyCallCount}/250` : ''}`);
 
     return { steps, messages };
 }
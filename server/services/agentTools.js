@@ -6,6 +6,7 @@
 
 import { query, getClient } from '../config/database.js';
 import { Question } from '../models/Question.js';
+import { stateCheckQuery } from '../../js/services/result-diff.js';
 
 /**
  * Tool: list_existing_questions
@@ -70,15 +71,31 @@ export async function execute_sql({ sql }) {
     }
 }
 
+/**
+ * Rows each of a DML/DDL question's state checks reads
+ */
+async function readStateChecks(client, state_checks) {
+    const results = [];
+    for (const check of state_checks) {
+        results.push((await client.query(stateCheckQuery(check))).rows);
+    }
+    return results;
+}
+
 /**
  * Tool: validate_question
  * Full validation pipeline:
  *   1. Run sql_data (CREATE TABLE + INSERT) — verify schema is valid
  *   2. Run sql_solution — verify it returns results
  *   3. Run a wrong query — verify solution is distinguishable
+ *   4. Reload the tables with each hidden test dataset — verify the solution
+ *      runs and returns something other than on the visible data
+ * DML/DDL questions (state_checks) run the solution in step 2 and read the
+ * checks afterwards; step 3 then verifies that the checks read something
+ * different before the solution ran, so doing nothing can't pass.
  * Everything runs in ROLLBACK — nothing persists.
  */
-export async function validate_question({ sql_data, sql_solution }) {
+export async function validate_question({ sql_data, sql_solution, test_datasets = [], state_checks = [] }) {
     // Check for table name collisions with existing questions
     const tableNames = [...sql_data.matchAll(/CREATE\s+TABLE\s+(\w+)/gi)].map(m => m[1].toLowerCase());
     const existingQuestions = await Question.getAll();
@@ -106,6 +123,56 @@ export async function validate_question({ sql_data, sql_solution }) {
             if (r.command === 'INSERT') rowsInserted += r.rowCount;
         }
 
+        if (state_checks.length) {
+            // Steps 2-3 for DML/DDL questions: the solution must change the checked state
+            await client.query('SAVEPOINT solution');
+            let stateBefore = null;
+            try {
+                stateBefore = await readStateChecks(client, state_checks);
+            } catch {
+                // e.g. the table the question asks for doesn't exist yet
+                await client.query('ROLLBACK TO SAVEPOINT solution');
+            }
+            await client.query(sql_solution);
+            const stateAfter = await readStateChecks(client, state_checks);
+            await client.query('ROLLBACK TO SAVEPOINT solution');
+
+            // Step 4: the same on each hidden test dataset
+            const datasetResults = [];
+            for (const dataset of test_datasets) {
+                await client.query('SAVEPOINT test_dataset');
+                try {
+                    await client.query(`TRUNCATE ${tableNames.join(', ')} CASCADE`);
+                    await client.query(dataset);
+                    await client.query(sql_solution);
+                    const datasetState = await readStateChecks(client, state_checks);
+                    datasetResults.push({
+                        valid: true,
+                        differs_from_visible: JSON.stringify(datasetState) !== JSON.stringify(stateAfter)
+                    });
+                } catch (error) {
+                    datasetResults.push({ valid: false, error: error.message });
+                }
+                await client.query('ROLLBACK TO SAVEPOINT test_dataset');
+            }
+
+            await client.query('ROLLBACK');
+
+            return {
+                schema_valid: true,
+                rows_inserted: rowsInserted,
+                solution_valid: true,
+                state_checks: state_checks.map((check, i) => ({
+                    check,
+                    rows: stateAfter[i].length,
+                    preview: stateAfter[i].slice(0, 5)
+                })),
+                distinguishable: JSON.stringify(stateBefore) !== JSON.stringify(stateAfter),
+                test_datasets: datasetResults.length > 0 ? datasetResults : null,
+                table_collisions: collisions.length > 0 ? collisions : null
+            };
+        }
+
         // Step 2: Run sql_solution
         const solutionResult = await client.query(sql_solution);
 
@@ -122,6 +189,31 @@ export async function validate_question({ sql_data, sql_solution }) {
             }
         }
 
+        // Step 4: Hidden test datasets replace the visible rows one at a time
+        const datasetResults = [];
+        for (const dataset of test_datasets) {
+            await client.query('SAVEPOINT test_dataset');
+            try {
+                await client.query(`TRUNCATE ${tableNames.join(', ')} CASCADE`);
+                let datasetRows = 0;
+                for (const stmt of dataset.split(';').filter(s => s.trim())) {
+                    const r = await client.query(stmt);
+                    if (r.command === 'INSERT') datasetRows += r.rowCount;
+                }
+                const datasetResult = await client.query(sql_solution);
+                datasetResults.push({
+                    valid: true,
+                    rows_inserted: datasetRows,
+                    solution_rows: datasetResult.rowCount,
+                    // A dataset with the visible answer can't catch hard-coded results
+                    differs_from_visible: JSON.stringify(datasetResult.rows) !== JSON.stringify(solutionResult.rows)
+                });
+            } catch (error) {
+                datasetResults.push({ valid: false, error: error.message });
+            }
+            await client.query('ROLLBACK TO SAVEPOINT test_dataset');
+        }
+
         await client.query('ROLLBACK');
 
         return {
@@ -132,6 +224,7 @@ export async function validate_question({ sql_data, sql_solution }) {
             solution_columns: solutionResult.fields?.map(f => f.name),
             solution_preview: solutionResult.rows?.slice(0, 5),
             distinguishable,
+            test_datasets: datasetResults.length > 0 ? datasetResults : null,
             table_collisions: collisions.length > 0 ? collisions : null
         };
     } catch (error) {
@@ -160,7 +253,11 @@ export async function insert_question(params) {
         difficulty: params.difficulty,
         category: params.category,
         order_index: params.order_index,
-        er_diagram: params.er_diagram || null
+        er_diagram: params.er_diagram || null,
+        grading_config: params.grading_config || null,
+        test_datasets: params.test_datasets?.length ? params.test_datasets : null,
+        state_checks: params.state_checks?.length ? params.state_checks : null,
+        hints: params.hints?.length ? params.hints : null
     });
 
     // Tag question with concepts
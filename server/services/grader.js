@@ -0,0 +1,360 @@
+/**
+ * Grader — authoritative checking of practice submissions.
+ * Runs the question's solution and the submitted query in a fresh DuckDB
+ * instance per dataset (the engine DuckDB-WASM runs in the browser) and
+ * compares them with the browser's matching rules (js/services/result-diff.js).
+ * DML/DDL questions run the solution and the submission in separate instances
+ * and compare what the question's state_checks read afterwards.
+ *
+ * Instances are sandboxed: no file, network or extension access, one thread,
+ * bounded memory, settings locked before any question or user SQL runs.
+ *
+ *   GRADER_TIMEOUT_MS    — Per-query limit when the question sets none (default: 10000)
+ *   GRADER_MEMORY_LIMIT  — DuckDB memory_limit per instance (default: 256MB)
+ */
+
+import {
+    DuckDBInstance,
+    DuckDBBlobValue,
+    DuckDBDecimalValue,
+    DuckDBListValue,
+    DuckDBArrayValue,
+    DuckDBMapValue,
+    DuckDBStructValue,
+    DuckDBUnionValue
+} from '@duckdb/node-api';
+import { splitStatements } from '../../js/sql-splitter.js';
+import { BigDecimal, MapValue, formatBlob } from '../../js/sql-values.js';
+import { diffResults, stateCheckQuery } from '../../js/services/result-diff.js';
+
+const TIMEOUT_MS = parseInt(process.env.GRADER_TIMEOUT_MS) || 10000;
+
+const INSTANCE_CONFIG = {
+    threads: '1',
+    memory_limit: process.env.GRADER_MEMORY_LIMIT || '256MB',
+    enable_external_access: 'false',
+    autoinstall_known_extensions: 'false',
+    autoload_known_extensions: 'false'
+};
+
+// Like the browser's practice mode (DuckDBManager): the question's tables in
+// their own schema, first on the search path
+const PRACTICE_SCHEMA = 'memory.practice';
+const SEARCH_PATH = `${PRACTICE_SCHEMA},memory.main`;
+
+// One grading at a time keeps concurrent submissions from exhausting memory
+let queue = Promise.resolve();
+
+function isSafe(bigint) {
+    return bigint >= BigInt(Number.MIN_SAFE_INTEGER) && bigint <= BigInt(Number.MAX_SAFE_INTEGER);
+}
+
+/**
+ * Convert a @duckdb/node-api value to what the browser's readValue returns
+ * for the same type, so comparisons behave identically
+ */
+function toGradingValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'bigint') {
+        return isSafe(value) ? Number(value) : new BigDecimal(value);
+    }
+    if (typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof DuckDBDecimalValue) {
+        return !value.scale && isSafe(value.value) ? Number(value.value) : new BigDecimal(value.value, value.scale);
+    }
+    if (value instanceof DuckDBListValue || value instanceof DuckDBArrayValue) {
+        return value.items.map(toGradingValue);
+    }
+    if (value instanceof DuckDBStructValue) {
+        return Object.fromEntries(Object.entries(value.entries).map(([key, item]) => [key, toGradingValue(item)]));
+    }
+    if (value instanceof DuckDBMapValue) {
+        return new MapValue(value.entries.map(entry => [toGradingValue(entry.key), toGradingValue(entry.value)]));
+    }
+    if (value instanceof DuckDBUnionValue) {
+        return toGradingValue(value.value);
+    }
+    if (value instanceof DuckDBBlobValue) {
+        return formatBlob(value.bytes);
+    }
+    // Dates, times, timestamps, intervals, UUIDs: DuckDB's own text form
+    return value.toString();
+}
+
+function statementsOf(sql) {
+    return splitStatements(sql).map(s => s.text);
+}
+
+/**
+ * Run statements in order, interrupting them after timeoutMs
+ * @returns {Promise<{columns: string[], rows: Object[]}>} The last statement's result
+ */
+async function runStatements(connection, statements, timeoutMs) {
+    const timer = setTimeout(() => connection.interrupt(), timeoutMs);
+    try {
+        let result = null;
+        for (const statement of statements) {
+            result = await connection.run(statement);
+        }
+        if (!result) {
+            return { columns: [], rows: [] };
+        }
+
+        const columns = result.columnNames();
+        const rows = (await result.getRows()).map(values =>
+            Object.fromEntries(columns.map((column, i) => [column, toGradingValue(values[i])])));
+        return { columns, rows };
+    } catch (error) {
+        if (/^INTERRUPT/.test(error.message)) {
+            throw new Error(`Query timed out after ${timeoutMs / 1000}s`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * The question's setup statements, with a hidden dataset's INSERTs replacing
+ * the visible rows (as PracticeManager.initializePracticeDuckDB does)
+ */
+function setupStatements(question, dataset) {
+    const statements = statementsOf(question.sql_data);
+    if (dataset === null) {
+        return statements;
+    }
+    return [
+        ...statements.filter(statement => !/^INSERT\b/i.test(statement)),
+        ...statementsOf(dataset)
+    ];
+}
+
+/**
+ * Load the question's tables (with a dataset's rows) into a fresh instance
+ * and hand its connection to `work`
+ */
+async function withSandbox(question, dataset, timeoutMs, work) {
+    const instance = await DuckDBInstance.create(':memory:', INSTANCE_CONFIG);
+    const connection = await instance.connect();
+    try {
+        // DuckDB-WASM has no time zone data and shows TIMESTAMPTZ in UTC
+        await connection.run(`SET TimeZone = 'UTC'`);
+        await connection.run(`CREATE SCHEMA ${PRACTICE_SCHEMA}`);
+        await connection.run(`SET search_path = '${SEARCH_PATH}'`);
+        await runStatements(connection, setupStatements(question, dataset), timeoutMs);
+        await connection.run('SET lock_configuration = true');
+        return await work(connection);
+    } finally {
+        connection.closeSync();
+        instance.closeSync();
+    }
+}
+
+/**
+ * Run a script, then read each of the question's state_checks
+ */
+async function stateAfter(connection, script, checks, timeoutMs) {
+    await runStatements(connection, statementsOf(script), timeoutMs);
+    const results = [];
+    for (const check of checks) {
+        results.push(await runStatements(connection, [stateCheckQuery(check)], timeoutMs));
+    }
+    return results;
+}
+
+/**
+ * Grade a submission on one dataset
+ * @returns {Promise<{matches: boolean, error: string|null}>} error is the
+ *          submitted query's error, if it failed
+ */
+async function gradeOnDataset(question, userQuery, dataset) {
+    const timeoutMs = question.query_timeout_ms || TIMEOUT_MS;
+    const rules = question.grading_config;
+    const checks = question.state_checks || [];
+
+    if (checks.length) {
+        const expected = await withSandbox(question, dataset, timeoutMs,
+            connection => stateAfter(connection, question.sql_solution, checks, timeoutMs));
+        try {
+            const actual = await withSandbox(question, dataset, timeoutMs,
+                connection => stateAfter(connection, userQuery, checks, timeoutMs));
+            return { matches: actual.every((result, i) => diffResults(result, expected[i], rules).matches), error: null };
+        } catch (error) {
+            return { matches: false, error: error.message };
+        }
+    }
+
+    return withSandbox(question, dataset, timeoutMs, async (connection) => {
+        // The solution runs first so the submission can't change its input
+        const expected = await runStatements(connection, statementsOf(question.sql_solution), timeoutMs);
+        let actual;
+        try {
+            actual = await runStatements(connection, statementsOf(userQuery), timeoutMs);
+        } catch (error) {
+            return { matches: false, error: error.message };
+        }
+        return { matches: diffResults(actual, expected, rules).matches, error: null };
+    });
+}
+
+/**
+ * The first rows of each of the question's tables, as loaded
+ * @returns {Promise<Array<{table: string, columns: string[], rows: Object[], rowCount: number}>>}
+ */
+async function sampleTables(connection, sampleRows, timeoutMs) {
+    const { rows: tables } = await runStatements(connection, [
+        `SELECT table_name FROM duckdb_tables() WHERE database_name = 'memory' AND schema_name = 'practice' ORDER BY table_name`
+    ], timeoutMs);
+
+    const samples = [];
+    for (const { table_name: table } of tables) {
+        const name = `${PRACTICE_SCHEMA}."${table.replace(/"/g, '""')}"`;
+        const { rows: [{ total }] } = await runStatements(connection, [`SELECT COUNT(*) AS total FROM ${name}`], timeoutMs);
+        const { columns, rows } = await runStatements(connection, [`SELECT * FROM ${name} LIMIT ${sampleRows}`], timeoutMs);
+        samples.push({ table, columns, rows, rowCount: Number(total) });
+    }
+    return samples;
+}
+
+/**
+ * What a student's attempt does on the question's visible data, for the AI
+ * tutor: sample rows of the question's tables and how the attempt's result
+ * differs from the solution's. DML/DDL questions compare the first
+ * state_check whose result differs (or the first one).
+ * @param {Object} question - A questions row
+ * @param {string} userQuery - May be empty: then only the samples are read
+ * @param {number} sampleRows - Rows per table
+ * @returns {Promise<{samples: Array, check: string|null, diff: Object|null, error: string|null}>}
+ *          diff is diffResults(attempt, solution); null when the attempt failed (error) or is empty
+ */
+export function describeAttempt(question, userQuery, sampleRows) {
+    const task = async () => {
+        const timeoutMs = question.query_timeout_ms || TIMEOUT_MS;
+        const rules = question.grading_config;
+        const checks = question.state_checks || [];
+        const attempt = userQuery.trim() ? userQuery : null;
+        let samples;
+        let expected = null;
+        let actual = null;
+        let error = null;
+
+        await withSandbox(question, null, timeoutMs, async (connection) => {
+            samples = await sampleTables(connection, sampleRows, timeoutMs);
+            if (attempt && !checks.length) {
+                // The solution runs first so the attempt can't change its input
+                expected = [await runStatements(connection, statementsOf(question.sql_solution), timeoutMs)];
+                try {
+                    actual = [await runStatements(connection, statementsOf(attempt), timeoutMs)];
+                } catch (caught) {
+                    error = caught.message;
+                }
+            }
+        });
+
+        if (attempt && checks.length) {
+            expected = await withSandbox(question, null, timeoutMs,
+                connection => stateAfter(connection, question.sql_solution, checks, timeoutMs));
+            try {
+                actual = await withSandbox(question, null, timeoutMs,
+                    connection => stateAfter(connection, attempt, checks, timeoutMs));
+            } catch (caught) {
+                error = caught.message;
+            }
+        }
+
+        if (!actual) {
+            return { samples, check: null, diff: null, error };
+        }
+        const diffs = actual.map((result, i) => diffResults(result, expected[i], rules));
+        const shown = Math.max(0, diffs.findIndex(diff => !diff.matches));
+        return { samples, check: checks[shown] || null, diff: diffs[shown], error: null };
+    };
+
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * A parse tree to compare: DuckDB's serialization of a SELECT without
+ * source locations, identifiers and keywords lower-cased
+ * @returns {string|null} null when it is not a single parseable SELECT
+ */
+async function normalizedTree(connection, sql) {
+    const result = await connection.run('SELECT json_serialize_sql($1::VARCHAR)', [sql]);
+    const tree = JSON.parse((await result.getRows())[0][0]);
+    if (tree.error || tree.statements.length !== 1) {
+        return null;
+    }
+
+    const normalize = (node) => {
+        if (Array.isArray(node)) {
+            return node.map(normalize);
+        }
+        if (node && typeof node === 'object') {
+            return Object.fromEntries(Object.entries(node)
+                .filter(([key]) => key !== 'query_location')
+                .map(([key, value]) => [key, normalize(value)]));
+        }
+        return typeof node === 'string' ? node.toLowerCase() : node;
+    };
+    return JSON.stringify(normalize(tree.statements[0]));
+}
+
+/**
+ * How close a query is to the question's solution: the same parse tree, or
+ * the same result (or table state) on the question's visible data by its
+ * grading rules. Used to keep AI hints from giving the solution away.
+ * @param {Object} question - A questions row
+ * @param {string} sql
+ * @returns {Promise<{sameStructure: boolean, sameResult: boolean}>}
+ */
+export function compareWithSolution(question, sql) {
+    const task = async () => {
+        const timeoutMs = question.query_timeout_ms || TIMEOUT_MS;
+        const sameStructure = await withSandbox(question, null, timeoutMs, async (connection) => {
+            const tree = await normalizedTree(connection, sql);
+            return tree !== null && tree === await normalizedTree(connection, question.sql_solution);
+        });
+        if (sameStructure) {
+            return { sameStructure, sameResult: true };
+        }
+
+        const { matches } = await gradeOnDataset(question, sql, null);
+        return { sameStructure, sameResult: matches };
+    };
+
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Grade a submission on the question's visible data and each hidden test dataset,
+ * by its result or, with state_checks, by the database state it leaves
+ * @param {Object} question - A questions row
+ * @param {string} userQuery
+ * @returns {Promise<{isCorrect: boolean, passed: number, total: number, error: string|null}>}
+ *          error is the submitted query's first error
+ */
+export function gradeSubmission(question, userQuery) {
+    const task = async () => {
+        const datasets = [null, ...(question.test_datasets || [])];
+        let passed = 0;
+        let firstError = null;
+        for (const dataset of datasets) {
+            const { matches, error } = await gradeOnDataset(question, userQuery, dataset);
+            if (matches) passed++;
+            firstError = firstError || error;
+        }
+        return { isCorrect: passed === datasets.length, passed, total: datasets.length, error: firstError };
+    };
+
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+}
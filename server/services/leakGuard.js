@@ -0,0 +1,162 @@
+/**
+ * Leak guard — checks AI hints for the question's solution.
+ * The hint prompts ask the model not to give the answer; this checks that it
+ * didn't. Each piece of SQL in a response (code blocks, inline code, bare
+ * SELECT, WITH or FROM-first statements in any case) is compared with the
+ * solution in the grader's sandbox: the same parse tree or the same result
+ * counts as a leak.
+ *
+ * Pieces that are not whole statements (`GROUP BY dept`), that fail to run,
+ * or that repeat the student's own query are not leaks.
+ */
+
+import { compareWithSolution } from './grader.js';
+import { AICache } from '../models/AICache.js';
+
+// At most this many pieces of SQL are checked per response
+const MAX_CANDIDATES = 5;
+
+export const REDACTION = '[solution hidden — try writing this part yourself]';
+
+const STATEMENT_START = /^\s*(SELECT|WITH|FROM|INSERT|UPDATE|DELETE|CREATE|ALTER|DROP)\b/i;
+
+// Where SQL may begin: a backtick, or SELECT/WITH/FROM (any case) in prose
+const SQL_START = /`|\b(?:SELECT|WITH|FROM)\b/i;
+
+// Bare statements in prose start at one of these keywords and run to a
+// semicolon or to where the prose resumes (see statementAt). WITH and FROM
+// are common words, so they only count when what follows looks like a CTE
+// or a FROM-first query (a table alone only with a semicolon after it).
+const BARE_START = /\b(select|with|from)\b/gi;
+const BARE_SHAPE = {
+    select: /^select\b/i,
+    with: /^with\s+(?:recursive\s+)?[\w"]+(?:\s*\([^)]*\))?\s+as\s+(?:(?:not\s+)?materialized\s+)?\(/i,
+    from: /^from\s+[\w."]+(?:\s+(?:as\s+)?\w+)?\s*(?:[;,]|\b(?:select|where|join|inner|left|right|full|cross|natural|positional|asof|group|order|limit|qualify|using)\b)/i
+};
+
+// A line that carries on the statement above it: indented, or starting with
+// a bracket, a comma or a keyword that continues a query
+const CONTINUED_LINE = /^(?:\s|[(),]|(?:select|from|where|join|inner|left|right|full|cross|natural|on|using|and|or|not|group|order|having|limit|offset|union|intersect|except|qualify|window|case|when|then|else|end)\b)/i;
+// A line the next one must carry on: ends in a comma, a bracket, an operator or a keyword
+const OPEN_LINE = /(?:[,(=<>+*/-]|\b(?:select|from|where|join|on|and|or|by|as|in|not))\s*$/i;
+// Sentence punctuation (outside quotes) ends a statement before the end of
+// the text, a line break or a capital letter
+const SENTENCE_END = /^(?:$|[ \t]*\n|\s+[A-Z])/;
+
+/**
+ * The bare statement starting at `start`: up to and including a semicolon,
+ * or up to a blank line, a line that does not carry the SQL on, or the end of
+ * a sentence — so prose after the SQL is not part of it
+ */
+function statementAt(text, start) {
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\n') {
+            const line = text.slice(text.lastIndexOf('\n', i - 1) + 1, i);
+            const next = text.slice(i + 1).match(/^.*/)[0];
+            if (!next.trim() || (!quote && !CONTINUED_LINE.test(next) && !OPEN_LINE.test(line))) {
+                return text.slice(start, i);
+            }
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === ';') {
+            return text.slice(start, i + 1);
+        } else if ('.!?'.includes(char) && SENTENCE_END.test(text.slice(i + 1))) {
+            return text.slice(start, i);
+        }
+    }
+    return text.slice(start);
+}
+
+/**
+ * Bare SQL statements in prose. A keyword inside a statement already found
+ * does not start another one — except SELECT inside a SELECT statement,
+ * since the first "select" may have been prose ("select the rows: select ...").
+ */
+function bareStatements(text) {
+    const found = [];
+    let end = 0;
+    let inside = null;
+    for (const match of text.matchAll(BARE_START)) {
+        const keyword = match[1].toLowerCase();
+        if (match.index < end && !(keyword === 'select' && inside === 'select')) {
+            continue;
+        }
+        const statement = statementAt(text, match.index);
+        if (BARE_SHAPE[keyword].test(statement.trim())) {
+            found.push({ snippet: statement, sql: statement.trim() });
+            if (match.index >= end) {
+                inside = keyword;
+            }
+            end = Math.max(end, match.index + statement.length);
+        }
+    }
+    return found;
+}
+
+/**
+ * The SQL in a response
+ * @returns {Array<{snippet: string, sql: string}>} snippet is the text as it
+ *          appears in the response (to redact), sql the statement in it
+ */
+export function extractSQL(text) {
+    const found = [];
+    let rest = text;
+
+    for (const pattern of [/```[a-z]*\s*([\s\S]*?)```/gi, /`([^`\n]+)`/g]) {
+        rest = rest.replace(pattern, (snippet, sql) => {
+            found.push({ snippet, sql: sql.trim() });
+            return ' ';
+        });
+    }
+    found.push(...bareStatements(rest));
+
+    return found.filter(({ sql }) => STATEMENT_START.test(sql));
+}
+
+/**
+ * How much of a response being streamed can be sent before it is checked:
+ * everything before where SQL may begin, up to the last whole word (the
+ * next piece may turn it into SELECT)
+ * @returns {number} a length of text
+ */
+export function safePrefixLength(text) {
+    const sqlStart = text.search(SQL_START);
+    if (sqlStart !== -1) {
+        return sqlStart;
+    }
+    return Math.max(text.lastIndexOf(' '), text.lastIndexOf('\n')) + 1;
+}
+
+/**
+ * The pieces of a response that give the solution away
+ * @param {Object} question - A questions row
+ * @param {string} text - The response
+ * @param {string} userQuery - The student's query (quoting it back is fine)
+ * @returns {Promise<Array<{snippet: string, reason: 'structure'|'result'}>>}
+ */
+export async function findLeaks(question, text, userQuery) {
+    const own = AICache.normalizeQuery(userQuery);
+    const candidates = extractSQL(text)
+        .filter(({ sql }) => AICache.normalizeQuery(sql) !== own)
+        .slice(0, MAX_CANDIDATES);
+
+    const leaks = [];
+    for (const { snippet, sql } of candidates) {
+        const { sameStructure, sameResult } = await compareWithSolution(question, sql);
+        if (sameStructure || sameResult) {
+            leaks.push({ snippet, reason: sameStructure ? 'structure' : 'result' });
+        }
+    }
+    return leaks;
+}
+
+/**
+ * Replace the leaking pieces of a response
+ */
+export function redact(text, leaks) {
+    return leaks.reduce((redacted, { snippet }) => redacted.split(snippet).join(REDACTION), text);
+}
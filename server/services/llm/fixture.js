@@ -0,0 +1,83 @@
+/**
+ * Fixture provider — deterministic responses without a model, for tests and
+ * offline development. The same request always gets the same response.
+ *
+ * LLM_FIXTURE_FILE may point to a JSON array of rules, tried in order:
+ *   [{ "match": "get_coverage_gaps", "toolCalls": [{ "name": "list_existing_questions", "args": {} }] },
+ *    { "match": "HAVING", "text": "Filter the groups, not the rows." },
+ *    { "text": "Fallback reply" }]
+ * A rule applies when its `match` (if any) occurs in the last message: the
+ * user's text, or the tool results as JSON — and its `system` (if any) in the
+ * system prompt, e.g. to answer a retry with a stricter instruction
+ * differently. Without a matching rule the reply is a fixed sentence quoting
+ * the start of the last message.
+ */
+
+import { readFileSync } from 'fs';
+
+export const LABEL = 'Fixture';
+
+export function missingConfig() {
+    return null;
+}
+
+const rulesByFile = new Map();
+
+function rules(fixtureFile) {
+    if (!fixtureFile) return [];
+    if (!rulesByFile.has(fixtureFile)) {
+        rulesByFile.set(fixtureFile, JSON.parse(readFileSync(fixtureFile, 'utf8')));
+    }
+    return rulesByFile.get(fixtureFile);
+}
+
+function lastMessageText(messages) {
+    const last = messages[messages.length - 1];
+    if (!last) return '';
+    return last.role === 'tool' ? JSON.stringify(last.results) : (last.text || '');
+}
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function respond(config, { system, messages }) {
+    const last = lastMessageText(messages);
+    const rule = rules(config.fixtureFile).find(({ match, system: inSystem }) =>
+        (!match || last.includes(match)) && (!inSystem || (system || '').includes(inSystem)));
+
+    const text = rule
+        ? (rule.text || '')
+        : `Fixture response to: ${last.replace(/\s+/g, ' ').substring(0, 80)}`;
+    const toolCalls = (rule?.toolCalls || []).map((call, i) => ({
+        id: `call_${i}`,
+        name: call.name,
+        args: call.args || {}
+    }));
+    const prompt = (system || '') + messages.map(message => message.text || JSON.stringify(message.results || '')).join('');
+
+    return {
+        text,
+        toolCalls,
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(text + JSON.stringify(toolCalls)),
+        finishReason: 'STOP'
+    };
+}
+
+export async function generate(config, request) {
+    return respond(config, request);
+}
+
+/**
+ * Streams the response a word at a time
+ */
+export async function* stream(config, request, { signal }) {
+    const { text, inputTokens, outputTokens, finishReason } = respond(config, request);
+    for (const word of text.match(/\S+\s*/g) || []) {
+        signal?.throwIfAborted();
+        yield { text: word };
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    yield { text: '', inputTokens, outputTokens, finishReason };
+}
@@ -0,0 +1,100 @@
+/**
+ * Gemini provider — Google's generateContent / streamGenerateContent API,
+ * with function calling for tools.
+ */
+
+import { postJSON, readEventData } from './http.js';
+
+export const LABEL = 'Gemini';
+
+export function missingConfig(config) {
+    return config.apiKey ? null : 'GEMINI_API_KEY not configured';
+}
+
+function toContents(messages) {
+    return messages.map(message => {
+        if (message.role === 'tool') {
+            return {
+                role: 'user',
+                parts: message.results.map(({ name, result }) => ({
+                    functionResponse: { name, response: result }
+                }))
+            };
+        }
+
+        if (message.role === 'model') {
+            const parts = message.text ? [{ text: message.text }] : [];
+            for (const call of message.toolCalls || []) {
+                // Gemini 2.5+ needs each call's thought signature sent back with it
+                parts.push({
+                    functionCall: { name: call.name, args: call.args },
+                    ...(call.signature && { thoughtSignature: call.signature })
+                });
+            }
+            return { role: 'model', parts };
+        }
+
+        return { role: 'user', parts: [{ text: message.text }] };
+    });
+}
+
+function requestBody(config, { system, messages, tools }) {
+    return {
+        contents: toContents(messages),
+        ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+        ...(tools?.length && {
+            tools: [{ functionDeclarations: tools }],
+            toolConfig: { functionCallingConfig: { mode: 'AUTO' } }
+        }),
+        generationConfig: {
+            maxOutputTokens: config.maxTokens,
+            temperature: config.temperature,
+            ...(config.topP && { topP: config.topP })
+        }
+    };
+}
+
+function url(config, method) {
+    return `${config.apiUrl}/${config.model}:${method}?${method === 'streamGenerateContent' ? 'alt=sse&' : ''}key=${config.apiKey}`;
+}
+
+export async function generate(config, request, { signal }) {
+    const response = await postJSON('gemini', url(config, 'generateContent'), requestBody(config, request), { signal });
+    const data = await response.json();
+
+    const candidate = data.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+    const toolCalls = parts.filter(part => part.functionCall).map((part, i) => ({
+        id: part.functionCall.id || `call_${i}`,
+        name: part.functionCall.name,
+        args: part.functionCall.args || {},
+        ...(part.thoughtSignature && { signature: part.thoughtSignature })
+    }));
+    const text = parts.filter(part => part.text && !part.thought).map(part => part.text).join('');
+
+    return {
+        text,
+        toolCalls,
+        inputTokens: data.usageMetadata?.promptTokenCount || 0,
+        outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
+        finishReason: candidate?.finishReason || 'unknown'
+    };
+}
+
+/**
+ * Each SSE event is one GenerateContentResponse; usage counts are cumulative
+ */
+export async function* stream(config, request, { signal }) {
+    const response = await postJSON('gemini', url(config, 'streamGenerateContent'), requestBody(config, request), { signal });
+
+    for await (const data of readEventData(response)) {
+        const message = JSON.parse(data);
+        const candidate = message.candidates?.[0];
+        yield {
+            text: candidate?.content?.parts?.filter(part => !part.thought).map(part => part.text || '').join('') || '',
+            inputTokens: message.usageMetadata?.promptTokenCount,
+            outputTokens: message.usageMetadata?.candidatesTokenCount,
+            finishReason: candidate?.finishReason
+        };
+    }
+}
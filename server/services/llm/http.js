@@ -0,0 +1,54 @@
+/**
+ * HTTP plumbing shared by the LLM providers: errors, JSON requests and
+ * server-sent event streams.
+ */
+
+/**
+ * An LLM API failure. status is the HTTP status (null for timeouts and
+ * network errors) so callers can tell retryable failures (429, 503) apart.
+ */
+export function llmError(provider, status, detail) {
+    const error = new Error(`LLM API error (${provider}${status ? ` ${status}` : ''}): ${detail}`);
+    error.status = status;
+    return error;
+}
+
+/**
+ * POST a JSON body; non-2xx responses throw an llmError
+ * @returns {Promise<Response>}
+ */
+export async function postJSON(provider, url, body, { headers = {}, signal = null } = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        throw llmError(provider, response.status, error.substring(0, 500));
+    }
+    return response;
+}
+
+/**
+ * The `data:` payloads of a server-sent event stream, as strings
+ */
+export async function* readEventData(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop(); // keep incomplete event
+
+        for (const event of events) {
+            const data = event.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('');
+            if (data) yield data;
+        }
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * LLM provider layer — one interface over Gemini, OpenAI-compatible servers
+ * and the fixture provider, with the timeout, retry and logging they share.
+ * Which provider and model serve a feature is configured in config/llm.js.
+ *
+ * Requests and responses use a provider-neutral shape:
+ *   request:  { system?, messages, tools? }
+ *     messages — a string (one user message) or an array of
+ *       { role: 'user', text }
+ *       { role: 'model', text?, toolCalls?: [{ id, name, args, signature? }] }
+ *       { role: 'tool', results: [{ id, name, result }] }
+ *     tools — function declarations: { name, description, parameters (JSON Schema) }
+ *   response: { text, toolCalls, message, inputTokens, outputTokens, finishReason }
+ *     message — the response as a 'model' message, to append to the conversation
+ * Each provider translates messages and tool calls to and from its own API.
+ */
+
+import { llmConfig } from '../../config/llm.js';
+import { llmError } from './http.js';
+import * as gemini from './gemini.js';
+import * as openai from './openai.js';
+import * as fixture from './fixture.js';
+
+const PROVIDERS = { gemini, openai, fixture };
+
+// Overloaded / rate limited — worth retrying after a wait
+const RETRYABLE_STATUSES = [429, 503];
+
+function normalize(request) {
+    const messages = typeof request.messages === 'string'
+        ? [{ role: 'user', text: request.messages }]
+        : request.messages;
+    return { ...request, messages };
+}
+
+/**
+ * Rough token count (~4 characters per token), for when a provider reports
+ * no usage
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function promptText({ system, messages }) {
+    return (system || '') + messages
+        .map(message => (message.text || '') + JSON.stringify(message.toolCalls || message.results || ''))
+        .join('');
+}
+
+/**
+ * Timeouts surface as AbortError/TimeoutError from fetch; report them like
+ * any other API failure
+ */
+function asLLMError(config, error, timedOut) {
+    if (timedOut || error.name === 'TimeoutError') {
+        return llmError(config.provider, null, `timeout after ${config.timeoutMs}ms`);
+    }
+    return error;
+}
+
+/**
+ * One call, returning the whole response. Retryable failures are retried
+ * after each of retryDelaysMs in turn, calling onRetry before each wait.
+ */
+async function generate(provider, config, request, { retryDelaysMs = [], onRetry = null } = {}) {
+    request = normalize(request);
+
+    for (let attempt = 0; ; attempt++) {
+        const startTime = Date.now();
+        let result;
+        try {
+            result = await provider.generate(config, request, { signal: AbortSignal.timeout(config.timeoutMs) });
+        } catch (caught) {
+            const error = asLLMError(config, caught, false);
+            console.error(`LLM failed: feature=${config.feature} provider=${config.provider} model=${config.model} latency=${Date.now() - startTime}ms error=${error.message.substring(0, 500)}`);
+
+            if (RETRYABLE_STATUSES.includes(error.status) && attempt < retryDelaysMs.length) {
+                const delayMs = retryDelaysMs[attempt];
+                onRetry?.({ status: error.status, delayMs, attempt: attempt + 1, attempts: retryDelaysMs.length });
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+                continue;
+            }
+            throw error;
+        }
+
+        console.log(`LLM OK: feature=${config.feature} provider=${config.provider} model=${config.model} latency=${Date.now() - startTime}ms tokens=${result.inputTokens}/${result.outputTokens} finish=${result.finishReason} tools=${result.toolCalls.length} response="${result.text.substring(0, 100)}..."`);
+
+        return {
+            ...result,
+            message: {
+                role: 'model',
+                ...(result.text && { text: result.text }),
+                ...(result.toolCalls.length && { toolCalls: result.toolCalls })
+            }
+        };
+    }
+}
+
+/**
+ * One call, passing each piece of text to onText as it arrives. The timeout
+ * covers each wait for the next piece, not the whole stream: a stream that
+ * keeps going may take longer than that to finish. Not retried.
+ * Providers that only report usage at the end (OpenAI-compatible servers,
+ * the fixture provider) report none for a stopped stream; the tokens are then
+ * estimated from the prompt and the text received, so stopping early still
+ * counts towards quotas.
+ * @returns {Promise<{ text, inputTokens, outputTokens, finishReason, aborted }>}
+ *          when aborted through signal, text and tokens cover what was generated so far
+ */
+async function stream(provider, config, request, { onText, signal = null }) {
+    request = normalize(request);
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const waitForNext = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, config.timeoutMs);
+    };
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    const startTime = Date.now();
+    const result = { text: '', inputTokens: 0, outputTokens: 0, finishReason: 'unknown', aborted: false };
+
+    waitForNext();
+    try {
+        for await (const event of provider.stream(config, request, { signal: controller.signal })) {
+            waitForNext();
+            // Usage counts are running totals
+            result.inputTokens = event.inputTokens || result.inputTokens;
+            result.outputTokens = event.outputTokens || result.outputTokens;
+            result.finishReason = event.finishReason || result.finishReason;
+            if (event.text) {
+                result.text += event.text;
+                onText(event.text);
+            }
+        }
+    } catch (error) {
+        if (!signal?.aborted) {
+            const failure = asLLMError(config, error, timedOut);
+            console.error(`LLM stream failed: feature=${config.feature} provider=${config.provider} model=${config.model} latency=${Date.now() - startTime}ms error=${failure.message.substring(0, 500)}`);
+            throw failure;
+        }
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+    }
+
+    result.aborted = Boolean(signal?.aborted);
+    const estimated = !result.inputTokens || (!result.outputTokens && result.text !== '');
+    if (!result.inputTokens) {
+        result.inputTokens = estimateTokens(promptText(request));
+    }
+    if (!result.outputTokens) {
+        result.outputTokens = estimateTokens(result.text);
+    }
+    console.log(`LLM stream ${result.aborted ? 'aborted' : 'OK'}: feature=${config.feature} provider=${config.provider} model=${config.model} latency=${Date.now() - startTime}ms tokens=${result.inputTokens}/${result.outputTokens}${estimated ? ' (estimated)' : ''} finish=${result.finishReason} response="${result.text.substring(0, 100)}..."`);
+
+    return result;
+}
+
+/**
+ * The LLM client for a feature, as currently configured
+ * @param {'tutor'|'agent'} feature
+ * @returns {{ provider: string, model: string, label: string, missingConfig: string|null,
+ *             generate: Function, stream: Function }}
+ *          missingConfig says what is not set up (e.g. no API key); null when ready
+ */
+export function getLLM(feature) {
+    const config = llmConfig(feature);
+    const provider = PROVIDERS[config.provider];
+
+    return {
+        provider: config.provider,
+        model: config.model,
+        label: provider.LABEL,
+        missingConfig: provider.missingConfig(config),
+        generate: (request, options) => generate(provider, config, request, options),
+        stream: (request, options) => stream(provider, config, request, options)
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * OpenAI-compatible provider — the /chat/completions API served by OpenAI
+ * and by local servers such as llama.cpp (`llama-server`) and vLLM.
+ * Tools are sent as `function` tools; tool results go back as `tool` messages.
+ */
+
+import { postJSON, readEventData } from './http.js';
+
+export const LABEL = 'LLM';
+
+export function missingConfig() {
+    return null; // local servers usually need no key
+}
+
+function toMessages(system, messages) {
+    const converted = system ? [{ role: 'system', content: system }] : [];
+
+    for (const message of messages) {
+        if (message.role === 'tool') {
+            for (const { id, result } of message.results) {
+                converted.push({ role: 'tool', tool_call_id: id, content: JSON.stringify(result) });
+            }
+        } else if (message.role === 'model') {
+            converted.push({
+                role: 'assistant',
+                content: message.text || null,
+                ...(message.toolCalls?.length && {
+                    tool_calls: message.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.args) }
+                    }))
+                })
+            });
+        } else {
+            converted.push({ role: 'user', content: message.text });
+        }
+    }
+    return converted;
+}
+
+function requestBody(config, { system, messages, tools }, stream) {
+    return {
+        model: config.model,
+        messages: toMessages(system, messages),
+        max_tokens: config.maxTokens,
+        temperature: config.temperature,
+        ...(config.topP && { top_p: config.topP }),
+        ...(tools?.length && {
+            tools: tools.map(({ name, description, parameters }) => ({
+                type: 'function',
+                function: { name, description, parameters }
+            })),
+            tool_choice: 'auto'
+        }),
+        ...(stream && { stream: true, stream_options: { include_usage: true } })
+    };
+}
+
+function headers(config) {
+    return config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+}
+
+/**
+ * Tool call arguments arrive as a JSON string; a model that writes invalid
+ * JSON gets an empty object, and the tool reports what is missing
+ */
+function parseArguments(json) {
+    try {
+        return JSON.parse(json || '{}');
+    } catch {
+        return {};
+    }
+}
+
+export async function generate(config, request, { signal }) {
+    const response = await postJSON('openai', `${config.apiUrl}/chat/completions`, requestBody(config, request, false), {
+        headers: headers(config),
+        signal
+    });
+    const data = await response.json();
+
+    const choice = data.choices?.[0];
+    return {
+        text: choice?.message?.content || '',
+        toolCalls: (choice?.message?.tool_calls || []).map((call, i) => ({
+            id: call.id || `call_${i}`,
+            name: call.function.name,
+            args: parseArguments(call.function.arguments)
+        })),
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0,
+        finishReason: choice?.finish_reason || 'unknown'
+    };
+}
+
+/**
+ * Chunks carry content deltas; with include_usage the last one has the usage
+ */
+export async function* stream(config, request, { signal }) {
+    const response = await postJSON('openai', `${config.apiUrl}/chat/completions`, requestBody(config, request, true), {
+        headers: headers(config),
+        signal
+    });
+
+    for await (const data of readEventData(response)) {
+        if (data === '[DONE]') break;
+
+        const chunk = JSON.parse(data);
+        const choice = chunk.choices?.[0];
+        yield {
+            text: choice?.delta?.content || '',
+            inputTokens: chunk.usage?.prompt_tokens,
+            outputTokens: chunk.usage?.completion_tokens,
+            finishReason: choice?.finish_reason || undefined
+        };
+    }
+}
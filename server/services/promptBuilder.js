@@ -3,6 +3,19 @@
  * Pure functions — no side effects, easy to test.
  */
 
+import { formatValue } from '../../js/sql-values.js';
+
+// Part of the AI cache key and recorded with AI usage and leaks: bump it when
+// the prompts change, so responses to the old prompts are no longer served
+// and evaluations can tell the versions apart.
+//   1 — schema, question and the student's query
+//   2 — hints and error explanations add sample rows and how the student's
+//       result differs from the expected one (describeAttempt)
+export const PROMPT_VERSION = 2;
+
+// Differing rows shown per kind of difference, budget permitting
+const DIFF_ROWS = 3;
+
 const SYSTEM_PROMPTS = {
     hint: (difficulty) =>
         `You are a SQL tutor for ${difficulty} level students practicing on DuckDB. ` +
@@ -19,9 +32,101 @@ const SYSTEM_PROMPTS = {
         `You are a SQL tutor for ${difficulty} level students practicing on DuckDB. ` +
         `Explain the solution step by step. Be clear and concise. ` +
         `Help the student understand WHY each part of the query works. ` +
-        `Skip filler like "Great question!" — go straight to the explanation.`
+        `Skip filler like "Great question!" — go straight to the explanation.`,
+
+    chat: (difficulty) =>
+        `You are a SQL tutor for ${difficulty} level students practicing on DuckDB, ` +
+        `chatting with a student about one practice question. ` +
+        `Answer their follow-up questions about SQL concepts and their query. ` +
+        `Do NOT give the answer directly: never write the query that solves the question or the rows it returns, ` +
+        `even if asked — guide with hints, questions, and examples on other tables instead. ` +
+        `A few sentences max. Skip filler like "Great question!" — go straight to the point.`
 };
 
+// Added to the system prompt when the leak guard caught the first response
+// giving the solution away (see services/leakGuard.js)
+export const LEAK_RETRY_INSTRUCTION =
+    `\n\nYour previous reply gave away the query that solves the question. ` +
+    `Reply again without writing that query or anything that would run as the answer: ` +
+    `name the clause or idea to use and let the student write the SQL.`;
+
+/**
+ * Just the schema (CREATE TABLE lines) of a question's data — INSERTs are skipped to save tokens
+ */
+function schemaOf(sqlData) {
+    const schemaLines = sqlData
+        .split('\n')
+        .filter(line => /^\s*(CREATE|--)/i.test(line.trim()) || /\);/.test(line))
+        .join('\n')
+        .trim();
+    return schemaLines || sqlData;
+}
+
+/**
+ * Describe a student's attempt for the prompt, within about maxTokens
+ * (estimated at 4 characters a token): first how the result differs from the
+ * expected one, then differing rows, then sample rows of each table.
+ * Expected values the question's diff_config hides from students are masked.
+ *
+ * @param {Object} attempt - From the grader's describeAttempt
+ * @param {Object|null} diffConfig - The question's diff_config
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function describeAttemptForPrompt(attempt, diffConfig, maxTokens) {
+    const hidden = new Set(diffConfig?.hidden_columns || []);
+    const masked = (column, value) => (diffConfig?.hide_expected_values || hidden.has(column) ? '•••' : formatValue(value));
+    const actualRow = (columns) => (row) => columns.map(column => formatValue(row[column])).join(' | ');
+    const expectedRow = (columns) => (row) => columns.map(column => masked(column, row[column])).join(' | ');
+    const rowCount = (n) => `${n} row${n === 1 ? '' : 's'}`;
+
+    const lines = [];
+    let budget = maxTokens * 4;
+    const add = (line) => {
+        if (line.length + 1 > budget) return false;
+        lines.push(line);
+        budget -= line.length + 1;
+        return true;
+    };
+    const addRows = (heading, rows, format, limit = rows.length) => {
+        // A heading only goes in with at least its first row
+        if (!rows.length || heading.length + format(rows[0]).length + 4 > budget) return;
+        add(heading);
+        let shown = 0;
+        while (shown < Math.min(rows.length, limit) && add(`  ${format(rows[shown])}`)) {
+            shown++;
+        }
+        if (shown < rows.length) add(`  …and ${rows.length - shown} more`);
+    };
+
+    const { diff, check, samples } = attempt;
+    if (diff) {
+        const { columns } = diff;
+        add(check ? `Compared: the result of ${check} after the student's statements and after the solution` : 'Compared: the student\'s result and the expected result');
+        add(`Student's result: ${rowCount(diff.rowCount.actual)}, columns (${columns.actual.join(', ')})`);
+        add(`Expected result: ${rowCount(diff.rowCount.expected)}, columns (${columns.expected.join(', ')})`);
+        if (diff.matches) add('The results match.');
+        if (columns.missing.length) add(`Missing columns: ${columns.missing.join(', ')}`);
+        if (columns.extra.length) add(`Unexpected columns: ${columns.extra.join(', ')}`);
+        if (diff.orderMismatch) add(`Same rows, wrong order from row ${diff.orderMismatch.position + 1} (the order is checked)`);
+
+        addRows(`Rows with wrong values (student's row → expected values; ${columns.actual.join(' | ')}):`, diff.changedRows,
+            ({ actual, expected, columns: changed }) =>
+                `${actualRow(columns.actual)(actual)} → ${changed.map(column => `${column} = ${masked(column, expected[column])}`).join(', ')}`,
+            DIFF_ROWS);
+        addRows(`Expected rows missing from the student's result (${columns.expected.join(' | ')}):`,
+            diff.onlyInExpected, expectedRow(columns.expected), DIFF_ROWS);
+        addRows(`Rows only in the student's result (${columns.actual.join(' | ')}):`,
+            diff.onlyInActual, actualRow(columns.actual), DIFF_ROWS);
+    }
+
+    for (const { table, columns, rows, rowCount: total } of samples) {
+        addRows(`Sample of ${table} (${rowCount(total)}; ${columns.join(' | ')}):`, rows, actualRow(columns));
+    }
+
+    return lines.join('\n');
+}
+
 /**
  * Build a prompt for the Gemini API.
  *
@@ -33,25 +138,27 @@ const SYSTEM_PROMPTS = {
  * @param {string} params.userQuery - The student's SQL attempt
  * @param {string|null} params.errorMessage - DuckDB error message if any
  * @param {string|null} params.sqlSolution - Correct solution (for explain_solution only)
+ * @param {Object|null} [params.attempt] - The grader's describeAttempt (hint and explain_error)
+ * @param {Object|null} [params.diffConfig] - The question's diff_config, to mask expected values
+ * @param {number} [params.contextTokens] - Budget for the attempt's description
  * @returns {{ systemPrompt: string, userPrompt: string }}
  */
-export function buildPrompt({ type, sqlData, sqlQuestion, difficulty, userQuery, errorMessage, sqlSolution }) {
+export function buildPrompt({ type, sqlData, sqlQuestion, difficulty, userQuery, errorMessage, sqlSolution,
+    attempt = null, diffConfig = null, contextTokens = 500 }) {
     const systemPrompt = SYSTEM_PROMPTS[type]?.(difficulty) || SYSTEM_PROMPTS.hint(difficulty);
 
-    // Extract just the schema (CREATE TABLE lines) for context — skip INSERT data to save tokens
-    const schemaLines = sqlData
-        .split('\n')
-        .filter(line => /^\s*(CREATE|--)/i.test(line.trim()) || /\);/.test(line))
-        .join('\n')
-        .trim();
-
-    let userPrompt = `Table schema:\n${schemaLines || sqlData}\n\n`;
+    let userPrompt = `Table schema:\n${schemaOf(sqlData)}\n\n`;
     userPrompt += `Question: ${sqlQuestion}\n\n`;
 
     if (userQuery) {
         userPrompt += `Student's query:\n${userQuery}\n\n`;
     }
 
+    const context = attempt ? describeAttemptForPrompt(attempt, diffConfig, contextTokens) : '';
+    if (context) {
+        userPrompt += `On the question's data:\n${context}\n\n`;
+    }
+
     if (type === 'explain_error' && errorMessage) {
         userPrompt += `Error message: ${errorMessage}\n\n`;
         userPrompt += `Explain this error and suggest how to fix it.`;
@@ -64,3 +171,33 @@ export function buildPrompt({ type, sqlData, sqlQuestion, difficulty, userQuery,
 
     return { systemPrompt, userPrompt };
 }
+
+/**
+ * Build a prompt for a turn of the tutor chat. The question and the student's
+ * current query go in the system prompt (they change between turns); the
+ * saved conversation and the new message become the chat turns.
+ *
+ * @param {Object} params
+ * @param {string} params.sqlData - CREATE TABLE + INSERT statements
+ * @param {string} params.sqlQuestion - The question text
+ * @param {string} params.difficulty - 'beginner' | 'intermediate' | 'advanced'
+ * @param {string} params.userQuery - The student's SQL in the editor
+ * @param {Array<{role: 'user'|'model', content: string}>} params.history - Earlier messages, oldest first
+ * @param {string} params.message - The student's new message
+ * @returns {{ systemPrompt: string, userPrompt: Array<{role: 'user'|'model', text: string}> }}
+ */
+export function buildTutorPrompt({ sqlData, sqlQuestion, difficulty, userQuery, history, message }) {
+    let systemPrompt = SYSTEM_PROMPTS.chat(difficulty);
+    systemPrompt += `\n\nTable schema:\n${schemaOf(sqlData)}\n\n`;
+    systemPrompt += `Question: ${sqlQuestion}`;
+    if (userQuery) {
+        systemPrompt += `\n\nStudent's current query:\n${userQuery}`;
+    }
+
+    const userPrompt = [
+        ...history.map(({ role, content }) => ({ role, text: content })),
+        { role: 'user', text: message }
+    ];
+
+    return { systemPrompt, userPrompt };
+}
@@ -89,6 +89,44 @@ async function initDatabase() {
             ALTER TABLE questions ADD COLUMN IF NOT EXISTS er_diagram TEXT
         `);
 
+        // Optional per-question query timeout (NULL = use the student's preference)
+        await dbClient.query(`
+            ALTER TABLE questions ADD COLUMN IF NOT EXISTS query_timeout_ms INTEGER
+        `);
+
+        // What the wrong-answer diff may reveal of the expected result, e.g.
+        // {"hide_expected_values": true} or {"hidden_columns": ["salary"]} (NULL = everything)
+        await dbClient.query(`
+            ALTER TABLE questions ADD COLUMN IF NOT EXISTS diff_config JSONB
+        `);
+
+        // How results are matched, e.g. {"ordered": true, "numeric_tolerance": 0.01}
+        // (NULL = defaults; see DEFAULT_GRADING_RULES in js/services/result-diff.js)
+        await dbClient.query(`
+            ALTER TABLE questions ADD COLUMN IF NOT EXISTS grading_config JSONB
+        `);
+
+        // Hidden test datasets: a JSON array of INSERT scripts over the same tables
+        // as sql_data. Answers must match the solution on each of them too, so
+        // hard-coded results fail.
+        await dbClient.query(`
+            ALTER TABLE questions ADD COLUMN IF NOT EXISTS test_datasets JSONB
+        `);
+
+        // State checks for DML/DDL questions: a JSON array of table names or
+        // SELECT queries. When set, the answer is graded on what these return
+        // after the student's statements run, not on the script's own output.
+        await dbClient.query(`
+            ALTER TABLE questions ADD COLUMN IF NOT EXISTS state_checks JSONB
+        `);
+
+        // Progressive hints: a JSON array of strings, level 1 first (e.g. which
+        // clause, then which columns, then a query skeleton). The AI hint is
+        // the level after the last one.
+        await dbClient.query(`
+            ALTER TABLE questions ADD COLUMN IF NOT EXISTS hints JSONB
+        `);
+
         // User attempts table
         console.log('Creating user_attempts table...');
         await dbClient.query(`
@@ -105,6 +143,121 @@ async function initDatabase() {
         `);
         console.log('✅ User attempts table created');
 
+        // is_correct is graded on the server; the browser's verdict is kept
+        // alongside it and disagreements are flagged
+        await dbClient.query(`
+            ALTER TABLE user_attempts ADD COLUMN IF NOT EXISTS client_is_correct BOOLEAN
+        `);
+        await dbClient.query(`
+            ALTER TABLE user_attempts ADD COLUMN IF NOT EXISTS verdict_mismatch BOOLEAN DEFAULT FALSE
+        `);
+
+        // How many hint levels the user had revealed when making the attempt
+        await dbClient.query(`
+            ALTER TABLE user_attempts ADD COLUMN IF NOT EXISTS hints_used INTEGER DEFAULT 0
+        `);
+
+        // Hint reveals table: one row per hint level a user has revealed
+        console.log('Creating hint_reveals table...');
+        await dbClient.query(`
+            CREATE TABLE IF NOT EXISTS hint_reveals (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+                level INTEGER NOT NULL,
+                is_ai BOOLEAN DEFAULT FALSE,
+                revealed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, question_id, level)
+            )
+        `);
+        console.log('✅ Hint reveals table created');
+
+        // Tutor messages table: the AI tutor chat on each question, per user
+        // (trimmed to a token budget as it grows, see TutorMessage)
+        console.log('Creating tutor_messages table...');
+        await dbClient.query(`
+            CREATE TABLE IF NOT EXISTS tutor_messages (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+                role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'model')),
+                content TEXT NOT NULL,
+                tokens INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✅ Tutor messages table created');
+
+        // AI response cache: LLM responses keyed by a sha256 of what produced
+        // them (see AICache), shared by all server instances
+        console.log('Creating ai_cache tables...');
+        await dbClient.query(`
+            CREATE TABLE IF NOT EXISTS ai_cache (
+                key CHAR(64) PRIMARY KEY,
+                question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+                type VARCHAR(20) NOT NULL,
+                provider VARCHAR(20) NOT NULL,
+                model VARCHAR(100) NOT NULL,
+                response TEXT NOT NULL,
+                input_tokens INTEGER DEFAULT 0,
+                output_tokens INTEGER DEFAULT 0,
+                hits INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        // Daily hit/miss counters per response type
+        await dbClient.query(`
+            CREATE TABLE IF NOT EXISTS ai_cache_stats (
+                day DATE NOT NULL DEFAULT CURRENT_DATE,
+                type VARCHAR(20) NOT NULL,
+                hits INTEGER DEFAULT 0,
+                misses INTEGER DEFAULT 0,
+                PRIMARY KEY (day, type)
+            )
+        `);
+        console.log('✅ AI cache tables created');
+
+        // AI quotas: daily token/request limits per role (guest, registered)
+        // or per user, where a user's row replaces their role's (see AIQuota)
+        console.log('Creating ai_quotas table...');
+        await dbClient.query(`
+            CREATE TABLE IF NOT EXISTS ai_quotas (
+                id SERIAL PRIMARY KEY,
+                role VARCHAR(20) UNIQUE CHECK (role IN ('guest', 'registered')),
+                user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+                daily_tokens INTEGER,
+                daily_requests INTEGER,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                CHECK ((role IS NULL) <> (user_id IS NULL))
+            )
+        `);
+        await dbClient.query(`
+            INSERT INTO ai_quotas (role, daily_tokens)
+            VALUES ('guest', 20000)
+            ON CONFLICT (role) DO NOTHING
+        `);
+        console.log('✅ AI quotas table created');
+
+        // AI leaks: hints the leak guard caught giving the solution away, kept
+        // for prompt tuning (see services/leakGuard.js)
+        console.log('Creating ai_leaks table...');
+        await dbClient.query(`
+            CREATE TABLE IF NOT EXISTS ai_leaks (
+                id SERIAL PRIMARY KEY,
+                question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+                type VARCHAR(20) NOT NULL,
+                provider VARCHAR(20),
+                model VARCHAR(100),
+                prompt_version INTEGER,
+                reason VARCHAR(20) NOT NULL,
+                action VARCHAR(20) NOT NULL,
+                response TEXT NOT NULL,
+                sent TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('✅ AI leaks table created');
+
         // User sessions table
         console.log('Creating user_sessions table...');
         await dbClient.query(`
@@ -135,6 +288,16 @@ async function initDatabase() {
             ON user_attempts(user_id, question_id)
         `);
 
+        await dbClient.query(`
+            CREATE INDEX IF NOT EXISTS idx_tutor_messages_user_question
+            ON tutor_messages(user_id, question_id, id)
+        `);
+
+        await dbClient.query(`
+            CREATE INDEX IF NOT EXISTS idx_ai_cache_last_used_at
+            ON ai_cache(last_used_at)
+        `);
+
         await dbClient.query(`
             CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id
             ON user_sessions(user_id)
@@ -1,7 +1,9 @@
 import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
 
 const API = `${process.env.PLAYWRIGHT_BASE_URL || 'http://localhost:3015'}/api`;
 const TEST_PASSWORD = 'test1234';
+const ADMIN_KEY = process.env.ADMIN_SECRET || 'dev-admin-secret-2026';
 
 // Helper: wait for app to finish initializing
 async function waitForAppReady(page) {
@@ -30,6 +32,20 @@ async function loginViaAPI(page) {
     return data;
 }
 
+// Helper: add a question through the admin API and fetch it as the practice UI sees it
+async function createQuestion(token, fields) {
+    const resp = await fetch(`${API}/admin/tools/insert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Key': ADMIN_KEY },
+        body: JSON.stringify({ sql_solution_explanation: [], difficulty: 'beginner', category: 'E2E', ...fields })
+    });
+    const { id } = await resp.json();
+    const { question } = await (await fetch(`${API}/practice/question/${id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+    })).json();
+    return question;
+}
+
 test.describe('SQL Practice Project — E2E', () => {
 
     test.describe('Auth flow', () => {
@@ -129,5 +145,705 @@ test.describe('SQL Practice Project — E2E', () => {
             const cellText = await page.locator('#resultsContainer table td').first().textContent();
             expect(cellText.trim()).toBe('1');
         });
+
+        test('the SQL Editor reads the preloaded question tables without a schema', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            // Seeded questions' tables are loaded right after DuckDB connects
+            await expect.poll(() => page.evaluate(() => window.app.dbManager.getSearchPath()), { timeout: 30000 })
+                .toMatch(/^(memory|workspace)\.main,memory\.question_\d+/);
+            const result = await page.evaluate(async () =>
+                (await window.app.dbManager.executeQuery('SELECT COUNT(*) AS n FROM employees')).rows[0].n);
+            expect(Number(result)).toBeGreaterThan(0);
+        });
+
+        test('cancel button interrupts a long-running query', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.evaluate(() => {
+                const cm = document.querySelector('.CodeMirror');
+                cm.CodeMirror.setValue('SELECT COUNT(*) FROM range(100000000000) t1');
+            });
+
+            await page.click('#runQueryBtn');
+            await expect(page.locator('#cancelQueryBtn')).toBeVisible({ timeout: 10000 });
+            await page.click('#cancelQueryBtn');
+
+            await expect(page.locator('#resultsContainer .error-message')).toContainText('Query cancelled', { timeout: 30000 });
+            await expect(page.locator('#cancelQueryBtn')).toBeHidden();
+
+            // The connection is free again for the next query
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('SELECT 2 as next_value');
+            });
+            await page.click('#runQueryBtn');
+            await page.waitForSelector('#resultsContainer table', { timeout: 30000 });
+            const cellText = await page.locator('#resultsContainer table td').first().textContent();
+            expect(cellText.trim()).toBe('2');
+        });
+
+        test('results grid pages through large results and jumps to a row', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('SELECT range AS n FROM range(250000)');
+            });
+            await page.click('#runQueryBtn');
+
+            await expect(page.locator('#rowCount')).toHaveText('250000 rows', { timeout: 60000 });
+            // Only the visible window is rendered
+            const renderedRows = await page.locator('#resultsContainer tr[data-row]').count();
+            expect(renderedRows).toBeLessThan(100);
+
+            // Row 200,000 is beyond the streamed window and comes from a LIMIT/OFFSET page
+            await page.fill('#jumpToRowInput', '200000');
+            await page.press('#jumpToRowInput', 'Enter');
+            await expect(page.locator('#resultsContainer tr[data-row="199999"] td').first()).toHaveText('199999', { timeout: 30000 });
+        });
+
+        test('exports the full result as CSV', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            // The export wraps the query, so its trailing comment must not swallow the parenthesis
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('SELECT range AS n FROM range(5000); -- all of them');
+            });
+            await page.click('#runQueryBtn');
+            await expect(page.locator('#rowCount')).toHaveText('5000 rows', { timeout: 60000 });
+
+            await page.click('#exportBtn');
+            await page.selectOption('#exportFormat', 'csv');
+            const downloadPromise = page.waitForEvent('download');
+            await page.click('#exportDownloadBtn');
+            const download = await downloadPromise;
+
+            expect(download.suggestedFilename()).toBe('results.csv');
+            const lines = readFileSync(await download.path(), 'utf8').trim().split('\n');
+            // Header plus every row, not just the rows held in memory
+            expect(lines[0]).toBe('n');
+            expect(lines).toHaveLength(5001);
+        });
+
+        test('previews a dropped CSV and loads demo datasets', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.setInputFiles('#fileInput', {
+                name: 'scores.csv',
+                mimeType: 'text/csv',
+                buffer: Buffer.from('name;score;taken\nana;10;03/01/2024\nbo;7;04/01/2024\n')
+            });
+            await expect(page.locator('#filePreview')).toBeVisible({ timeout: 30000 });
+            await expect(page.locator('#filePreview .file-preview-schema')).toContainText('score');
+
+            await page.fill('#importDateFormat', '%d/%m/%Y');
+            await page.dispatchEvent('#importDateFormat', 'change');
+            await expect(page.locator('.preview-type[data-column="taken"]')).toHaveValue('DATE', { timeout: 30000 });
+            await page.click('#importCreateBtn');
+            await expect(page.locator('#fileLoaderStatus')).toContainText('Created table scores (2 rows)', { timeout: 30000 });
+
+            await page.click('#demoDatasets button:has-text("Sales")');
+            await expect(page.locator('#fileLoaderStatus')).toContainText('Created table sales (30 rows)', { timeout: 30000 });
+        });
+
+        test('tables in a workspace survive a reload', async ({ page }) => {
+            test.setTimeout(300000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const workspace = `e2e_${Date.now()}`;
+            page.on('dialog', dialog => dialog.accept(dialog.type() === 'prompt' ? workspace : undefined));
+            await page.click('#newWorkspaceBtn');
+            await expect(page.locator('#workspaceSelect')).toHaveValue(workspace, { timeout: 30000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('CREATE TABLE kept AS SELECT 42 AS answer');
+            });
+            await page.click('#runQueryBtn');
+            await expect(page.locator('#runQueryBtn')).toBeEnabled({ timeout: 30000 });
+
+            await page.reload();
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+            await expect(page.locator('#workspaceSelect')).toHaveValue(workspace, { timeout: 30000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('SELECT answer FROM kept');
+            });
+            await page.click('#runQueryBtn');
+            await page.waitForSelector('#resultsContainer table', { timeout: 30000 });
+            expect((await page.locator('#resultsContainer table td').first().textContent()).trim()).toBe('42');
+
+            // Clean up the OPFS database
+            await page.click('#deleteWorkspaceBtn');
+            await expect(page.locator('#workspaceSelect')).toHaveValue('', { timeout: 30000 });
+        });
+
+        test('schema browser refreshes after DDL and inserts names into the editor', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue(
+                    'CREATE TABLE browsed (id INTEGER PRIMARY KEY, price DECIMAL(10,2) NOT NULL)'
+                );
+            });
+            await page.click('#runQueryBtn');
+
+            const table = page.locator('#schemaTree details.schema-table[data-key="memory.main.browsed"]');
+            await expect(table).toBeVisible({ timeout: 30000 });
+            await table.locator('summary').click({ position: { x: 2, y: 5 } });
+            await expect(table.locator('.schema-column[data-column="price"] .schema-type')).toHaveText('DECIMAL(10,2)');
+            await expect(table.locator('.schema-column[data-column="id"]')).toContainText('PK');
+
+            await page.evaluate(() => document.querySelector('.CodeMirror').CodeMirror.setValue('SELECT * FROM '));
+            await page.evaluate(() => {
+                const cm = document.querySelector('.CodeMirror').CodeMirror;
+                cm.setCursor(cm.lineCount(), 0);
+            });
+            await table.locator('summary .schema-item').click();
+            const query = await page.evaluate(() => document.querySelector('.CodeMirror').CodeMirror.getValue());
+            expect(query).toBe('SELECT * FROM browsed');
+        });
+
+        test('autocomplete offers columns through aliases and DuckDB functions', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('CREATE TABLE completed (order_total DOUBLE, placed_at DATE)');
+            });
+            await page.click('#runQueryBtn');
+            await expect(page.locator('#schemaTree details.schema-table[data-key="memory.main.completed"]')).toBeVisible({ timeout: 30000 });
+
+            await page.evaluate(() => {
+                const cm = document.querySelector('.CodeMirror').CodeMirror;
+                cm.setValue('SELECT c FROM completed c');
+                cm.setCursor(0, 8);
+            });
+            await page.keyboard.type('.');
+            await expect(page.locator('.CodeMirror-hints')).toContainText('order_total', { timeout: 10000 });
+            await page.keyboard.press('Escape');
+
+            await page.evaluate(() => {
+                const cm = document.querySelector('.CodeMirror').CodeMirror;
+                cm.setValue('SELECT ');
+                cm.setCursor(0, 7);
+                cm.focus();
+            });
+            await page.keyboard.type('strft');
+            await expect(page.locator('.CodeMirror-hints')).toContainText('strftime(', { timeout: 10000 });
+        });
+
+        test('runs scripts statement by statement with a result tab each', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue(
+                    "CREATE TABLE scripted (v VARCHAR);\n" +
+                    "INSERT INTO scripted VALUES ('a;b'); -- not a split;\n" +
+                    'SELECT * FROM scripted;\n' +
+                    'SELECT * FROM no_such_table;\n' +
+                    'SELECT 1;'
+                );
+            });
+            await page.click('#runQueryBtn');
+
+            const tabs = page.locator('#statementTabs .statement-tab');
+            await expect(tabs).toHaveCount(5, { timeout: 30000 });
+            await expect(tabs.nth(3)).toHaveClass(/status-error/);
+            await expect(tabs.nth(4)).toHaveClass(/status-skipped/);
+            await expect(page.locator('#resultsContainer .error-message')).toContainText('no_such_table');
+
+            await tabs.nth(2).click();
+            await expect(page.locator('#resultsContainer')).toContainText('a;b');
+            await expect(page.locator('#rowCount')).toHaveText('1 rows');
+
+            // Ctrl+Shift+Enter runs only the statement under the cursor
+            await page.evaluate(() => {
+                const cm = document.querySelector('.CodeMirror').CodeMirror;
+                cm.setCursor(4, 3);
+                cm.focus();
+            });
+            await page.keyboard.press('Control+Shift+Enter');
+            await expect(page.locator('#statementTabs')).toBeHidden();
+            await expect(page.locator('#rowCount')).toHaveText('1 rows', { timeout: 30000 });
+            const selected = await page.evaluate(() => document.querySelector('.CodeMirror').CodeMirror.getSelection());
+            expect(selected).toBe('SELECT 1');
+        });
+
+        test('explains a query as an operator tree and compares it with a pinned plan', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue(
+                    'SELECT i % 7 AS g, COUNT(*) FROM range(100000) t(i) WHERE i > 50 GROUP BY g'
+                );
+            });
+            await page.click('#explainQueryBtn');
+
+            const plan = page.locator('#resultsContainer .plan-view');
+            await expect(plan).toBeVisible({ timeout: 30000 });
+            await expect(plan).toContainText('EXPLAIN ANALYZE');
+            await expect(plan.locator('.plan-node-stats').first()).toContainText('rows');
+            await expect(plan.locator('.plan-node-name', { hasText: 'GROUP_BY' })).toHaveCount(1);
+
+            await page.click('[data-plan-action="pin"]');
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('SELECT COUNT(*) FROM range(1000)');
+            });
+            await page.click('#explainQueryBtn');
+            await expect(page.locator('.plan-columns.comparing .plan-column')).toHaveCount(2, { timeout: 30000 });
+
+            // Plans don't change the catalog, so they don't refresh the schema browser
+            const catalogChanges = await page.evaluate(async () => {
+                const manager = window.app.dbManager;
+                let count = 0;
+                const notify = manager.notifyCatalogChange;
+                manager.notifyCatalogChange = () => { count++; };
+                await manager.explainQuery('SELECT 1');
+                await manager.executeQuery('EXPLAIN CREATE TABLE never_created (id INTEGER)');
+                manager.notifyCatalogChange = notify;
+                return count;
+            });
+            expect(catalogChanges).toBe(0);
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('DESCRIBE SELECT 1 AS n');
+            });
+            await page.click('#explainQueryBtn');
+            await expect(page.locator('#resultsContainer')).toContainText('DESCRIBE has no query plan to show', { timeout: 30000 });
+        });
+
+        test('shows exact decimals, timestamps and nested values', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue(
+                    'SELECT -1234567890123456789.25::DECIMAL(38,2) AS d, ' +
+                    "TIMESTAMP '2024-03-01 12:34:56.789123' AS ts, " +
+                    "{'id': 1, 'tags': ['a', 'b']} AS s"
+                );
+            });
+            await page.click('#runQueryBtn');
+
+            const cells = page.locator('.grid-table tbody tr[data-row="0"] td');
+            await expect(cells.nth(0)).toHaveText('-1234567890123456789.25', { timeout: 30000 });
+            await expect(cells.nth(1)).toHaveText('2024-03-01 12:34:56.789123');
+            await expect(cells.nth(2)).toContainText("{'id': 1, 'tags': ['a', 'b']}");
+
+            await cells.nth(2).locator('.grid-expand').click();
+            const popover = page.locator('.grid-value-popover');
+            await expect(popover).toBeVisible();
+            await expect(popover.locator('.value-tree-key', { hasText: 'tags' })).toBeVisible();
+            await expect(popover).toContainText("'b'");
+        });
+    });
+
+    test.describe('Practice feedback', () => {
+
+        test('a wrong submission shows a result diff with masked expected values', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const headers = { Authorization: `Bearer ${auth.token}` };
+            const { questions } = await (await fetch(`${API}/practice/questions`, { headers })).json();
+            const { question } = await (await fetch(`${API}/practice/question/${questions[0].id}`, { headers })).json();
+            await page.evaluate((q) => window.practiceManager.startQuestion({
+                ...q,
+                diff_config: { hide_expected_values: true }
+            }), question);
+
+            await page.evaluate(() => {
+                document.querySelector('.CodeMirror').CodeMirror.setValue('SELECT 42 AS not_a_column');
+            });
+            await page.click('#submitPracticeBtn');
+
+            const diff = page.locator('#feedbackDetails .result-diff');
+            await expect(diff).toBeVisible({ timeout: 30000 });
+            await expect(diff.locator('.result-diff-summary')).toContainText('Unexpected 1 column');
+            await expect(diff.locator('.result-diff-summary')).toContainText('Missing');
+            await expect(diff.locator('tr.diff-only-actual')).toContainText('42');
+            await expect(diff.locator('.diff-masked').first()).toHaveText('•••');
+        });
+
+        test('grades with the question\'s ordering, alias and tolerance rules', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const question = await createQuestion(auth.token, {
+                sql_question: 'List the prices by id',
+                sql_data: 'CREATE TABLE graded (id INTEGER, price DOUBLE); INSERT INTO graded VALUES (1, 0.3), (2, 1.5);',
+                sql_solution: 'SELECT id, price FROM graded ORDER BY id',
+                grading_config: { ordered: true, column_names: 'case_insensitive', numeric_tolerance: 1e-9 }
+            });
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+
+            const submit = async (sql) => {
+                await page.evaluate((text) => document.querySelector('.CodeMirror').CodeMirror.setValue(text), sql);
+                await page.click('#submitPracticeBtn');
+            };
+
+            await submit('SELECT id, price FROM graded ORDER BY id DESC');
+            await expect(page.locator('#feedbackDetails .result-diff-summary')).toContainText('wrong order', { timeout: 30000 });
+
+            await submit('SELECT id AS "ID", CASE WHEN id = 1 THEN 0.1::DOUBLE + 0.2::DOUBLE ELSE price END AS price FROM graded ORDER BY id');
+            await expect(page.locator('#feedbackMessage')).toHaveText('Correct! Well done!', { timeout: 30000 });
+        });
+
+        test('hard-coded answers fail the hidden test datasets', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const question = await createQuestion(auth.token, {
+                sql_question: 'How many orders are there?',
+                sql_data: 'CREATE TABLE hidden_orders (id INTEGER); INSERT INTO hidden_orders VALUES (1), (2);',
+                sql_solution: 'SELECT COUNT(*) AS n FROM hidden_orders',
+                test_datasets: ['INSERT INTO hidden_orders VALUES (1), (2), (3), (4), (5);']
+            });
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+
+            const submit = async (sql) => {
+                await page.evaluate((text) => document.querySelector('.CodeMirror').CodeMirror.setValue(text), sql);
+                await page.click('#submitPracticeBtn');
+            };
+
+            await submit('SELECT 2 AS n');
+            await expect(page.locator('#feedbackDetails .dataset-score')).toHaveText('Passed 1/2 test datasets', { timeout: 30000 });
+            await expect(page.locator('#feedbackDetails .result-diff')).toHaveCount(0);
+
+            await submit('SELECT COUNT(id) AS n FROM hidden_orders');
+            await expect(page.locator('#feedbackMessage')).toHaveText('Correct! Well done!', { timeout: 30000 });
+            await expect(page.locator('#feedbackDetails')).toContainText('all 2 test datasets');
+        });
+
+        test('the server grades submissions itself and flags a tampered verdict', async ({ page }) => {
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            const question = await createQuestion(auth.token, {
+                sql_question: 'How many rows are there?',
+                sql_data: 'CREATE TABLE verified_rows (id INTEGER); INSERT INTO verified_rows VALUES (1), (2), (3);',
+                sql_solution: 'SELECT COUNT(*) AS n FROM verified_rows'
+            });
+
+            const verify = async (userQuery, isCorrect) => (await fetch(`${API}/practice/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
+                body: JSON.stringify({ questionId: question.id, userQuery, userResults: {}, isCorrect, timeTakenSeconds: 1 })
+            })).json();
+
+            const tampered = await verify('SELECT 1 AS n', true);
+            expect(tampered.attempt.isCorrect).toBe(false);
+            expect(tampered.grading.verdictMismatch).toBe(true);
+
+            const honest = await verify('SELECT COUNT(id) AS n FROM verified_rows', true);
+            expect(honest.attempt.isCorrect).toBe(true);
+            expect(honest.grading).toMatchObject({ passed: 1, total: 1, verdictMismatch: false });
+
+            const missingQuery = await fetch(`${API}/practice/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
+                body: JSON.stringify({ questionId: question.id, isCorrect: true })
+            });
+            expect(missingQuery.status).toBe(400);
+        });
+
+        test('the server grades NULL strictly by default and positional columns by count', async ({ page }) => {
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            const verify = async (question, userQuery) => (await fetch(`${API}/practice/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
+                body: JSON.stringify({ questionId: question.id, userQuery, userResults: {}, isCorrect: false, timeTakenSeconds: 1 })
+            })).json();
+
+            const nullable = await createQuestion(auth.token, {
+                sql_question: 'What are the notes?',
+                sql_data: "CREATE TABLE graded_notes (id INTEGER, note VARCHAR); INSERT INTO graded_notes VALUES (1, NULL), (2, 'ok');",
+                sql_solution: 'SELECT note FROM graded_notes'
+            });
+            expect((await verify(nullable, "SELECT COALESCE(note, 'NULL') AS note FROM graded_notes")).attempt.isCorrect).toBe(false);
+            expect((await verify(nullable, 'SELECT note FROM graded_notes ORDER BY id DESC')).attempt.isCorrect).toBe(true);
+
+            const positional = await createQuestion(auth.token, {
+                sql_question: 'What are the ids?',
+                sql_data: 'CREATE TABLE graded_ids (id INTEGER); INSERT INTO graded_ids VALUES (1), (2);',
+                sql_solution: 'SELECT id FROM graded_ids',
+                grading_config: { column_names: 'positional' }
+            });
+            expect((await verify(positional, 'SELECT id, id FROM graded_ids')).attempt.isCorrect).toBe(false);
+            expect((await verify(positional, 'SELECT id AS n FROM graded_ids')).attempt.isCorrect).toBe(true);
+        });
+
+        test('questions sharing a table name stay isolated and can be reset', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const first = await createQuestion(auth.token, {
+                sql_question: 'How many staff are there?',
+                sql_data: 'CREATE TABLE staff (id INTEGER); INSERT INTO staff VALUES (1), (2), (3);',
+                sql_solution: 'SELECT COUNT(*) AS n FROM staff'
+            });
+            const second = await createQuestion(auth.token, {
+                sql_question: 'Who are the staff?',
+                sql_data: 'CREATE TABLE staff (name VARCHAR); INSERT INTO staff VALUES (\'Ada\');',
+                sql_solution: 'SELECT name FROM staff'
+            });
+            const count = () => page.evaluate(async () =>
+                (await window.app.dbManager.executeQuery('SELECT COUNT(*) AS n FROM staff')).rows[0].n);
+
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), second);
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), first);
+            await page.evaluate(() => window.app.dbManager.executeQuery('DELETE FROM staff WHERE id > 1'));
+            expect(await count()).toBe(1);
+
+            // The other question's table of the same name is untouched
+            const ada = await page.evaluate((schema) => window.app.dbManager.executeQuery(`SELECT name FROM ${schema}.staff`),
+                `memory.question_${second.id}`);
+            expect(ada.rows).toEqual([{ name: 'Ada' }]);
+
+            await page.click('#resetQuestionDataBtn');
+            await expect.poll(count, { timeout: 30000 }).toBe(3);
+        });
+
+        test('DML questions are graded on the table state they leave', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const question = await createQuestion(auth.token, {
+                sql_question: 'Give employee 2 a 10% raise',
+                sql_data: 'CREATE TABLE payroll (id INTEGER, salary INTEGER); INSERT INTO payroll VALUES (1, 100), (2, 200);',
+                sql_solution: 'UPDATE payroll SET salary = salary * 1.1 WHERE id = 2',
+                state_checks: ['payroll']
+            });
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+            await expect(page.locator('#practiceStateBadge')).toBeVisible();
+
+            const submit = async (sql) => {
+                await page.evaluate((text) => document.querySelector('.CodeMirror').CodeMirror.setValue(text), sql);
+                await page.click('#submitPracticeBtn');
+            };
+
+            await submit('UPDATE payroll SET salary = salary * 1.1');
+            await expect(page.locator('#feedbackDetails')).toContainText('payroll', { timeout: 30000 });
+            await expect(page.locator('#feedbackDetails .result-diff tr.diff-changed')).toHaveCount(1);
+
+            await submit('UPDATE payroll SET salary = 220 WHERE id = 2');
+            await expect(page.locator('#feedbackMessage')).toHaveText('Correct! Well done!', { timeout: 30000 });
+        });
+
+        test('authored hints are revealed one level at a time and counted on the attempt', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const question = await createQuestion(auth.token, {
+                sql_question: 'Which cities have more than one store?',
+                sql_data: "CREATE TABLE stores (id INTEGER, city VARCHAR); INSERT INTO stores VALUES (1, 'Oslo'), (2, 'Oslo'), (3, 'Rome');",
+                sql_solution: 'SELECT city FROM stores GROUP BY city HAVING COUNT(*) > 1',
+                hints: ['Group the stores first', 'Filter the groups with HAVING']
+            });
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+
+            const hintBtn = page.locator('#getHintBtn');
+            await expect(hintBtn).toHaveText('💡 Hint 1/2', { timeout: 10000 });
+            await hintBtn.click();
+            await expect(page.locator('#aiPanelContent .hint-levels li')).toHaveText(['Group the stores first']);
+            await hintBtn.click();
+            await expect(page.locator('#aiPanelContent .hint-levels li')).toHaveCount(2);
+            await expect(hintBtn).toHaveText('🤖 AI Hint');
+
+            await page.evaluate(() => document.querySelector('.CodeMirror').CodeMirror.setValue(
+                'SELECT city FROM stores GROUP BY city HAVING COUNT(id) >= 2'));
+            await page.click('#submitPracticeBtn');
+            await expect(page.locator('#feedbackMessage')).toHaveText('Correct! Well done!', { timeout: 30000 });
+
+            const headers = { Authorization: `Bearer ${auth.token}` };
+            await expect.poll(async () => {
+                const { progress } = await (await fetch(`${API}/practice/questions`, { headers })).json();
+                return progress[question.id]?.hintsUsed;
+            }).toBe(2);
+        });
+
+        test('AI hints stream into the tutor panel over SSE', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const question = await createQuestion(auth.token, {
+                sql_question: 'List the products that cost more than 10.',
+                sql_data: "CREATE TABLE products (id INTEGER, price INTEGER); INSERT INTO products VALUES (1, 5), (2, 15);",
+                sql_solution: 'SELECT * FROM products WHERE price > 10'
+            });
+
+            const response = await fetch(`${API}/ai/hint`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
+                body: JSON.stringify({ questionId: question.id, userQuery: 'SELECT 1', type: 'explain_error', stream: true })
+            });
+            expect(response.headers.get('content-type')).toContain('text/event-stream');
+            const events = (await response.text()).split('\n\n').filter(Boolean)
+                .map(event => JSON.parse(event.slice('data: '.length)));
+            expect(events[0].type).toBe('text');
+            expect(events.at(-1).type).toBe('done');
+
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+            await expect(page.locator('#getHintBtn')).toHaveText('🤖 Get Hint', { timeout: 10000 });
+            await page.click('#getHintBtn');
+            await expect(page.locator('#aiPanelContent')).not.toHaveText(/Thinking/, { timeout: 30000 });
+            await expect(page.locator('#aiStopBtn')).toBeHidden({ timeout: 30000 });
+            await expect(page.locator('#getHintBtn')).toBeEnabled();
+            expect((await page.locator('#aiPanelContent').textContent()).length).toBeGreaterThan(10);
+        });
+
+        test('tutor chat is kept per question and restored when it is reopened', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            const question = await createQuestion(auth.token, {
+                sql_question: 'Which departments have more than one employee?',
+                sql_data: "CREATE TABLE staff (id INTEGER, dept VARCHAR); INSERT INTO staff VALUES (1, 'Ops'), (2, 'Ops'), (3, 'HR');",
+                sql_solution: 'SELECT dept FROM staff GROUP BY dept HAVING COUNT(*) > 1'
+            });
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+
+            await page.click('#askTutorBtn');
+            await page.fill('#aiChatInput', 'Why does HAVING go after GROUP BY?');
+            await page.click('#aiChatSendBtn');
+            const messages = page.locator('#aiChatLog .ai-chat-message');
+            await expect(messages).toHaveCount(2);
+            await expect(messages.first()).toHaveText('Why does HAVING go after GROUP BY?');
+            await expect(page.locator('#aiStopBtn')).toBeHidden({ timeout: 30000 });
+            await expect(messages.last()).not.toHaveText(/Thinking/);
+
+            // Reopening the question restores the conversation from the server
+            await page.reload();
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+            await expect(page.locator('#aiChatLog .ai-chat-message')).toHaveCount(2, { timeout: 10000 });
+            await expect(page.locator('#aiChatLog .ai-chat-user')).toHaveText('Why does HAVING go after GROUP BY?');
+
+            await page.click('#askTutorBtn');
+            await page.click('#aiChatClearBtn');
+            await expect(page.locator('#aiChatLog .ai-chat-message')).toHaveCount(0);
+            const { messages: saved } = await (await fetch(`${API}/ai/chat/${question.id}`, {
+                headers: { Authorization: `Bearer ${auth.token}` }
+            })).json();
+            expect(saved).toEqual([]);
+
+            const invalid = await fetch(`${API}/ai/chat/not-a-number`, {
+                headers: { Authorization: `Bearer ${auth.token}` }
+            });
+            expect(invalid.status).toBe(400);
+            const invalidPost = await fetch(`${API}/ai/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
+                body: JSON.stringify({ questionId: 'not-a-number', message: 'Hello?' })
+            });
+            expect(invalidPost.status).toBe(400);
+        });
+
+        test('a reached AI quota is explained in the tutor panel', async ({ page }) => {
+            test.setTimeout(180000);
+
+            await page.goto('/');
+            const auth = await loginViaAPI(page);
+            await page.waitForSelector('.status.connected', { timeout: 150000 });
+
+            // No AI requests at all for this user today
+            const quotaResp = await fetch(`${API}/admin/ai-quotas`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'X-Admin-Key': ADMIN_KEY },
+                body: JSON.stringify({ userId: auth.user.id, dailyRequests: 0 })
+            });
+            expect(quotaResp.status).toBe(200);
+
+            const question = await createQuestion(auth.token, {
+                sql_question: 'List the cities with more than one store.',
+                sql_data: "CREATE TABLE stores (id INTEGER, city VARCHAR); INSERT INTO stores VALUES (1, 'Oslo'), (2, 'Oslo'), (3, 'Bergen');",
+                sql_solution: 'SELECT city FROM stores GROUP BY city HAVING COUNT(*) > 1'
+            });
+
+            const response = await fetch(`${API}/ai/hint`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth.token}` },
+                body: JSON.stringify({ questionId: question.id, userQuery: 'SELECT 1', type: 'explain_error' })
+            });
+            expect(response.status).toBe(403);
+            const body = await response.json();
+            expect(body.code).toBe('AI_QUOTA_EXCEEDED');
+            expect(body.quota).toMatchObject({ limit: 'requests', allowed: 0, role: 'registered' });
+
+            await page.evaluate((q) => window.practiceManager.startQuestion(q), question);
+            await page.click('#getHintBtn');
+            await expect(page.locator('#aiPanelContent .ai-quota-notice')).toContainText('daily limit is 0 AI requests', { timeout: 10000 });
+            await expect(page.locator('#getHintBtn')).toBeEnabled();
+
+            const usage = await (await fetch(`${API}/admin/ai-usage?by=user&days=1`, {
+                headers: { 'X-Admin-Key': ADMIN_KEY }
+            })).json();
+            expect(usage.totals).toHaveProperty('cost');
+            expect(usage.cache).toHaveProperty('hits');
+        });
     });
 });
@@ -503,4 +503,17 @@ test.describe('Cloud Run Deployment — AI Hints', () => {
         const body = await resp.json();
         expect(body.cached).toBe(true);
     });
+
+    test('AI cache matches queries that differ only in whitespace', async ({ request }) => {
+        // Same query as above, reformatted — served from the shared cache table
+        const resp = await request.post(`${API}/ai/hint`, {
+            headers: { Authorization: `Bearer ${authToken}` },
+            data: { questionId: 1, userQuery: 'SELECT *\n  FROM employees;', type: 'hint' }
+        });
+
+        expect(resp.status()).toBe(200);
+        const body = await resp.json();
+        expect(body.cached).toBe(true);
+        expect(body.tokens.output).toBeGreaterThan(0);
+    });
 });
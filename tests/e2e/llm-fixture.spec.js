@@ -0,0 +1,205 @@
+import { test, expect } from '@playwright/test';
+
+// Runs against a server on the fixture LLM provider (see playwright.fixture.config.js):
+// the model's replies and tool calls come from tests/e2e/fixtures/llm.json.
+
+const API = `${process.env.PLAYWRIGHT_BASE_URL || 'http://localhost:3015'}/api`;
+const TEST_PASSWORD = 'test1234';
+const ADMIN_KEY = process.env.ADMIN_SECRET || 'dev-admin-secret-2026';
+
+// What the leak guard puts in place of SQL that still gives the solution away
+const REDACTION = '[solution hidden — try writing this part yourself]';
+const SOLUTION = "SELECT name FROM fx_staff WHERE dept = 'Sales'";
+
+async function waitForAppReady(page) {
+    await page.waitForFunction(() => {
+        const overlay = document.getElementById('loadingOverlay');
+        return !overlay || !overlay.classList.contains('visible');
+    }, { timeout: 60000 });
+}
+
+async function runAgent(prompt, history = []) {
+    const resp = await fetch(`${API}/admin/agent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Key': ADMIN_KEY },
+        body: JSON.stringify({ prompt, history })
+    });
+    expect(resp.status).toBe(200);
+    return resp.json();
+}
+
+// Helper: a new user (AI requests are rate limited per user)
+async function registerViaAPI() {
+    const email = `e2e_${Date.now()}_${Math.random().toString(36).slice(2, 6)}@test.com`;
+    const resp = await fetch(`${API}/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password: TEST_PASSWORD })
+    });
+    return resp.json();
+}
+
+// Helper: a new question whose text picks the fixture rule (so no cached response applies)
+async function createLeakQuestion(rule) {
+    const resp = await fetch(`${API}/admin/tools/insert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Key': ADMIN_KEY },
+        body: JSON.stringify({
+            sql_question: `Who works in Sales? (leak guard: ${rule})`,
+            sql_data: "CREATE TABLE fx_staff (id INTEGER, name VARCHAR, dept VARCHAR); INSERT INTO fx_staff VALUES (1, 'Ada', 'Sales'), (2, 'Bo', 'Ops'), (3, 'Cy', 'Sales');",
+            sql_solution: SOLUTION,
+            sql_solution_explanation: [],
+            difficulty: 'beginner',
+            category: 'E2E'
+        })
+    });
+    const { id } = await resp.json();
+    return id;
+}
+
+async function postAI(path, token, body) {
+    return fetch(`${API}/ai/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body)
+    });
+}
+
+// Helper: the leak guard's record for a question (recorded after the response is sent)
+async function leakFor(questionId) {
+    let leak;
+    await expect.poll(async () => {
+        const { leaks } = await (await fetch(`${API}/admin/ai-leaks?limit=500`, {
+            headers: { 'X-Admin-Key': ADMIN_KEY }
+        })).json();
+        leak = leaks.find(row => row.question_id === questionId);
+        return Boolean(leak);
+    }, { timeout: 10000 }).toBe(true);
+    return leak;
+}
+
+test.describe('AI features on the fixture LLM provider', () => {
+
+    test.describe('Question authoring agent', () => {
+
+        test('runs parallel tool calls and shows the validated preview', async ({ page }) => {
+            await page.goto('/');
+            await waitForAppReady(page);
+
+            await page.click('#adminAgentBtn');
+            await page.fill('#adminKeyInput', ADMIN_KEY);
+            await page.fill('#agentPrompt', 'E2E fixture agent: a HAVING question');
+            await page.click('#agentSendBtn');
+
+            await expect(page.locator('.step-tool-call')).toHaveCount(2, { timeout: 30000 });
+            await expect(page.locator('.step-tool-call').nth(1)).toContainText('validate_question');
+            await expect(page.locator('.step-tool-result')).toHaveCount(2);
+            await expect(page.locator('.question-preview-card')).toBeVisible({ timeout: 30000 });
+            await expect(page.locator('.question-preview-card')).toContainText('Which regions sold more than 20 in total?');
+        });
+
+        test('feeds tool results back and continues from the returned history', async () => {
+            const first = await runAgent('E2E fixture agent: a HAVING question');
+            expect(first.steps.map(step => `${step.type}:${step.tool || ''}`)).toEqual([
+                'tool_call:get_coverage_gaps',
+                'tool_result:get_coverage_gaps',
+                'tool_call:validate_question',
+                'tool_result:validate_question',
+                'answer:'
+            ]);
+            expect(first.steps[3].result).toMatchObject({ schema_valid: true, solution_valid: true, distinguishable: true });
+
+            // Provider-neutral history: the request, the model's tool calls, their results, the answer
+            expect(first.history.map(message => message.role)).toEqual(['user', 'model', 'tool', 'model']);
+            expect(first.history[1].toolCalls.map(call => call.name)).toEqual(['get_coverage_gaps', 'validate_question']);
+            expect(first.history[2].results.map(result => result.id)).toEqual(first.history[1].toolCalls.map(call => call.id));
+
+            const followUp = await runAgent('E2E fixture follow-up: check the arithmetic', first.history);
+            expect(followUp.steps.map(step => step.type)).toEqual(['tool_call', 'tool_result', 'answer']);
+            expect(followUp.steps[1].result.rows).toEqual([{ answer: 42 }]);
+            expect(followUp.steps[2].content).toBe('The query returns 42.');
+            expect(followUp.history).toHaveLength(first.history.length + 4);
+        });
+    });
+
+    test.describe('Leak guard', () => {
+
+        test('redacts a solution in a code block when the retry gives it away too', async () => {
+            const auth = await registerViaAPI();
+            const questionId = await createLeakQuestion('code block');
+
+            const resp = await postAI('hint', auth.token, { questionId, userQuery: 'SELECT 1', type: 'hint' });
+            expect(resp.status).toBe(200);
+            const { hint } = await resp.json();
+            expect(hint).toBe(`Compare yours with this:\n${REDACTION}\nIt keeps the Sales rows.`);
+
+            const leak = await leakFor(questionId);
+            expect(leak).toMatchObject({ type: 'hint', action: 'redacted', sent: hint });
+            expect(leak.response).toContain(SOLUTION);
+        });
+
+        test('ends bare SQL where the prose after it starts', async () => {
+            const auth = await registerViaAPI();
+            const expected = {
+                'sentence after': `The answer is ${REDACTION}. This filters by department.`,
+                'line after': `${REDACTION}\nThis filters by department.`
+            };
+            for (const [rule, text] of Object.entries(expected)) {
+                const questionId = await createLeakQuestion(rule);
+                const resp = await postAI('hint', auth.token, { questionId, userQuery: 'SELECT 1', type: 'hint' });
+                const { hint } = await resp.json();
+                expect(hint).toBe(text);
+                expect(await leakFor(questionId)).toMatchObject({ type: 'hint', action: 'redacted' });
+            }
+        });
+
+        test('asks again when inline code gives the solution away', async () => {
+            const auth = await registerViaAPI();
+            const questionId = await createLeakQuestion('inline code');
+
+            const resp = await postAI('hint', auth.token, { questionId, userQuery: 'SELECT 1', type: 'hint' });
+            const { hint } = await resp.json();
+            expect(hint).toBe('Keep only the Sales rows: which clause filters rows on a condition?');
+
+            const leak = await leakFor(questionId);
+            expect(leak).toMatchObject({ type: 'hint', action: 'regenerated', sent: hint });
+            expect(leak.response).toContain(`\`${SOLUTION}\``);
+        });
+
+        test('holds a streamed hint back from the SQL and replaces it with the regenerated one', async () => {
+            const auth = await registerViaAPI();
+            const questionId = await createLeakQuestion('streamed hint');
+
+            const resp = await postAI('hint', auth.token, { questionId, userQuery: 'SELECT 1', type: 'hint', stream: true });
+            expect(resp.headers.get('content-type')).toContain('text/event-stream');
+            const events = (await resp.text()).split('\n\n').filter(Boolean)
+                .map(event => JSON.parse(event.slice('data: '.length)));
+
+            const streamed = events.filter(event => event.type === 'text').map(event => event.text).join('');
+            expect(streamed).toBe('Nearly there. Try this:\n');
+            expect(events.filter(event => event.type === 'replace')).toEqual([
+                { type: 'replace', text: 'Think about which rows the WHERE clause should keep.' }
+            ]);
+            expect(events.at(-1).type).toBe('done');
+
+            expect(await leakFor(questionId)).toMatchObject({ type: 'hint', action: 'regenerated' });
+        });
+
+        test('redacts lower-case SQL in a chat reply and saves the reply as sent', async () => {
+            const auth = await registerViaAPI();
+            const questionId = await createLeakQuestion('chat');
+
+            const resp = await postAI('chat', auth.token, { questionId, message: 'Show me the query in lower case, please' });
+            expect(resp.status).toBe(200);
+            const { reply } = await resp.json();
+            expect(reply).toBe(`Fine: ${REDACTION} that is all it takes.`);
+
+            const { messages } = await (await fetch(`${API}/ai/chat/${questionId}`, {
+                headers: { Authorization: `Bearer ${auth.token}` }
+            })).json();
+            expect(messages.map(message => message.content)).toEqual(['Show me the query in lower case, please', reply]);
+
+            expect(await leakFor(questionId)).toMatchObject({ type: 'chat', action: 'redacted', sent: reply });
+        });
+    });
+});